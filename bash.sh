@@ -5,9 +5,35 @@ export PATH="/usr/bin:/usr/local/bin:/bin:/sbin:/usr/sbin:$PATH"
 cleanup() {
     echo "🧹 Cleaning up temporary files..."
     [ -n "$TEMP_JSON_FILE" ] && [ -f "$TEMP_JSON_FILE" ] && rm -f "$TEMP_JSON_FILE"
+    [ -n "$MAVEN_SETTINGS_FILE" ] && [ -f "$MAVEN_SETTINGS_FILE" ] && rm -f "$MAVEN_SETTINGS_FILE"
     [ -n "$CURRENT_DIR" ] && [ "$PWD" != "$CURRENT_DIR" ] && cd "$CURRENT_DIR"
 }
-trap cleanup EXIT INT TERM
+trap cleanup EXIT
+# Stop for real when interrupted or cancelled (cleanup still runs via EXIT)
+trap 'exit 130' INT
+trap 'exit 143' TERM
+
+# Structured progress events for the API server (see lib/progress-protocol.js):
+# one JSON object per line on the file descriptor named by PROGRESS_FD.
+# Does nothing when the script is run by hand.
+emit_event() {
+    [ -n "$PROGRESS_FD" ] || return 0
+    printf '%s\n' "$1" >&"$PROGRESS_FD" 2>/dev/null || true
+}
+
+emit_stage() {
+    emit_event "{\"event\":\"stage\",\"stage\":\"$1\"}"
+}
+
+emit_result() {
+    [ -n "$PROGRESS_FD" ] || return 0
+    emit_event "$(jq -nc --arg status "$1" --arg message "$2" '{event: "result", status: $status, message: $message}')"
+}
+
+emit_artifact() {
+    [ -n "$PROGRESS_FD" ] || return 0
+    emit_event "$(jq -nc --arg path "$1" --argjson shaded "$2" '{event: "artifact", path: $path, shaded: $shaded}')"
+}
 
 # Print PATH for debugging
 echo "Current PATH: $PATH"
@@ -28,21 +54,28 @@ if [ ${#MISSING_TOOLS[@]} -ne 0 ]; then
         echo "  - $tool"
     done
     echo "Please install them before continuing."
+    emit_event "{\"event\":\"result\",\"status\":\"failed\",\"message\":\"Missing required tools: ${MISSING_TOOLS[*]}\"}"
     exit 1
 fi
 
-# Load configuration if exists
-CONFIG_FILE="$HOME/.minecraft_plugin_generator.conf"
-if [ -f "$CONFIG_FILE" ]; then
-    source "$CONFIG_FILE"
-    echo "📝 Loaded configuration from $CONFIG_FILE"
+# Load personal settings when run by hand. The API server passes every value
+# the script reads (already validated) and sets SKIP_USER_CONFIG, so a stray
+# file in the server user's home cannot override them.
+USER_CONFIG_FILE="$HOME/.minecraft_plugin_generator.conf"
+if [ "$SKIP_USER_CONFIG" != "true" ] && [ -f "$USER_CONFIG_FILE" ]; then
+    source "$USER_CONFIG_FILE"
+    echo "📝 Loaded configuration from $USER_CONFIG_FILE"
 fi
 
 # Define API endpoints - use configurable host
-# Default to Docker bridge network gateway for container-to-container communication
-API_HOST="${API_HOST:-http://gemni-api-gemini-api-1:5000}"
+# When run by the API server this is its provider gateway; the default matches
+# the server's own API_HOST default for running the script by hand
+API_HOST="${API_HOST:-http://host.docker.internal:5000}"
 API_URL="${API_HOST}/api/create"
 API_URL_FIX="${API_HOST}/api/fix"
+API_URL_REVISE="${API_HOST}/api/revise"
+# Longest a single generation or fix request may take, in seconds
+API_MAX_TIME="${API_MAX_TIME:-600}"
 
 echo "🔌 Using API endpoint: $API_HOST"
 
@@ -55,6 +88,32 @@ else
     echo "ℹ️ Proceeding with the API request anyway..."
 fi
 
+# "create" generates a new project from the prompt; "revise" sends the project
+# already in the output directory to the API along with the prompt as a change request
+# "build" only runs Maven on the sources already in the output directory
+GENERATION_MODE="${GENERATION_MODE:-create}"
+# Whether a failed Maven build is sent to the fix API, and how many times
+AI_FIX="${AI_FIX:-true}"
+MAX_AI_FIX_ATTEMPTS="${MAX_AI_FIX_ATTEMPTS:-50}"
+# Generation options as a JSON object (platform, mcVersion, javaVersion,
+# packageName; see lib/generation-options.js), sent to the API with each request
+GENERATION_OPTIONS="${GENERATION_OPTIONS:-}"
+
+# Maven sandbox (see lib/maven-policy.js). Limits of 0 are turned off.
+MAVEN_TIMEOUT_SECONDS="${MAVEN_TIMEOUT_SECONDS:-300}"  # Wall-clock time per Maven run
+MAVEN_CPU_SECONDS="${MAVEN_CPU_SECONDS:-600}"          # CPU time per Maven run
+MAVEN_MEMORY_MB="${MAVEN_MEMORY_MB:-1024}"             # Maven JVM heap
+MAVEN_SANDBOX="${MAVEN_SANDBOX:-bwrap}"                # "bwrap" (fail when it cannot run) or "off"
+MAVEN_REPO_MODE="${MAVEN_REPO_MODE:-online}"           # "online", "offline" or "mirror"
+MAVEN_MIRROR_URL="${MAVEN_MIRROR_URL:-}"               # The only repository Maven may use in mirror mode
+MAVEN_LOCAL_REPO="${MAVEN_LOCAL_REPO:-$HOME/.m2/repository}"
+# Node CLI that checks pom.xml against the plugin and groupId allow-lists;
+# the check is skipped when this is unset (e.g. running the script by hand)
+MAVEN_POLICY_SCRIPT="${MAVEN_POLICY_SCRIPT:-}"
+# Node CLI that scans the sources for risky code before each build (see
+# lib/safety-scan.js); skipped when unset
+SAFETY_SCAN_SCRIPT="${SAFETY_SCAN_SCRIPT:-}"
+
 # Handle command line arguments
 if [ "$#" -lt 2 ]; then
     echo "Usage: $0 \"<prompt>\" <bearer_token> [output_directory]"
@@ -81,27 +140,59 @@ find_command "realpath" \
 
 mkdir -p "$BASE_OUTPUT_DIR"
 
+# Collect file contents (relative to the current directory) for AI fix and revise requests
+collect_file_contents() {
+    local first=true
+    local file_data=""
+
+    find_command "find" \
+        "FILE_LIST=\$(find . -type f \\( -name \"*.java\" -o -name \"pom.xml\" -o -name \"plugin.yml\" -o -name \"config.yml\" \\) 2>/dev/null)" \
+        "FILE_LIST=\$(dir /s /b *.java *.xml *.yml | findstr /v /i target)"
+
+    for file in $FILE_LIST; do
+        # Skip target directory files
+        [[ "$file" == *"target/"* ]] && continue
+
+        if [ "$first" = true ]; then
+            first=false
+        else
+            file_data+=","
+        fi
+
+        # Get relative path
+        find_command "realpath" \
+            "REL_PATH=\$(realpath --relative-to=\".\" \"$file\")" \
+            "REL_PATH=\"$file\""
+
+        file_data+="\"$REL_PATH\": $(jq -Rs . < "$file")"
+    done
+
+    echo "$file_data"
+}
+
 # Generate plugin folder name from prompt
 # Extract basic name or use default if can't derive sensible name
-PLUGIN_NAME=$(echo "$PROMPT" | tr -cs '[:alnum:]' ' ' | awk '{print $1$2}' | sed 's/[^a-zA-Z0-9]//g')
-if [ -z "$PLUGIN_NAME" ] || [ ${#PLUGIN_NAME} -lt 3 ]; then
-    PLUGIN_NAME="MinecraftPlugin"
+# PLUGIN_DIR_NAME overrides this, e.g. so a revision keeps its parent's folder name
+if [ -n "$PLUGIN_DIR_NAME" ]; then
+    PLUGIN_NAME=$(basename "$PLUGIN_DIR_NAME")
+else
+    PLUGIN_NAME=$(echo "$PROMPT" | tr -cs '[:alnum:]' ' ' | awk '{print $1$2}' | sed 's/[^a-zA-Z0-9]//g')
+    if [ -z "$PLUGIN_NAME" ] || [ ${#PLUGIN_NAME} -lt 3 ]; then
+        PLUGIN_NAME="MinecraftPlugin"
+    fi
+    PLUGIN_NAME="${PLUGIN_NAME}Plugin"
 fi
-PLUGIN_NAME="${PLUGIN_NAME}Plugin"
 
 # Create dedicated plugin folder
 OUTPUT_DIR="$BASE_OUTPUT_DIR/$PLUGIN_NAME"
 mkdir -p "$OUTPUT_DIR"
 
-echo "🚀 Generating Minecraft plugin with prompt: $PROMPT"
+if [ "$GENERATION_MODE" != "build" ]; then
+    echo "🚀 Generating Minecraft plugin with prompt: $PROMPT"
+fi
 echo "📁 Files will be saved to: $OUTPUT_DIR"
-
-# Make API request with properly escaped JSON
-echo "🔄 Sending request to plugin generation API (this may take a few minutes)..."
-RESPONSE=$(curl -s --connect-timeout 30 --max-time 600 -X POST "$API_URL" \
-    -H "Content-Type: application/json" \
-    -H "Authorization: Bearer $TOKEN" \
-    -d "{\"prompt\": $(jq -R -s . <<< "$PROMPT")}" 2>/dev/null)
+emit_event "$(jq -nc --arg dir "$OUTPUT_DIR" '{event: "project", dir: $dir}')"
+emit_stage "UNDERSTANDING"
 
 # Validate API response function
 validate_response() {
@@ -113,7 +204,7 @@ validate_response() {
         echo "❌ Error: Empty response from $purpose API. Check your network connection."
         if [ "$purpose" = "plugin generation" ]; then
             echo "ℹ️ If this keeps failing, try one of these options:"
-            echo "   1. Edit $CONFIG_FILE and set API_HOST=http://localhost:5000"
+            echo "   1. Edit $USER_CONFIG_FILE and set API_HOST=http://localhost:5000"
             echo "   2. Or try: API_HOST=http://host.docker.internal:5000 $0 \"$PROMPT\" $TOKEN"
             echo "   3. Or try: API_HOST=http://api:5000 $0 \"$PROMPT\" $TOKEN (if using Docker Compose)"
         fi
@@ -137,35 +228,6 @@ validate_response() {
     return 0
 }
 
-# Validate and process the response
-if ! validate_response "$RESPONSE" "plugin generation"; then
-    echo "Full response: $RESPONSE"
-    exit 1
-fi
-
-echo "✅ Plugin generated successfully!"
-
-# Extract the data field containing files and create directories more efficiently
-FILES=$(echo "$RESPONSE" | jq '.data')
-DIRS_CREATED=()
-
-for FILE_PATH in $(echo "$FILES" | jq -r 'keys[]'); do
-    # Extract directory path
-    DIR_PATH=$(dirname "$OUTPUT_DIR/$FILE_PATH")
-
-    # Create directory only if not already created
-    if [[ ! " ${DIRS_CREATED[@]} " =~ " ${DIR_PATH} " ]]; then
-        mkdir -p "$DIR_PATH"
-        DIRS_CREATED+=("$DIR_PATH")
-    fi
-
-    # Write content directly to file
-    echo "$FILES" | jq -r --arg path "$FILE_PATH" '.[$path]' > "$OUTPUT_DIR/$FILE_PATH"
-    echo "📄 Created: $FILE_PATH"
-done
-
-echo "🎉 Plugin files have been successfully created in $OUTPUT_DIR"
-
 # Validate main class consistency
 validate_main_class() {
     local plugin_yml="$OUTPUT_DIR/src/main/resources/plugin.yml"
@@ -202,8 +264,91 @@ validate_main_class() {
     fi
 }
 
-# Check if main class in plugin.yml matches Java file
-validate_main_class
+if [ "$GENERATION_MODE" = "build" ]; then
+    # Rebuild the sources already in the output directory, without asking the API for code
+    if [ ! -f "$OUTPUT_DIR/pom.xml" ]; then
+        echo "❌ Error: Nothing to build, no pom.xml found in $OUTPUT_DIR"
+        emit_result "failed" "Nothing to build: no existing project in the output directory"
+        exit 1
+    fi
+    echo "🔁 Rebuilding existing sources in $OUTPUT_DIR"
+else
+    # Make API request with properly escaped JSON
+    if [ "$GENERATION_MODE" = "revise" ]; then
+        if [ ! -f "$OUTPUT_DIR/pom.xml" ]; then
+            echo "❌ Error: Nothing to revise, no pom.xml found in $OUTPUT_DIR"
+            emit_result "failed" "Nothing to revise: no existing project in the output directory"
+            exit 1
+        fi
+
+        echo "🔄 Sending existing sources and change request to plugin revision API (this may take a few minutes)..."
+        emit_stage "GENERATING"
+        TEMP_JSON_FILE=$(mktemp)
+        {
+            echo "{"
+            echo "  \"prompt\": $(jq -R -s . <<< "$PROMPT"),"
+            [ -n "$GENERATION_OPTIONS" ] && echo "  \"options\": $GENERATION_OPTIONS,"
+            echo "  \"files\": {"
+            (cd "$OUTPUT_DIR" && collect_file_contents)
+            echo "  }"
+            echo "}"
+        } > "$TEMP_JSON_FILE"
+        RESPONSE=$(curl -s --connect-timeout 30 --max-time "$API_MAX_TIME" -X POST "$API_URL_REVISE" \
+            -H "Content-Type: application/json" \
+            -H "Authorization: Bearer $TOKEN" \
+            -d @"$TEMP_JSON_FILE" 2>/dev/null)
+        rm -f "$TEMP_JSON_FILE"
+        REQUEST_PURPOSE="plugin revision"
+    else
+        echo "🔄 Sending request to plugin generation API (this may take a few minutes)..."
+        emit_stage "GENERATING"
+        RESPONSE=$(curl -s --connect-timeout 30 --max-time "$API_MAX_TIME" -X POST "$API_URL" \
+            -H "Content-Type: application/json" \
+            -H "Authorization: Bearer $TOKEN" \
+            -d "{\"prompt\": $(jq -R -s . <<< "$PROMPT")${GENERATION_OPTIONS:+, \"options\": $GENERATION_OPTIONS}}" 2>/dev/null)
+        REQUEST_PURPOSE="plugin generation"
+    fi
+
+    # Validate and process the response
+    if ! validate_response "$RESPONSE" "$REQUEST_PURPOSE"; then
+        echo "Full response: $RESPONSE"
+        emit_result "failed" "Plugin ${REQUEST_PURPOSE#plugin } API request failed"
+        exit 1
+    fi
+
+    if [ "$GENERATION_MODE" = "revise" ]; then
+        echo "✅ Plugin revised successfully!"
+    else
+        echo "✅ Plugin generated successfully!"
+    fi
+
+    # Extract the data field containing files and create directories more efficiently
+    FILES=$(echo "$RESPONSE" | jq '.data')
+    DIRS_CREATED=()
+    emit_stage "CREATING"
+
+    for FILE_PATH in $(echo "$FILES" | jq -r 'keys[]'); do
+        # Extract directory path
+        DIR_PATH=$(dirname "$OUTPUT_DIR/$FILE_PATH")
+
+        # Create directory only if not already created
+        if [[ ! " ${DIRS_CREATED[@]} " =~ " ${DIR_PATH} " ]]; then
+            mkdir -p "$DIR_PATH"
+            DIRS_CREATED+=("$DIR_PATH")
+        fi
+
+        # Write content directly to file
+        echo "$FILES" | jq -r --arg path "$FILE_PATH" '.[$path]' > "$OUTPUT_DIR/$FILE_PATH"
+        echo "📄 Created: $FILE_PATH"
+    done
+
+    echo "🎉 Plugin files have been successfully created in $OUTPUT_DIR"
+    # List the whole project, since a revision only returns the files it changed
+    emit_event "$(cd "$OUTPUT_DIR" && find . -type f -not -path './target/*' | sed 's|^\./||' | sort | jq -Rsc '{event: "files", files: (split("\n") | map(select(length > 0)))}')"
+
+    # Check if main class in plugin.yml matches Java file
+    validate_main_class
+fi
 
 # Check if pom.xml exists and build with Maven
 if [ -f "$OUTPUT_DIR/pom.xml" ]; then
@@ -217,17 +362,151 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
     # Change to the plugin directory
     cd "$OUTPUT_DIR"
 
+    # Only show Maven the project and the local repository; without bubblewrap
+    # nothing is built unless the sandbox was turned off on purpose
+    USE_BWRAP=false
+    if [ "$MAVEN_SANDBOX" = "off" ]; then
+        echo "⚠️ Warning: MAVEN_SANDBOX=off; Maven runs with limits but without a filesystem sandbox"
+    elif command -v bwrap &> /dev/null && bwrap --ro-bind / / --dev /dev --proc /proc true &> /dev/null; then
+        USE_BWRAP=true
+    else
+        echo "❌ Error: bubblewrap is not installed or cannot create a sandbox here; set MAVEN_SANDBOX=off to build without it"
+        emit_event "$(jq -nc --arg mode "$MAVEN_SANDBOX" '{event: "sandbox", mode: $mode, bwrap: false}')"
+        emit_result "failed" "Maven sandbox unavailable: bubblewrap cannot run on this host"
+        exit 1
+    fi
+    emit_event "$(jq -nc --arg mode "$MAVEN_SANDBOX" --argjson bwrap "$USE_BWRAP" '{event: "sandbox", mode: $mode, bwrap: $bwrap}')"
+
+    mkdir -p "$MAVEN_LOCAL_REPO"
+    MAVEN_SETTINGS_FILE=""
+    if [ "$MAVEN_REPO_MODE" = "mirror" ]; then
+        if [ -z "$MAVEN_MIRROR_URL" ]; then
+            echo "❌ Error: MAVEN_REPO_MODE=mirror needs MAVEN_MIRROR_URL"
+            emit_result "failed" "Maven mirror mode is enabled but no mirror URL is configured"
+            exit 1
+        fi
+        # Route every repository, including ones the pom declares, through the mirror
+        MAVEN_SETTINGS_FILE=$(mktemp --suffix=.xml)
+        MIRROR_URL_XML=$(printf '%s' "$MAVEN_MIRROR_URL" | sed 's/&/\&amp;/g; s/</\&lt;/g; s/>/\&gt;/g')
+        cat > "$MAVEN_SETTINGS_FILE" <<SETTINGS
+<settings>
+  <mirrors>
+    <mirror>
+      <id>build-mirror</id>
+      <mirrorOf>*</mirrorOf>
+      <url>$MIRROR_URL_XML</url>
+    </mirror>
+  </mirrors>
+</settings>
+SETTINGS
+    fi
+    echo "🔒 Maven sandbox: ${MAVEN_TIMEOUT_SECONDS}s wall clock, ${MAVEN_CPU_SECONDS}s CPU, ${MAVEN_MEMORY_MB} MB heap, repository mode $MAVEN_REPO_MODE, bubblewrap $USE_BWRAP"
+
+    # Run Maven with the sandbox's limits, repository mode and filesystem view
+    run_maven() {
+        # Tests are generated code too; compiling and running them is not needed to package the plugin
+        local maven_cmd=(mvn -B "-Dmaven.repo.local=$MAVEN_LOCAL_REPO" -Dmaven.test.skip=true)
+        [ "$MAVEN_REPO_MODE" = "offline" ] && maven_cmd+=(-o)
+        [ -n "$MAVEN_SETTINGS_FILE" ] && maven_cmd+=(-s "$MAVEN_SETTINGS_FILE")
+        maven_cmd+=("$@")
+
+        local sandbox_cmd=()
+        if [ "$USE_BWRAP" = true ]; then
+            sandbox_cmd=(bwrap --die-with-parent --new-session --unshare-all
+                --ro-bind /usr /usr --ro-bind-try /bin /bin --ro-bind-try /sbin /sbin
+                --ro-bind-try /lib /lib --ro-bind-try /lib64 /lib64 --ro-bind-try /etc /etc --ro-bind-try /opt /opt
+                --proc /proc --dev /dev --tmpfs /tmp
+                --bind "$OUTPUT_DIR" "$OUTPUT_DIR" --bind "$MAVEN_LOCAL_REPO" "$MAVEN_LOCAL_REPO"
+                --setenv HOME /tmp --chdir "$OUTPUT_DIR")
+            [ "$MAVEN_REPO_MODE" != "offline" ] && sandbox_cmd+=(--share-net)
+            [ -n "$MAVEN_SETTINGS_FILE" ] && sandbox_cmd+=(--ro-bind "$MAVEN_SETTINGS_FILE" "$MAVEN_SETTINGS_FILE")
+        fi
+
+        # RLIMIT_AS does not suit the JVM, which reserves far more address
+        # space than it uses, so memory is capped through the heap size
+        local limit_cmd=()
+        [ "$MAVEN_CPU_SECONDS" -gt 0 ] && command -v prlimit &> /dev/null && limit_cmd=(prlimit "--cpu=$MAVEN_CPU_SECONDS" --)
+        local maven_opts="$MAVEN_OPTS"
+        [ "$MAVEN_MEMORY_MB" -gt 0 ] && maven_opts="$maven_opts -Xmx${MAVEN_MEMORY_MB}m -XX:+ExitOnOutOfMemoryError"
+
+        # --foreground keeps timeout, and Maven under it, in this script's process
+        # group, where the server's cancel and build timeout signals reach them
+        MAVEN_OPTS="$maven_opts" timeout --foreground --kill-after=10 "$MAVEN_TIMEOUT_SECONDS" \
+            "${limit_cmd[@]}" "${sandbox_cmd[@]}" "${maven_cmd[@]}"
+    }
+
+    # A Maven run stopped by a sandbox limit fails the build; fixing the code would not help
+    stop_if_limited() {
+        local reason=""
+        case "$1" in
+            124|137) reason="Maven exceeded the ${MAVEN_TIMEOUT_SECONDS}s time limit" ;;
+            152) reason="Maven exceeded the ${MAVEN_CPU_SECONDS}s CPU time limit" ;;
+            3) reason="Maven ran out of its ${MAVEN_MEMORY_MB} MB memory limit" ;;
+        esac
+        [ -n "$reason" ] || return 0
+        echo "❌ $reason"
+        emit_result "failed" "$reason"
+        exit 1
+    }
+
+    # Refuse to run Maven on a pom.xml with plugins or groupIds outside the allow-lists
+    check_maven_policy() {
+        [ -n "$MAVEN_POLICY_SCRIPT" ] || return 0
+        local report
+        report=$(node "$MAVEN_POLICY_SCRIPT" "$OUTPUT_DIR" 2>&1)
+        local status=$?
+        [ $status -eq 0 ] && return 0
+
+        if [ $status -eq 2 ]; then
+            echo "❌ Build blocked by the Maven policy:"
+            echo "$report" | jq -r '.violations[] | "  - " + .message'
+            emit_event "$(echo "$report" | jq -c '{event: "policy_violation", violations: .violations}')"
+            emit_result "failed" "Build blocked by the Maven policy: $(echo "$report" | jq -r '.violations[0].message')"
+        else
+            echo "❌ Error: Could not check pom.xml against the Maven policy: $report"
+            emit_result "failed" "Could not check pom.xml against the Maven policy"
+        fi
+        exit 1
+    }
+
+    # Scan the sources for risky code and stop when the scan policy blocks the build
+    scan_sources() {
+        [ -n "$SAFETY_SCAN_SCRIPT" ] || return 0
+        emit_stage "SCANNING"
+        echo "🔎 Scanning sources for risky code..."
+        local report
+        report=$(node "$SAFETY_SCAN_SCRIPT" "$OUTPUT_DIR" 2>&1)
+        local status=$?
+
+        if [ $status -eq 1 ]; then
+            echo "❌ Error: Could not scan the sources: $report"
+            emit_result "failed" "Safety scan failed to run"
+            exit 1
+        fi
+
+        emit_event "$(echo "$report" | jq -c '{event: "scan", findings: .findings, blocked: .blocked}')"
+        echo "$report" | jq -r '.findings[] | "  [\(.severity)] \(.file)\(if .line then ":\(.line)" else "" end): \(.message)"'
+        if [ $status -eq 2 ]; then
+            echo "❌ Build blocked by the safety scan"
+            emit_result "failed" "Build blocked by the safety scan: $(echo "$report" | jq -r '.blocked[0] | "\(.message) (\(.file)\(if .line then ":\(.line)" else "" end))"')"
+            exit 1
+        fi
+        echo "✅ Safety scan finished with $(echo "$report" | jq '.findings | length') findings"
+    }
+
     # More efficient Maven build process
     build_plugin() {
+        scan_sources
+        check_maven_policy
+        emit_stage "COMPILING"
         echo "🧹 Cleaning previous build artifacts..."
         rm -rf target/
 
         echo "🏗️ Running Maven build..."
-        if mvn clean package -B; then
-            return 0
-        else
-            return 1
-        fi
+        run_maven clean package
+        local status=$?
+        stop_if_limited $status
+        return $status
     }
 
     # Find the JAR file more efficiently
@@ -238,34 +517,13 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
         echo "$JAR_FILE"
     }
 
-    # Collect file contents for AI fix more efficiently
-    collect_file_contents() {
-        local first=true
-        local file_data=""
-
-        find_command "find" \
-            "FILE_LIST=\$(find . -type f \\( -name \"*.java\" -o -name \"pom.xml\" -o -name \"plugin.yml\" -o -name \"config.yml\" \\) 2>/dev/null)" \
-            "FILE_LIST=\$(dir /s /b *.java *.xml *.yml | findstr /v /i target)"
-
-        for file in $FILE_LIST; do
-            # Skip target directory files
-            [[ "$file" == *"target/"* ]] && continue
-
-            if [ "$first" = true ]; then
-                first=false
-            else
-                file_data+=","
-            fi
-
-            # Get relative path
-            find_command "realpath" \
-                "REL_PATH=\$(realpath --relative-to=\".\" \"$file\")" \
-                "REL_PATH=\"$file\""
-
-            file_data+="\"$REL_PATH\": $(jq -Rs . < "$file")"
-        done
-
-        echo "$file_data"
+    # Report Maven compiler errors ("[ERROR] File.java:[line,col] message") as an event
+    emit_compiler_errors() {
+        [ -n "$PROGRESS_FD" ] || return 0
+        emit_event "$(printf '%s\n' "$1" | grep -E '^\[ERROR\] .*\.java:\[[0-9]+,[0-9]+\]' | head -n 50 | \
+            jq -Rsc '{event: "compiler_errors", errors: [split("\n")[] | select(length > 0)
+                | capture("^\\[ERROR\\] (?<file>.*\\.java):\\[(?<line>[0-9]+),(?<column>[0-9]+)\\] (?<message>.*)$")
+                | .line |= tonumber | .column |= tonumber]}')"
     }
 
     # Try to build the plugin
@@ -282,9 +540,20 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
             echo "To use the plugin, copy this JAR file to your Minecraft server's plugins folder."
             # Add standardized output for the server to parse
             echo "PLUGIN_JAR_PATH:$JAR_FILE"
+            emit_artifact "$OUTPUT_DIR/$JAR_FILE" true
+            emit_result "success" "Maven build successful"
         else
             echo "⚠️ Plugin JAR file not found in target directory."
+            emit_result "failed" "Maven build succeeded but no JAR file was found"
         fi
+    elif [ "$AI_FIX" != "true" ]; then
+        echo "----------------------------------------"
+        echo "❌ Maven build failed (AI fixes are disabled for this build)."
+        echo "----------------------------------------"
+        BUILD_ERRORS=$(run_maven clean compile -e 2>&1)
+        stop_if_limited $?
+        emit_compiler_errors "$BUILD_ERRORS"
+        emit_result "failed" "Maven build failed"
     else
         echo "----------------------------------------"
         echo "❌ Maven build failed. Attempting to fix issues with AI..."
@@ -292,7 +561,6 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
 
         # Initialize attempt counter
         AI_FIX_ATTEMPTS=0
-        MAX_AI_FIX_ATTEMPTS=50
         BUILD_SUCCESS=false
 
         # Start AI fix loop
@@ -301,9 +569,13 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
             echo "----------------------------------------"
             echo "🔄 AI Fix Attempt #$AI_FIX_ATTEMPTS of $MAX_AI_FIX_ATTEMPTS"
             echo "----------------------------------------"
+            emit_stage "FIXING"
+            emit_event "{\"event\":\"fix_attempt\",\"attempt\":$AI_FIX_ATTEMPTS,\"max\":$MAX_AI_FIX_ATTEMPTS}"
 
             # Capture the build errors
-            BUILD_ERRORS=$(mvn clean compile -e 2>&1)
+            BUILD_ERRORS=$(run_maven clean compile -e 2>&1)
+            stop_if_limited $?
+            emit_compiler_errors "$BUILD_ERRORS"
 
             echo "🔍 Analyzing build errors..."
 
@@ -311,6 +583,7 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
             TEMP_JSON_FILE=$(mktemp)
             echo "{" > "$TEMP_JSON_FILE"
             echo "  \"buildErrors\": $(jq -Rs . <<< "$BUILD_ERRORS")," >> "$TEMP_JSON_FILE"
+            [ -n "$GENERATION_OPTIONS" ] && echo "  \"options\": $GENERATION_OPTIONS," >> "$TEMP_JSON_FILE"
             echo "  \"files\": {" >> "$TEMP_JSON_FILE"
             collect_file_contents >> "$TEMP_JSON_FILE"
             echo "  }" >> "$TEMP_JSON_FILE"
@@ -319,7 +592,7 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
             echo "🔄 Sending build errors to API for fixing (this may take a few minutes)..."
 
             # Make API request to fix issues
-            FIX_RESPONSE=$(curl -s --connect-timeout 30 --max-time 600 -X POST "$API_URL_FIX" \
+            FIX_RESPONSE=$(curl -s --connect-timeout 30 --max-time "$API_MAX_TIME" -X POST "$API_URL_FIX" \
                 -H "Content-Type: application/json" \
                 -H "Authorization: Bearer $TOKEN" \
                 -d @"$TEMP_JSON_FILE")
@@ -361,8 +634,11 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
                     echo "To use the plugin, copy this JAR file to your Minecraft server's plugins folder."
                     # Add standardized output for the server to parse
                     echo "PLUGIN_JAR_PATH:$JAR_FILE"
+                    emit_artifact "$OUTPUT_DIR/$JAR_FILE" true
+                    emit_result "success" "Build successful after $AI_FIX_ATTEMPTS AI fix attempts"
                 else
                     echo "⚠️ Plugin JAR file not found in target directory."
+                    emit_result "failed" "Maven build succeeded but no JAR file was found"
                 fi
 
                 BUILD_SUCCESS=true
@@ -389,7 +665,11 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
 
             # Try with skip shade option as a fallback
             echo "Attempting build with -Dmaven.shade.skip=true..."
-            if mvn clean package -Dmaven.shade.skip=true; then
+            emit_stage "COMPILING"
+            run_maven clean package -Dmaven.shade.skip=true
+            SHADE_SKIP_STATUS=$?
+            stop_if_limited $SHADE_SKIP_STATUS
+            if [ $SHADE_SKIP_STATUS -eq 0 ]; then
                 echo "⚠️ Basic build succeeded without shading."
 
                 find_command "find" \
@@ -401,6 +681,10 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
                     echo "Note: This JAR may not include all dependencies."
                     # Add standardized output for the server to parse
                     echo "PLUGIN_JAR_PATH:$JAR_FILE"
+                    emit_artifact "$OUTPUT_DIR/$JAR_FILE" false
+                    emit_result "success" "Build succeeded without shading"
+                else
+                    emit_result "failed" "Maven build succeeded without shading but no JAR file was found"
                 fi
             else
                 echo "----------------------------------------"
@@ -411,6 +695,8 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
                 echo "3. Java version compatibility problems"
                 echo "4. File permission issues in the target directory"
                 echo "----------------------------------------"
+                emit_compiler_errors "$BUILD_ERRORS"
+                emit_result "failed" "Maven build failed with all approaches"
             fi
         fi
     fi
@@ -419,6 +705,7 @@ if [ -f "$OUTPUT_DIR/pom.xml" ]; then
     cd "$CURRENT_DIR"
 else
     echo "⚠️ No pom.xml found in $OUTPUT_DIR. Maven build skipped."
+    emit_result "failed" "No pom.xml was generated"
 fi
 
 echo "----------------------------------------"
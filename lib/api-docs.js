@@ -0,0 +1,155 @@
+// Interactive API reference served at /api/docs. The page is self-contained
+// (no CDN, so it works on air-gapped servers): it loads the OpenAPI document,
+// lists the operations by tag and lets each one be tried with the caller's API
+// key, which is kept in the browser's localStorage only.
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #24292f; color: #fff; padding: 16px 24px; display: flex; gap: 16px; align-items: center; flex-wrap: wrap; }
+  header h1 { font-size: 20px; margin: 0; flex: 1; }
+  header input { width: 320px; padding: 6px; }
+  main { max-width: 1000px; margin: 0 auto; padding: 16px 24px; }
+  h2 { margin-top: 32px; }
+  details { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin: 8px 0; }
+  summary { padding: 10px; cursor: pointer; display: flex; gap: 12px; align-items: baseline; }
+  .method { font: bold 12px monospace; text-transform: uppercase; padding: 3px 6px; border-radius: 4px; color: #fff; min-width: 52px; text-align: center; }
+  .get { background: #1f6feb; } .post { background: #1a7f37; } .put { background: #9a6700; } .delete { background: #cf222e; }
+  .path { font-family: monospace; }
+  .deprecated .path { text-decoration: line-through; }
+  .body { padding: 0 16px 16px; }
+  label { display: block; margin: 8px 0 2px; font-size: 13px; }
+  input[type=text], textarea { width: 100%; box-sizing: border-box; font-family: monospace; padding: 4px; }
+  textarea { min-height: 120px; }
+  pre { background: #f6f8fa; padding: 8px; overflow: auto; max-height: 400px; }
+  table { border-collapse: collapse; font-size: 13px; }
+  td, th { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+`;
+
+// Runs in the browser
+const SCRIPT = `
+const keyInput = document.getElementById('apiKey');
+keyInput.value = localStorage.getItem('apiKey') || '';
+keyInput.addEventListener('change', () => localStorage.setItem('apiKey', keyInput.value));
+
+const el = (tag, attrs = {}, ...children) => {
+  const node = document.createElement(tag);
+  Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+  children.flat().forEach(child => node.append(child));
+  return node;
+};
+
+fetch(SPEC_URL).then(res => res.json()).then((spec) => {
+  const schemas = spec.components.schemas;
+  const resolve = (schema) => (schema && schema.$ref ? resolve(schemas[schema.$ref.split('/').pop()]) : schema || {});
+
+  // Example value for a schema: every top-level field, required ones below that
+  const example = (schema, depth = 0) => {
+    schema = resolve(schema);
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum) return schema.enum[0];
+    if (schema.anyOf) return example(schema.anyOf[0], depth);
+    const type = [].concat(schema.type || 'object')[0];
+    if (type === 'object') {
+      const result = {};
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        const required = (schema.required || []).includes(name);
+        if (resolve(property).deprecated || (depth > 0 && !required)) return;
+        result[name] = example(property, depth + 1);
+      });
+      return result;
+    }
+    if (type === 'array') return [example(schema.items, depth + 1)];
+    if (type === 'integer' || type === 'number') return schema.minimum || 1;
+    if (type === 'boolean') return false;
+    return '';
+  };
+
+  document.getElementById('title').textContent = spec.info.title + ' ' + spec.info.version;
+  const main = document.querySelector('main');
+  main.append(el('p', {}, spec.info.description || ''));
+
+  const byTag = {};
+  Object.entries(spec.paths).forEach(([path, methods]) => Object.entries(methods).forEach(([method, op]) => {
+    (byTag[op.tags[0]] = byTag[op.tags[0]] || []).push({ path, method, op });
+  }));
+
+  Object.entries(byTag).forEach(([tag, entries]) => {
+    main.append(el('h2', {}, tag));
+    entries.forEach(({ path, method, op }) => {
+      const inputs = {};
+      const form = el('div', { class: 'body' });
+      if (op.description) form.append(el('p', {}, op.description));
+      op.parameters.forEach((param) => {
+        inputs[param.in + ':' + param.name] = el('input', { type: 'text', placeholder: param.schema.type || '' });
+        form.append(el('label', {}, param.in + ' ' + param.name + (param.required ? ' (required)' : '') +
+          (param.description ? ' — ' + param.description : '')), inputs[param.in + ':' + param.name]);
+      });
+      let body = null;
+      if (op.requestBody) {
+        body = el('textarea');
+        body.value = JSON.stringify(example(op.requestBody.content['application/json'].schema), null, 2);
+        form.append(el('label', {}, 'JSON body'), body);
+      }
+      const output = el('pre');
+      const send = el('button', {}, 'Send');
+      send.addEventListener('click', async () => {
+        let url = path.replace(/{(\\w+)}/g, (match, name) => encodeURIComponent(inputs['path:' + name].value)
+          .replace(/%2F/g, name === 'path' ? '/' : '%2F'));
+        const query = new URLSearchParams();
+        op.parameters.filter(p => p.in === 'query' && inputs['query:' + p.name].value)
+          .forEach(p => query.set(p.name, inputs['query:' + p.name].value));
+        if (query.toString()) url += '?' + query;
+        const headers = { 'X-API-Key': keyInput.value };
+        if (body) headers['Content-Type'] = 'application/json';
+        output.textContent = 'Sending...';
+        try {
+          const res = await fetch(url, { method: method.toUpperCase(), headers, body: body ? body.value : undefined });
+          const type = res.headers.get('Content-Type') || '';
+          const text = type.includes('json') ? JSON.stringify(await res.json(), null, 2)
+            : type.startsWith('text/') ? await res.text() : '(' + type + ', ' + (await res.blob()).size + ' bytes)';
+          output.textContent = res.status + ' ' + res.statusText + '\\n\\n' + text;
+        } catch (err) {
+          output.textContent = err.message;
+        }
+      });
+      const responses = el('table', {}, el('tr', {}, el('th', {}, 'Status'), el('th', {}, 'Description')),
+        Object.entries(op.responses).map(([status, response]) => el('tr', {}, el('td', {}, status), el('td', {}, response.description))));
+      form.append(el('p', {}, send), output, el('h4', {}, 'Responses'), responses);
+      main.append(el('details', { class: op.deprecated ? 'deprecated' : '' },
+        el('summary', {}, el('span', { class: 'method ' + method }, method), el('span', { class: 'path' }, path),
+          el('span', {}, op.summary + (op['x-admin-only'] ? ' (admin)' : ''))),
+        form));
+    });
+  });
+
+  main.append(el('h2', {}, 'Error codes'), el('table', {},
+    el('tr', {}, el('th', {}, 'Code'), el('th', {}, 'Status'), el('th', {}, 'Meaning')),
+    Object.entries(spec['x-error-codes']).map(([code, info]) =>
+      el('tr', {}, el('td', {}, el('code', {}, code)), el('td', {}, String(info.status)), el('td', {}, info.description)))));
+}).catch((err) => {
+  document.querySelector('main').textContent = 'Could not load ' + SPEC_URL + ': ' + err.message;
+});
+`;
+
+const renderDocsPage = ({ title, specUrl }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <header>
+    <h1 id="title">${escapeHtml(title)}</h1>
+    <a href="${escapeHtml(specUrl)}" style="color:#fff">openapi.json</a>
+    <input id="apiKey" type="password" placeholder="API key (X-API-Key)" autocomplete="off">
+  </header>
+  <main></main>
+  <script>const SPEC_URL = ${JSON.stringify(specUrl)};${SCRIPT}</script>
+</body>
+</html>
+`;
+
+module.exports = { renderDocsPage };
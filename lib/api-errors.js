@@ -0,0 +1,42 @@
+// Error responses of the API all have the shape
+//
+//   { "success": false, "code": "BUILD_NOT_FOUND", "message": "...", "errors": [...] }
+//
+// `code` is stable and meant for programs; `message` is for people and may
+// change. `errors` lists the individual problems ({ path, message }) of
+// VALIDATION_FAILED responses. The catalogue below is also published in the
+// OpenAPI document.
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, description: 'The request does not match the operation\'s schema or rules; `errors` lists each problem' },
+  INVALID_JSON: { status: 400, description: 'The request body is not valid JSON' },
+  CALLBACKS_DISABLED: { status: 400, description: 'callbackUrl was given but the server has no WEBHOOK_SECRET to sign deliveries' },
+  UNAUTHORIZED: { status: 401, description: 'Missing or invalid credentials' },
+  FORBIDDEN: { status: 403, description: 'The credentials do not allow this operation or path' },
+  NOT_FOUND: { status: 404, description: 'No such route' },
+  BUILD_NOT_FOUND: { status: 404, description: 'No build with this id is visible to the caller' },
+  BATCH_NOT_FOUND: { status: 404, description: 'No batch with this id is visible to the caller' },
+  WEBHOOK_NOT_FOUND: { status: 404, description: 'No webhook with this id is visible to the caller' },
+  SOURCES_NOT_FOUND: { status: 404, description: 'The build has no source files' },
+  FILE_NOT_FOUND: { status: 404, description: 'The file does not exist' },
+  ARTIFACT_NOT_FOUND: { status: 404, description: 'The build (or batch) has no jar to serve' },
+  BUILD_ID_TAKEN: { status: 409, description: 'A build with the requested buildId already exists' },
+  BUILD_IN_PROGRESS: { status: 409, description: 'The build has not finished yet' },
+  BUILD_FINISHED: { status: 409, description: 'The build has already finished' },
+  NO_PROJECT: { status: 409, description: 'The build has no Maven project' },
+  FILE_CHANGED: { status: 409, description: 'The file changed since it was read (expectedSha256 does not match)' },
+  WEBHOOK_LIMIT_REACHED: { status: 409, description: 'The caller has registered the maximum number of webhooks' },
+  PAYLOAD_TOO_LARGE: { status: 413, description: 'The request body is too large' },
+  RATE_LIMITED: { status: 429, description: 'Too many requests; retry after `retryAfter` seconds' },
+  INTERNAL_ERROR: { status: 500, description: 'Unexpected server error' },
+  SCRIPT_MISSING: { status: 500, description: 'The build script is not installed; a server configuration error' }
+};
+
+// Body of an error response
+const errorBody = (code, message, extra = {}) => ({ success: false, code, message, ...extra });
+
+// Body of a VALIDATION_FAILED response listing each problem ({ path, message })
+const validationError = (errors) =>
+  errorBody('VALIDATION_FAILED', `Invalid request: ${errors.map(error => error.message).join('; ')}`, { errors });
+
+module.exports = { ERROR_CODES, errorBody, validationError };
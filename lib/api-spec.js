@@ -0,0 +1,787 @@
+const { ERROR_CODES } = require('./api-errors');
+const { PLATFORMS, JAVA_VERSIONS } = require('./generation-options');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { LEVELS } = require('./build-log');
+
+// Schemas of every public route: what each accepts (params, query, body) and
+// what it answers. The server validates requests against them (see
+// lib/openapi.js) and serves them as an OpenAPI 3.1 document, so this file is
+// the one place request and response fields are defined.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => (schema.$ref ? { anyOf: [schema, { type: 'null' }] } : { ...schema, type: [].concat(schema.type, 'null') });
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const boolean = (description) => ({ type: 'boolean', description });
+const object = (properties, { required = [], additional = true, description } = {}) => ({
+  type: 'object',
+  ...(description ? { description } : {}),
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  ...(additional ? {} : { additionalProperties: false })
+});
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+// Client-chosen build ids become directory names next to the server's own
+// files (builds.jsonl and its .tmp), so they are kept to an alphabet without
+// dots. Non-admin ids get an 8-character owner tag and a dash in front, which
+// the length limit leaves room for.
+const BUILD_ID_PATTERN = '^[A-Za-z0-9][A-Za-z0-9_-]{2,54}$';
+const BUILD_ID_MESSAGE = 'must be 3-55 letters, digits, dashes or underscores, starting with a letter or digit';
+const BUILD_STATUSES = ['queued', 'initializing', 'running', 'completed', 'failed', 'cancelled'];
+
+const createComponents = ({ batchMaxItems }) => ({
+  Error: object({
+    success: { const: false },
+    code: string('Stable error code', { enum: Object.keys(ERROR_CODES) }),
+    message: string('Human-readable explanation'),
+    errors: arrayOf(object({
+      path: string('Where the problem is, e.g. body.items[2].prompt'),
+      message: string('What is wrong there')
+    }), { description: 'Individual problems of a VALIDATION_FAILED response' }),
+    retryAfter: integer('Seconds to wait before retrying (RATE_LIMITED)')
+  }, { required: ['success', 'code', 'message'] }),
+
+  GenerationOptions: object({
+    platform: string('Server platform to target', { enum: Object.keys(PLATFORMS) }),
+    mcVersion: string('Minecraft version such as 1.20.4; a Velocity API version such as 3.3.0 for velocity', {
+      pattern: '^\\d+\\.\\d+(\\.\\d+)?$',
+      'x-pattern-message': 'must be a version such as 1.20.4'
+    }),
+    javaVersion: integer('Java release to compile for; defaults to the oldest one the Minecraft version runs on', { enum: JAVA_VERSIONS }),
+    packageName: string('Base Java package, such as com.example.homes', { maxLength: 100 })
+  }, { additional: false, description: 'Generation options; see GET /api/templates' }),
+
+  TemplateInvocation: object({
+    id: string('Template id from GET /api/templates', { minLength: 1 }),
+    parameters: { type: 'object', description: 'Values for the template\'s parameters' }
+  }, { required: ['id'], additional: false }),
+
+  TemplateParameter: object({
+    name: string('Parameter name'),
+    type: string('Value type', { enum: ['string', 'integer', 'boolean', 'enum', 'string[]'] }),
+    required: boolean('Whether the parameter must be given'),
+    default: { description: 'Value used when the parameter is left out' },
+    values: arrayOf({ type: 'string' }, { description: 'Allowed values of enum parameters' }),
+    pattern: string('Regular expression strings (or list items) must match'),
+    maxLength: integer('Longest allowed string'),
+    maxItems: integer('Longest allowed list'),
+    min: integer('Smallest allowed integer'),
+    max: integer('Largest allowed integer'),
+    description: string('What the parameter is for')
+  }, { required: ['name', 'type'] }),
+
+  Template: object({
+    id: string('Template id'),
+    name: string('Display name'),
+    description: string('What the generated plugin does'),
+    parameters: arrayOf(ref('TemplateParameter'))
+  }, { required: ['id', 'name', 'parameters'] }),
+
+  Artifact: object({
+    fileName: string('Jar file name'),
+    size: integer('Size in bytes'),
+    sha256: string('SHA-256 of the jar, hex'),
+    url: string('Download URL')
+  }, { required: ['fileName', 'size', 'sha256', 'url'] }),
+
+  Stage: object({
+    stage: string('Stage description'),
+    startedAt: integer('When the stage started, epoch milliseconds')
+  }, { required: ['stage', 'startedAt'] }),
+
+  ScanFinding: object({
+    rule: string('Rule id'),
+    severity: string('Severity', { enum: ['info', 'low', 'medium', 'high', 'critical'] }),
+    file: string('File, relative to the project'),
+    line: nullable(integer('Line number')),
+    message: string('What was found'),
+    snippet: string('The offending line')
+  }),
+
+  Build: object({
+    buildId: string('Build id'),
+    status: string('Build status', { enum: BUILD_STATUSES }),
+    stage: string('Current stage description'),
+    stages: arrayOf(ref('Stage'), { description: 'Stage history' }),
+    fixAttempts: integer('AI fix attempts so far'),
+    prompt: string('Prompt sent to the generator'),
+    template: nullable(object({
+      id: string('Template id'),
+      parameters: { type: 'object' }
+    }, { description: 'Template the prompt was built from' })),
+    options: nullable(ref('GenerationOptions')),
+    jarPath: nullable(string('Jar path on the server')),
+    shaded: nullable(boolean('Whether the jar came from the shaded build')),
+    artifact: nullable(ref('Artifact')),
+    files: arrayOf({ type: 'string' }, { description: 'Source files of the project' }),
+    pinned: boolean('Kept by retention'),
+    outputRemoved: boolean('Output deleted by retention or cleanup'),
+    revision: integer('Revision number within its lineage'),
+    parentId: nullable(string('Build this one revised')),
+    rootId: string('First build of the lineage'),
+    batchId: nullable(string('Batch that queued the build')),
+    apiHost: nullable(string('Upstream AI API the last run used (http provider)')),
+    callbackUrl: nullable(string('Receiver of the completion webhook')),
+    compilerErrors: arrayOf({ type: 'object' }, { description: 'Parsed compiler errors of the last failed compile' }),
+    policyViolations: arrayOf({ type: 'object' }, { description: 'Maven policy violations that blocked the build' }),
+    sandbox: nullable(object({
+      mode: string('MAVEN_SANDBOX setting of the run', { enum: ['bwrap', 'off'] }),
+      bwrap: boolean('Whether Maven ran inside bubblewrap')
+    }, { description: 'Filesystem sandbox of the last Maven run' })),
+    scan: nullable(object({
+      counts: { type: 'object', additionalProperties: { type: 'integer' } },
+      blocked: boolean('Whether findings blocked the build'),
+      findings: arrayOf(ref('ScanFinding')),
+      scannedAt: string('When the scan ran', { format: 'date-time' })
+    }, { description: 'Safety scan results' })),
+    verification: nullable(object({
+      status: string('Overall result', { enum: ['passed', 'warnings', 'failed'] }),
+      descriptor: string('Plugin descriptor found in the jar'),
+      checks: arrayOf(object({
+        name: string('Check name'),
+        status: string('Check result', { enum: ['passed', 'warning', 'failed', 'skipped'] }),
+        messages: arrayOf({ type: 'string' })
+      }))
+    }, { description: 'Jar verification report' })),
+    error: nullable(string('Why the build failed')),
+    startTime: integer('Start of the current run, epoch milliseconds'),
+    endTime: nullable(integer('End of the run, epoch milliseconds')),
+    elapsedTime: integer('Milliseconds since the run started, or its duration'),
+    queuePosition: integer('0 while running, else 1-based position in the queue'),
+    estimatedStartTime: string('Estimated start of a queued build', { format: 'date-time' })
+  }, { required: ['status', 'stage', 'prompt'] }),
+
+  QueuedBuild: object({
+    success: { const: true },
+    message: string('What was queued'),
+    buildId: string('Id of the queued build'),
+    status: string('Always queued', { enum: ['queued'] }),
+    stage: string('Stage description'),
+    statusUrl: string('Where to poll for progress'),
+    outputDir: string('Build directory on the server'),
+    parentId: string('Revised build (revisions only)'),
+    rootId: string('First build of the lineage (revisions only)'),
+    revision: integer('Revision number (revisions only)'),
+    fix: boolean('Whether the AI fix loop runs (rebuilds only)'),
+    queuePosition: integer('1-based position in the queue'),
+    estimatedStartTime: string('Estimated start', { format: 'date-time' })
+  }, { required: ['success', 'buildId', 'status', 'statusUrl'] }),
+
+  GenerationRequest: object({
+    prompt: string('What the plugin should do; required unless a template is given', { minLength: 1, maxLength: 1000 }),
+    token: string('Token for the generation API', { minLength: 1 }),
+    template: ref('TemplateInvocation'),
+    options: ref('GenerationOptions'),
+    buildId: string('Id for the new build; generated when left out. Ids chosen by non-admin callers are prefixed with a tag of their owner, so the buildId in the response is the one to use', {
+      pattern: BUILD_ID_PATTERN,
+      'x-pattern-message': BUILD_ID_MESSAGE
+    }),
+    callbackUrl: string('Receives a signed POST when the build finishes', { maxLength: 2000, format: 'uri' }),
+    outputDir: string('Ignored; builds always go to the server\'s plugins directory', { deprecated: true })
+  }, { required: ['token'], additional: false }),
+
+  BatchItem: object({
+    name: string('Label for the item, e.g. the minigame mode', { maxLength: 100 }),
+    prompt: string('What the plugin should do; required unless a template is given', { minLength: 1, maxLength: 1000 }),
+    template: ref('TemplateInvocation'),
+    options: ref('GenerationOptions'),
+    buildId: string('Id for the item\'s build; <batchId>-<n> when left out. Prefixed with an owner tag like the buildId of /api/generate-plugin', {
+      pattern: BUILD_ID_PATTERN,
+      'x-pattern-message': BUILD_ID_MESSAGE
+    }),
+    callbackUrl: string('Overrides the batch callbackUrl for this item', { maxLength: 2000, format: 'uri' })
+  }, { additional: false }),
+
+  BatchRequest: object({
+    items: arrayOf(ref('BatchItem'), { minItems: 1, maxItems: batchMaxItems }),
+    token: string('Token for the generation API', { minLength: 1 }),
+    name: string('Label for the batch', { maxLength: 100 }),
+    options: ref('GenerationOptions'),
+    callbackUrl: string('Receives a signed POST when each build finishes', { maxLength: 2000, format: 'uri' })
+  }, { required: ['items', 'token'], additional: false }),
+
+  Batch: object({
+    success: { const: true },
+    batchId: string('Batch id'),
+    name: nullable(string('Label')),
+    createdAt: string('When the batch was queued', { format: 'date-time' }),
+    status: string('Combined result', { enum: ['queued', 'running', 'completed', 'partial', 'failed'] }),
+    total: integer('Number of items'),
+    finished: integer('Items that have finished'),
+    progress: { type: 'number', description: 'finished / total' },
+    counts: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Items per status' },
+    items: arrayOf(object({
+      index: integer('Position in the request'),
+      name: nullable(string('Label')),
+      buildId: string('Build id'),
+      status: string('Build status, or removed', { enum: BUILD_STATUSES.concat('removed') }),
+      stage: nullable(string('Current stage')),
+      prompt: nullable(string('Prompt sent to the generator')),
+      template: nullable({ type: 'object' }),
+      error: nullable(string('Why the build failed')),
+      artifact: nullable(ref('Artifact')),
+      statusUrl: string('Build status URL')
+    }, { required: ['index', 'buildId', 'status'] })),
+    statusUrl: string('This batch'),
+    downloadUrl: string('Zip of the finished jars')
+  }, { required: ['batchId', 'status', 'items'] }),
+
+  Webhook: object({
+    id: string('Webhook id'),
+    url: string('Receiver URL'),
+    events: arrayOf(string('Event', { enum: WEBHOOK_EVENTS })),
+    owner: string('API key owner'),
+    createdAt: string('Registration time', { format: 'date-time' })
+  }, { required: ['id', 'url', 'events'] }),
+
+  WebhookDelivery: object({
+    id: string('Delivery id, sent as X-Webhook-Id'),
+    event: string('Event', { enum: WEBHOOK_EVENTS }),
+    buildId: string('Build the event is about'),
+    webhookId: nullable(string('Registered webhook; null for a build callbackUrl')),
+    url: string('Receiver URL'),
+    status: string('Delivery state', { enum: ['pending', 'delivered', 'failed'] }),
+    error: nullable(string('Last failure')),
+    attempts: arrayOf(object({
+      at: string('When the attempt was sent', { format: 'date-time' }),
+      durationMs: nullable(integer('Time to the response; null when the address was refused')),
+      statusCode: nullable(integer('HTTP status of the response')),
+      error: nullable(string('Why the attempt failed'))
+    })),
+    createdAt: string('When the event happened', { format: 'date-time' }),
+    deliveredAt: nullable(string('When a 2xx answer came', { format: 'date-time' })),
+    nextAttemptAt: nullable(string('Next retry', { format: 'date-time' })),
+    payload: { type: 'object', description: 'The JSON body that was sent' }
+  }, { required: ['id', 'event', 'buildId', 'url', 'status', 'attempts'] }),
+
+  LogEntry: object({
+    type: string('Stream', { enum: ['stdout', 'stderr', 'system'] }),
+    level: string('Level', { enum: LEVELS }),
+    message: string('Line or system message'),
+    time: nullable(string('When it was logged', { format: 'date-time' }))
+  }, { required: ['type', 'level', 'message'] }),
+
+  SourceFile: object({
+    path: string('Path relative to the project'),
+    size: integer('Size in bytes'),
+    modifiedAt: string('Last change', { format: 'date-time' }),
+    url: string('Where to read it')
+  }),
+
+  ConfigSetting: object({
+    name: string('Environment variable (or CONFIG_FILE key)'),
+    value: nullable(string('Value in effect, "[redacted]" for secrets that are set; null when unset without a default')),
+    source: string('Where the value came from', { enum: ['env', 'file', 'default'] }),
+    default: { description: 'Value used when unset' },
+    description: string('What it controls')
+  }, { required: ['name', 'value', 'source'] })
+});
+
+const buildIdParam = object({ id: string('Build id') }, { required: ['id'] });
+const filePathParams = object({ id: string('Build id'), 0: string('File path inside the project') }, { required: ['id', '0'] });
+const success = (properties, required = []) => object({ success: { const: true }, ...properties }, { required: ['success', ...required] });
+
+const fileWritten = success({
+  buildId: string('Build id'),
+  path: string('Path relative to the project'),
+  size: integer('Size in bytes'),
+  sha256: string('SHA-256 of the new content'),
+  created: boolean('Whether the file is new')
+}, ['path', 'sha256', 'created']);
+
+const health = object({
+  status: string('healthy or degraded', { enum: ['healthy', 'degraded'] }),
+  version: string('Server version'),
+  timestamp: string('Now', { format: 'date-time' }),
+  uptime: { type: 'number', description: 'Seconds since start' },
+  checks: object({ scriptExists: boolean('Build script found'), dirWritable: boolean('Plugins directory writable') })
+}, { required: ['status', 'checks'] });
+
+// Operations keyed by operationId. `path` uses Express syntax; `auth` is
+// "key" (any API key), "admin" or "none", and `queryKey` marks the operations
+// that also take the key as ?apiKey=; `errors` lists the error codes the
+// operation returns besides the common ones (see lib/openapi.js).
+const createOperations = ({ batchMaxItems }) => {
+  const operations = {
+    listTemplates: {
+      method: 'get',
+      path: '/api/templates',
+      tags: ['Generation'],
+      summary: 'List plugin templates and the generation options',
+      responses: {
+        200: success({
+          templates: arrayOf(ref('Template')),
+          options: { type: 'object', description: 'Allowed values of each generation option' }
+        }, ['templates'])
+      }
+    },
+
+    generatePlugin: {
+      method: 'post',
+      path: '/api/generate-plugin',
+      tags: ['Generation'],
+      summary: 'Queue a plugin generation',
+      description: 'Builds the prompt from `prompt`, a template or both, then queues the build. Progress is at the returned statusUrl.',
+      body: ref('GenerationRequest'),
+      responses: { 202: ref('QueuedBuild') },
+      errors: ['BUILD_ID_TAKEN', 'CALLBACKS_DISABLED', 'SCRIPT_MISSING']
+    },
+
+    createBatch: {
+      method: 'post',
+      path: '/api/batches',
+      tags: ['Batches'],
+      summary: `Queue up to ${batchMaxItems} generations at once`,
+      description: 'Nothing is queued unless every item is valid. Batches have their own rate limit instead of counting against generation.',
+      body: ref('BatchRequest'),
+      responses: { 202: ref('Batch') },
+      errors: ['CALLBACKS_DISABLED', 'SCRIPT_MISSING']
+    },
+
+    getBatch: {
+      method: 'get',
+      path: '/api/batches/:id',
+      tags: ['Batches'],
+      summary: 'Per-item progress and the combined result of a batch',
+      params: object({ id: string('Batch id') }, { required: ['id'] }),
+      responses: { 200: ref('Batch') },
+      errors: ['BATCH_NOT_FOUND']
+    },
+
+    downloadBatch: {
+      method: 'get',
+      path: '/api/batches/:id/download',
+      tags: ['Batches'],
+      summary: 'Zip of the batch\'s jars with a manifest.json of which item produced which file',
+      params: object({ id: string('Batch id') }, { required: ['id'] }),
+      responses: { 200: { contentType: 'application/zip', description: 'jars/<buildId>-<file>.jar entries and manifest.json' } },
+      errors: ['BATCH_NOT_FOUND', 'ARTIFACT_NOT_FOUND']
+    },
+
+    registerWebhook: {
+      method: 'post',
+      path: '/api/webhooks',
+      tags: ['Webhooks'],
+      summary: 'Register a webhook for every build the caller\'s API key finishes',
+      description: 'The response carries the signing secret; it is not shown again.',
+      body: object({
+        url: string('Receiver URL (http or https)', { maxLength: 2000, format: 'uri' }),
+        events: arrayOf(string('Event', { enum: WEBHOOK_EVENTS }), { minItems: 1, description: 'Events to send; all by default' })
+      }, { required: ['url'], additional: false }),
+      responses: {
+        201: success({
+          message: string('Reminder to store the secret'),
+          webhook: ref('Webhook'),
+          secret: string('HMAC-SHA256 key for X-Webhook-Signature')
+        }, ['webhook', 'secret'])
+      },
+      errors: ['WEBHOOK_LIMIT_REACHED']
+    },
+
+    listWebhooks: {
+      method: 'get',
+      path: '/api/webhooks',
+      tags: ['Webhooks'],
+      summary: 'The caller\'s registered webhooks',
+      responses: { 200: success({ webhooks: arrayOf(ref('Webhook')) }, ['webhooks']) }
+    },
+
+    listWebhookDeliveries: {
+      method: 'get',
+      path: '/api/webhooks/deliveries',
+      tags: ['Webhooks'],
+      summary: 'Webhook delivery history, newest first',
+      query: object({
+        buildId: string('Only deliveries about this build'),
+        webhookId: string('Only deliveries to this webhook'),
+        status: string('Only deliveries in this state', { enum: ['pending', 'delivered', 'failed'] }),
+        limit: integer('Most deliveries to return', { minimum: 1, maximum: 500, default: 50 })
+      }),
+      responses: {
+        200: success({
+          total: integer('Matching deliveries'),
+          deliveries: arrayOf(ref('WebhookDelivery'))
+        }, ['total', 'deliveries'])
+      }
+    },
+
+    deleteWebhook: {
+      method: 'delete',
+      path: '/api/webhooks/:id',
+      tags: ['Webhooks'],
+      summary: 'Remove a registered webhook',
+      params: object({ id: string('Webhook id') }, { required: ['id'] }),
+      responses: { 200: success({ message: string('Confirmation') }) },
+      errors: ['WEBHOOK_NOT_FOUND']
+    },
+
+    reviseBuild: {
+      method: 'post',
+      path: '/api/builds/:id/revise',
+      tags: ['Builds'],
+      summary: 'Queue a revision of a finished build from a change request',
+      params: buildIdParam,
+      body: object({
+        prompt: string('Change request', { minLength: 1, maxLength: 1000 }),
+        token: string('Token for the generation API', { minLength: 1 }),
+        callbackUrl: string('Receiver of the completion webhook; the parent\'s by default', { maxLength: 2000, format: 'uri' })
+      }, { required: ['prompt', 'token'], additional: false }),
+      responses: { 202: ref('QueuedBuild') },
+      errors: ['BUILD_NOT_FOUND', 'BUILD_IN_PROGRESS', 'NO_PROJECT', 'CALLBACKS_DISABLED', 'SCRIPT_MISSING']
+    },
+
+    listRevisions: {
+      method: 'get',
+      path: '/api/builds/:id/revisions',
+      tags: ['Builds'],
+      summary: 'Revision history of the plugin a build belongs to',
+      params: buildIdParam,
+      responses: {
+        200: success({
+          buildId: string('Requested build'),
+          rootId: string('First build of the lineage'),
+          revisions: arrayOf(object({
+            buildId: string('Build id'),
+            revision: integer('Revision number'),
+            parentId: nullable(string('Revised build')),
+            prompt: string('Prompt or change request'),
+            status: string('Build status', { enum: BUILD_STATUSES }),
+            error: nullable(string('Why it failed')),
+            startTime: integer('Epoch milliseconds'),
+            endTime: nullable(integer('Epoch milliseconds')),
+            artifact: nullable(ref('Artifact')),
+            statusUrl: string('Build status URL')
+          }))
+        }, ['revisions'])
+      },
+      errors: ['BUILD_NOT_FOUND']
+    },
+
+    listBuildFiles: {
+      method: 'get',
+      path: '/api/builds/:id/files',
+      tags: ['Sources'],
+      summary: 'Source files of a build\'s project (target/ excluded)',
+      params: buildIdParam,
+      responses: { 200: success({ buildId: string('Build id'), files: arrayOf(ref('SourceFile')) }, ['files']) },
+      errors: ['BUILD_NOT_FOUND', 'SOURCES_NOT_FOUND']
+    },
+
+    readBuildFile: {
+      method: 'get',
+      path: '/api/builds/:id/files/*',
+      tags: ['Sources'],
+      summary: 'Read one source file; binary files come back base64-encoded',
+      params: filePathParams,
+      responses: {
+        200: success({
+          buildId: string('Build id'),
+          path: string('Path relative to the project'),
+          size: integer('Size in bytes'),
+          modifiedAt: string('Last change', { format: 'date-time' }),
+          sha256: string('SHA-256 of the content; send it back as expectedSha256'),
+          encoding: string('Encoding of content', { enum: ['utf8', 'base64'] }),
+          content: string('File content')
+        }, ['path', 'sha256', 'encoding', 'content'])
+      },
+      errors: ['BUILD_NOT_FOUND', 'SOURCES_NOT_FOUND', 'FILE_NOT_FOUND']
+    },
+
+    writeBuildFile: {
+      method: 'put',
+      path: '/api/builds/:id/files/*',
+      tags: ['Sources'],
+      summary: 'Create or overwrite one source file; takes effect on the next rebuild',
+      params: filePathParams,
+      body: object({
+        content: string('New content'),
+        encoding: string('Encoding of content', { enum: ['utf8', 'base64'], default: 'utf8' }),
+        expectedSha256: string('Only write if the file still has this SHA-256', {
+          pattern: '^[0-9a-f]{64}$',
+          'x-pattern-message': 'must be a lowercase hex SHA-256'
+        })
+      }, { required: ['content'], additional: false }),
+      responses: { 200: fileWritten, 201: fileWritten },
+      errors: ['BUILD_NOT_FOUND', 'SOURCES_NOT_FOUND', 'BUILD_IN_PROGRESS', 'FILE_CHANGED']
+    },
+
+    rebuildBuild: {
+      method: 'post',
+      path: '/api/builds/:id/rebuild',
+      tags: ['Builds'],
+      summary: 'Run Maven again on a finished build\'s (edited) sources',
+      params: buildIdParam,
+      body: object({
+        fix: boolean('Let the AI fix loop repair compile errors (needs token)'),
+        token: string('Token for the generation API', { minLength: 1 }),
+        maxFixAttempts: integer('Most AI fix attempts', { minimum: 1, maximum: 50 })
+      }, { additional: false }),
+      responses: { 202: ref('QueuedBuild') },
+      errors: ['BUILD_NOT_FOUND', 'SOURCES_NOT_FOUND', 'BUILD_IN_PROGRESS', 'NO_PROJECT', 'SCRIPT_MISSING']
+    },
+
+    getBuildStatus: {
+      method: 'get',
+      path: '/api/build-status/:id',
+      tags: ['Builds'],
+      summary: 'Status, stage history and results of a build',
+      params: buildIdParam,
+      responses: { 200: { allOf: [ref('Build'), success({})] } },
+      errors: ['BUILD_NOT_FOUND']
+    },
+
+    cancelBuild: {
+      method: 'post',
+      path: '/api/builds/:id/cancel',
+      tags: ['Builds'],
+      summary: 'Cancel a queued or running build',
+      params: buildIdParam,
+      query: object({ cleanup: boolean('Also delete the build\'s output directory') }),
+      body: object({ cleanup: boolean('Also delete the build\'s output directory') }, { additional: false }),
+      responses: {
+        200: { allOf: [ref('Build'), success({ message: string('Confirmation') })] },
+        202: success({ message: string('Cancellation started'), buildId: string('Build id'), status: { const: 'cancelling' } })
+      },
+      errors: ['BUILD_NOT_FOUND', 'BUILD_FINISHED']
+    },
+
+    streamBuildEvents: {
+      method: 'get',
+      path: '/api/builds/:id/events',
+      tags: ['Builds'],
+      summary: 'Build progress as Server-Sent Events; resume with Last-Event-ID',
+      // EventSource cannot send headers
+      queryKey: true,
+      params: buildIdParam,
+      query: object({ lastEventId: integer('Resume after this event id (or send the Last-Event-ID header)', { minimum: 0 }) }),
+      responses: { 200: { contentType: 'text/event-stream', description: 'log, stage, fix_attempt, status and end events' } },
+      errors: ['BUILD_NOT_FOUND']
+    },
+
+    downloadArtifact: {
+      method: 'get',
+      path: '/api/builds/:id/artifact',
+      tags: ['Artifacts'],
+      summary: 'Download the jar a build produced; supports Range and If-None-Match',
+      params: buildIdParam,
+      responses: { 200: { contentType: 'application/java-archive', description: 'The jar; X-Checksum-SHA256 carries its hash' } },
+      errors: ['BUILD_NOT_FOUND', 'ARTIFACT_NOT_FOUND']
+    },
+
+    getManifest: {
+      method: 'get',
+      path: '/api/builds/:id/manifest',
+      tags: ['Artifacts'],
+      summary: 'plugin.yml metadata of a build\'s jar',
+      params: buildIdParam,
+      responses: {
+        200: success({
+          buildId: string('Build id'),
+          artifact: nullable(ref('Artifact')),
+          manifest: { type: 'object', description: 'Name, main class, commands, permissions... of the plugin descriptor' }
+        }, ['manifest'])
+      },
+      errors: ['BUILD_NOT_FOUND', 'ARTIFACT_NOT_FOUND']
+    },
+
+    downloadSources: {
+      method: 'get',
+      path: '/api/builds/:id/source.zip',
+      tags: ['Sources'],
+      summary: 'Download a build\'s Maven project as a zip',
+      params: buildIdParam,
+      query: object({
+        includeReadme: boolean('Add the generated BUILD-README.md (default true)'),
+        includeLogs: boolean('Add the build log (default false)')
+      }),
+      responses: { 200: { contentType: 'application/zip', description: 'The project without target/' } },
+      errors: ['BUILD_NOT_FOUND', 'SOURCES_NOT_FOUND']
+    },
+
+    downloadByPath: {
+      method: 'get',
+      path: '/api/download',
+      tags: ['Artifacts'],
+      summary: 'Deprecated: download a jar by path; use GET /api/builds/{id}/artifact',
+      deprecated: true,
+      query: object({ path: string('Jar path, starting with the build id', { minLength: 1 }) }, { required: ['path'] }),
+      responses: { 200: { contentType: 'application/java-archive', description: 'The jar' } },
+      errors: ['FORBIDDEN', 'FILE_NOT_FOUND']
+    },
+
+    listPlugins: {
+      method: 'get',
+      path: '/api/plugins',
+      tags: ['Builds'],
+      summary: 'The caller\'s builds with their project and plugin metadata, newest first',
+      query: object({
+        q: string('Free text over ids, prompts, coordinates, plugin names and dependencies'),
+        platform: string('Only this platform, e.g. spigot or paper'),
+        mcVersion: string('Only this Minecraft version; 1.20 matches 1.20.x')
+      }),
+      responses: {
+        200: success({
+          plugins: arrayOf(object({
+            id: string('Build id'),
+            path: string('Build directory'),
+            exists: boolean('Whether the directory still exists'),
+            info: { type: 'object', description: 'pom.xml coordinates, Java version, platform and dependencies' },
+            build: nullable(ref('Build')),
+            manifest: nullable({ type: 'object' }),
+            jarFiles: arrayOf(object({ name: string('File name'), path: string('Path'), size: integer('Bytes') })),
+            createdAt: string('Creation time', { format: 'date-time' })
+          })),
+          baseDir: string('Plugins directory')
+        }, ['plugins'])
+      }
+    },
+
+    getBuildLogs: {
+      method: 'get',
+      path: '/api/builds/:id/logs',
+      tags: ['Builds'],
+      summary: 'A page of a build\'s log',
+      params: buildIdParam,
+      query: object({
+        offset: integer('Entries to skip', { minimum: 0, default: 0 }),
+        limit: integer('Entries to return', { minimum: 1, maximum: 5000, default: 500 }),
+        stream: string('Comma-separated streams to include', {
+          pattern: '^(stdout|stderr|system)(,(stdout|stderr|system))*$',
+          'x-pattern-message': 'must list stdout, stderr or system, comma-separated'
+        }),
+        level: string('Minimum level', { enum: LEVELS })
+      }),
+      responses: {
+        // The build's status fields follow the page; directories without a
+        // build record only have the final status found in their log
+        200: success({
+          logs: arrayOf(ref('LogEntry')),
+          total: integer('Matching entries'),
+          offset: integer('Offset of this page'),
+          limit: integer('Page size'),
+          nextOffset: nullable(integer('Offset of the next page')),
+          source: string('Where the log came from', { enum: ['file', 'memory', 'legacy', 'none'] }),
+          status: string('Build status; unknown when the directory has no build record'),
+          stage: nullable(string('Current stage description'))
+        }, ['logs', 'total', 'status'])
+      },
+      errors: ['BUILD_NOT_FOUND']
+    },
+
+    pinBuild: {
+      method: 'put',
+      path: '/api/builds/:id/pin',
+      tags: ['Builds'],
+      summary: 'Pin a build so retention never deletes it',
+      params: buildIdParam,
+      responses: { 200: success({ buildId: string('Build id'), pinned: boolean('New pin state') }, ['pinned']) },
+      errors: ['BUILD_NOT_FOUND']
+    },
+
+    getRetention: {
+      method: 'get',
+      path: '/api/admin/retention',
+      auth: 'admin',
+      tags: ['Admin'],
+      summary: 'Retention policy and the report of the last run',
+      responses: { 200: success({ policy: { type: 'object' }, lastRun: nullable({ type: 'object' }) }, ['policy']) }
+    },
+
+    getConfig: {
+      method: 'get',
+      path: '/api/admin/config',
+      auth: 'admin',
+      tags: ['Admin'],
+      summary: 'Effective configuration with the source of each value; secrets are redacted',
+      responses: {
+        200: success({
+          configFile: nullable(string('CONFIG_FILE the settings were read from, under the environment')),
+          settings: arrayOf(ref('ConfigSetting')),
+          policies: {
+            type: 'object',
+            description: 'Retention, Maven, scan and webhook policies: their variables and the parsed result',
+            additionalProperties: object({
+              variables: arrayOf(ref('ConfigSetting')),
+              effective: { type: 'object' }
+            }, { required: ['variables', 'effective'] })
+          }
+        }, ['configFile', 'settings', 'policies'])
+      }
+    },
+
+    runRetention: {
+      method: 'post',
+      path: '/api/admin/retention/run',
+      auth: 'admin',
+      tags: ['Admin'],
+      summary: 'Run retention now',
+      query: object({ dryRun: boolean('Only report what would be pruned and deleted') }),
+      body: object({ dryRun: boolean('Only report what would be pruned and deleted') }, { additional: false }),
+      responses: { 200: success({ report: { type: 'object' } }, ['report']) }
+    },
+
+    getDebugInfo: {
+      method: 'get',
+      path: '/api/debug',
+      auth: 'admin',
+      tags: ['Admin'],
+      summary: 'Every file in the plugins directory, for troubleshooting',
+      responses: {
+        200: success({
+          baseDir: string('Plugins directory'),
+          baseDirExists: boolean('Whether it exists'),
+          scriptPath: string('Build script'),
+          scriptExists: boolean('Whether the script exists'),
+          plugins: arrayOf({ type: 'object' }),
+          environment: { type: 'object' }
+        }, ['plugins'])
+      }
+    },
+
+    getMetrics: {
+      method: 'get',
+      path: '/metrics',
+      auth: 'none',
+      tags: ['Operations'],
+      summary: 'Prometheus metrics; needs the METRICS_TOKEN bearer token when one is set',
+      responses: { 200: { contentType: 'text/plain', description: 'Prometheus text format' } },
+      errors: ['UNAUTHORIZED']
+    },
+
+    getHealth: {
+      method: 'get',
+      path: '/health',
+      auth: 'none',
+      tags: ['Operations'],
+      summary: 'Whether the build script exists and the plugins directory is writable',
+      responses: { 200: health, 503: health }
+    }
+  };
+
+  // Routes that are another operation under a second method or path
+  const aliases = {
+    deleteBuild: {
+      ...operations.cancelBuild,
+      method: 'delete',
+      path: '/api/builds/:id',
+      summary: 'Cancel a queued or running build (same as POST /api/builds/{id}/cancel)'
+    },
+    unpinBuild: {
+      ...operations.pinBuild,
+      method: 'delete',
+      summary: 'Unpin a build'
+    },
+    getBuildLogsByQuery: {
+      ...operations.getBuildLogs,
+      path: '/api/build-logs',
+      summary: 'Same as GET /api/builds/{id}/logs with the id as a query parameter',
+      params: null,
+      query: object({ id: string('Build id', { minLength: 1 }), ...operations.getBuildLogs.query.properties }, { required: ['id'] })
+    }
+  };
+
+  return { ...operations, ...aliases };
+};
+
+module.exports = { createComponents, createOperations };
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// SHA-256 of a file, streamed so large jars are not read into memory
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Content-Disposition with a plain ASCII fallback and the RFC 5987 UTF-8 name
+const contentDisposition = (filename, type = 'attachment') => {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Parse a single "bytes=" range against a file size.
+// Returns null for no/unsupported ranges (serve everything), or
+// { start, end } / { unsatisfiable: true }.
+const parseRange = (header, size) => {
+  if (!header) return null;
+  const match = String(header).trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) return { unsatisfiable: true };
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+};
+
+// True when an If-None-Match header matches the ETag
+const etagMatches = (header, etag) => Boolean(header) && (header.trim() === '*' ||
+  header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag));
+
+// Send a file with ETag/If-None-Match, Range/If-Range and download headers
+const sendFile = (req, res, { filePath, size, etag, lastModified, contentType, filename, headers = {} }) => {
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  // A stale If-Range means the client's partial copy is outdated: send it all
+  const ifRange = req.headers['if-range'];
+  const range = !ifRange || ifRange === etag ? parseRange(req.headers.range, size) : null;
+
+  if (range && range.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  res.setHeader('Content-Type', contentType);
+  let stream;
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+    stream = fs.createReadStream(filePath, { start: range.start, end: range.end });
+  } else {
+    res.status(200);
+    res.setHeader('Content-Length', size);
+    stream = fs.createReadStream(filePath);
+  }
+
+  if (req.method === 'HEAD') {
+    stream.destroy();
+    return res.end();
+  }
+
+  stream.on('error', (error) => {
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, code: 'INTERNAL_ERROR', message: `Error streaming file: ${error.message}` });
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+};
+
+module.exports = { hashFile, contentDisposition, parseRange, sendFile };
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Parse "key:owner[:role],key:owner[:role]" into key entries
+const parseKeyList = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry, index) => {
+    const [key, owner, role = 'user'] = entry.split(':');
+    if (!key || !owner) {
+      // Not quoted: the entry may be a key
+      throw new Error(`Invalid API_KEYS entry ${index + 1} (expected key:owner[:role])`);
+    }
+    return { key, owner, role };
+  });
+
+// Read [{ key, owner, role }] or { "<key>": { owner, role } } from a JSON file
+const readKeyFile = (filePath) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read API_KEYS_FILE ${filePath}: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error(`API_KEYS_FILE ${filePath} must contain a JSON array or object of keys`);
+  }
+  const entries = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([key, value]) => ({ key, ...value }));
+  return entries.map(({ key, owner, role = 'user' } = {}) => {
+    if (!key || !owner) {
+      throw new Error(`Invalid entry in ${filePath}: every key needs "key" and "owner"`);
+    }
+    return { key, owner, role };
+  });
+};
+
+const base64UrlDecode = (value) => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+// Verify an HS256 JWT and return its claims, or null
+const verifyJwt = (token, secret) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    if (header.alg !== 'HS256') return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const actual = base64UrlDecode(parts[2]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    const claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && claims.exp < now) return null;
+    if (typeof claims.nbf === 'number' && claims.nbf > now) return null;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Authentication for /api routes using API keys (X-API-Key header or Bearer)
+// or HS256 bearer tokens. Sets req.user = { owner, role }. With nothing
+// configured, auth is disabled and every caller is an anonymous admin.
+//
+// ?apiKey= is only read where `queryKeyAllowed(req)` says so: EventSource
+// cannot send headers, but keys in URLs end up in access and proxy logs.
+// `onFailure(req)` is called for every rejected request, so guessing keys can
+// be throttled.
+const createAuth = ({
+  apiKey = '',
+  apiKeys = '',
+  apiKeysFile = '',
+  jwtSecret = '',
+  queryKeyAllowed = () => false,
+  onFailure = () => {},
+  logger = console
+}) => {
+  const entries = [];
+  if (apiKey) entries.push({ key: apiKey, owner: 'admin', role: 'admin' });
+  if (apiKeys) entries.push(...parseKeyList(apiKeys));
+  if (apiKeysFile) entries.push(...readKeyFile(apiKeysFile));
+
+  // Look keys up by hash so raw keys are not kept around or compared directly
+  const keysByHash = new Map(entries.map(({ key, owner, role }) => [sha256(key), { owner, role }]));
+  const enabled = keysByHash.size > 0 || Boolean(jwtSecret);
+
+  if (!enabled) {
+    logger.warn('No API_KEY, API_KEYS, API_KEYS_FILE or AUTH_JWT_SECRET configured: /api authentication is DISABLED');
+  }
+
+  const identify = (req) => {
+    const header = req.headers.authorization || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    const queryKey = queryKeyAllowed(req) ? req.query.apiKey : null;
+    const key = req.headers['x-api-key'] || queryKey || (bearer && bearer[1]);
+    if (!key) return null;
+
+    const keyUser = keysByHash.get(sha256(key));
+    if (keyUser) return keyUser;
+
+    if (jwtSecret) {
+      const claims = verifyJwt(key, jwtSecret);
+      if (claims && claims.sub) {
+        return { owner: String(claims.sub), role: claims.role === 'admin' ? 'admin' : 'user' };
+      }
+    }
+    return null;
+  };
+
+  const authenticate = (req, res, next) => {
+    if (!enabled) {
+      req.user = { owner: 'anonymous', role: 'admin' };
+      return next();
+    }
+
+    const user = identify(req);
+    if (!user) {
+      onFailure(req);
+      return res.status(401).json({
+        success: false,
+        code: 'UNAUTHORIZED',
+        message: 'Invalid or missing API key'
+      });
+    }
+    req.user = user;
+    next();
+  };
+
+  const isAdmin = (user) => Boolean(user && user.role === 'admin');
+
+  const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'FORBIDDEN',
+        message: 'Admin access required'
+      });
+    }
+    next();
+  };
+
+  // Admins see every build; everyone else only their own. Builds without an
+  // owner predate authentication and are admin-only.
+  const canAccessBuild = (user, build) => isAdmin(user) || Boolean(build && build.owner && user && build.owner === user.owner);
+
+  return { enabled, authenticate, requireAdmin, isAdmin, canAccessBuild };
+};
+
+module.exports = { createAuth, parseKeyList, readKeyFile };
@@ -0,0 +1,41 @@
+// Combined progress of a batch: a set of builds queued by one /api/batches
+// request. A batch only stores which builds it queued; everything else is
+// derived from those builds each time it is asked for.
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'removed'];
+
+// Status of one item; "removed" when its build is no longer in the store
+const itemStatus = (build) => (build ? build.status : 'removed');
+
+// Counts per status plus the batch's overall status:
+//   queued     nothing has started yet
+//   running    some builds are still queued or running
+//   completed  every build succeeded
+//   partial    all finished, some succeeded
+//   failed     all finished, none succeeded
+const summarizeBatch = (builds) => {
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0, removed: 0 };
+  for (const build of builds) {
+    const status = itemStatus(build) === 'initializing' ? 'running' : itemStatus(build);
+    counts[status] = (counts[status] || 0) + 1;
+  }
+
+  const total = builds.length;
+  const finished = FINISHED_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+  let status;
+  if (finished < total) {
+    status = counts.queued === total ? 'queued' : 'running';
+  } else if (counts.completed === total) {
+    status = 'completed';
+  } else {
+    status = counts.completed > 0 ? 'partial' : 'failed';
+  }
+
+  return { status, total, finished, progress: total > 0 ? finished / total : 1, counts };
+};
+
+// Zip entry name of an item's jar in the batch bundle; prefixed with the
+// build id because generated jars often share a file name
+const bundleEntryName = (buildId, fileName) => `jars/${buildId}-${fileName}`;
+
+module.exports = { FINISHED_STATUSES, itemStatus, summarizeBatch, bundleEntryName };
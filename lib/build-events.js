@@ -0,0 +1,64 @@
+const { EventEmitter } = require('events');
+
+// Per-build event history with increasing ids, so streaming clients can
+// reconnect and resume from the last event they saw. Ids keep increasing when
+// a build's history is forgotten and it later runs again (a rebuild), so a
+// client resuming with an id from an earlier run gets every new event.
+const createBuildEvents = ({ maxEventsPerBuild = 5000 } = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const histories = new Map();
+  // Next event id of builds whose history was forgotten
+  const nextIds = new Map();
+
+  const publish = (buildId, type, data = {}) => {
+    let history = histories.get(buildId);
+    if (!history) {
+      history = { nextId: nextIds.get(buildId) || 1, events: [] };
+      histories.set(buildId, history);
+      nextIds.delete(buildId);
+    }
+
+    const event = { id: history.nextId++, type, data, time: Date.now() };
+    history.events.push(event);
+    if (history.events.length > maxEventsPerBuild) {
+      history.events.splice(0, history.events.length - maxEventsPerBuild);
+    }
+
+    emitter.emit(buildId, event);
+    return event;
+  };
+
+  // Buffered events newer than `lastEventId`
+  const since = (buildId, lastEventId = 0) => {
+    const history = histories.get(buildId);
+    return history ? history.events.filter(event => event.id > lastEventId) : [];
+  };
+
+  // Listen for new events; returns the function that stops listening
+  const subscribe = (buildId, listener) => {
+    emitter.on(buildId, listener);
+    return () => emitter.removeListener(buildId, listener);
+  };
+
+  return {
+    publish,
+    since,
+    subscribe,
+    has: (buildId) => histories.has(buildId),
+    // Release a build's buffered events, keeping its id counter
+    forget: (buildId) => {
+      const history = histories.get(buildId);
+      if (!history) return false;
+      nextIds.set(buildId, history.nextId);
+      return histories.delete(buildId);
+    }
+  };
+};
+
+// Write one event in Server-Sent Events wire format
+const writeSseEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, time: event.time })}\n\n`);
+};
+
+module.exports = { createBuildEvents, writeSseEvent };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Per-build log written next to the project as NDJSON, one entry per line:
+// { time, stream: "stdout" | "stderr" | "system", level, message, ...data }.
+// "system" entries record the server's view of the build: stage changes and,
+// with event "status", the final status of each run.
+
+const BUILD_LOG_FILE = 'build-log.ndjson';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Level of a line of script or Maven output
+const detectLevel = (stream, message) => {
+  if (/^\[ERROR\]|❌|\bERROR\b|Exception\b/.test(message)) return 'error';
+  if (/^\[WARN(ING)?\]|⚠️|\bWARN(ING)?\b/.test(message)) return 'warn';
+  if (/^\[DEBUG\]/.test(message)) return 'debug';
+  return stream === 'stderr' ? 'warn' : 'info';
+};
+
+// Appends to a build's log file. Writes to a build directory that is gone
+// (cancelled with cleanup, removed by retention) are dropped.
+const createBuildLog = (filePath, { logger = console } = {}) => {
+  const append = (entries) => {
+    if (entries.length === 0) return;
+    try {
+      fs.appendFileSync(filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`Could not write build log ${filePath}: ${err.message}`);
+      }
+    }
+  };
+
+  return {
+    // Script output, split into one entry per non-empty line
+    output: (stream, text) => {
+      const time = new Date().toISOString();
+      append(text.split('\n')
+        .map(line => line.trimEnd())
+        .filter(line => line.trim())
+        .map(message => ({ time, stream, level: detectLevel(stream, message), message })));
+    },
+
+    system: (message, data = {}, level = 'info') => {
+      append([{ time: new Date().toISOString(), stream: 'system', level, message, ...data }]);
+    }
+  };
+};
+
+// Predicate for ?stream=stdout,stderr and ?level=warn (that level and above)
+const createLogFilter = ({ streams = [], level = '' } = {}) => {
+  const minLevel = LEVELS.indexOf(level);
+  return (entry) => (streams.length === 0 || streams.includes(entry.stream)) &&
+    (minLevel === -1 || LEVELS.indexOf(entry.level) >= minLevel);
+};
+
+// One page of matching entries from a list, plus the total number of matches
+const pageEntries = (entries, { filter, offset = 0, limit = 500 }) => {
+  const matching = entries.filter(filter);
+  return { entries: matching.slice(offset, offset + limit), total: matching.length };
+};
+
+// Read a page of matching entries from a log file without loading it whole.
+// Also returns the last "status" event, which holds the build's final outcome.
+const readBuildLog = async (filePath, { filter, offset = 0, limit = 500 }) => {
+  const entries = [];
+  let total = 0;
+  let finalStatus = null;
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    if (entry.stream === 'system' && entry.event === 'status') {
+      finalStatus = { status: entry.status, stage: entry.stage || null, error: entry.error || null };
+    }
+    if (!filter(entry)) continue;
+    if (total >= offset && entries.length < limit) {
+      entries.push(entry);
+    }
+    total++;
+  }
+
+  return { entries, total, finalStatus };
+};
+
+module.exports = { BUILD_LOG_FILE, LEVELS, detectLevel, createBuildLog, createLogFilter, pageEntries, readBuildLog };
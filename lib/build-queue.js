@@ -0,0 +1,76 @@
+// FIFO job queue that runs at most `concurrency` jobs at a time.
+// Jobs are plain objects with an `id`; `run(job)` returns a promise.
+const createBuildQueue = ({ concurrency = 2, run, logger = console }) => {
+  const pending = [];
+  const running = new Map();
+
+  const pump = () => {
+    while (running.size < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running.set(job.id, { job, startedAt: Date.now() });
+
+      Promise.resolve()
+        .then(() => run(job))
+        .catch(err => logger.error(`Build job ${job.id} crashed:`, err))
+        .finally(() => {
+          running.delete(job.id);
+          pump();
+        });
+    }
+  };
+
+  // 1-based position among waiting jobs, 0 when running, null when unknown
+  const position = (id) => {
+    if (running.has(id)) return 0;
+    const index = pending.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  };
+
+  // Estimate when a waiting job will start, assuming every job takes
+  // `averageDurationMs` and running jobs are that far along already
+  const estimateStartTime = (id, averageDurationMs) => {
+    const pos = position(id);
+    if (pos === null) return null;
+    const now = Date.now();
+    if (pos === 0) return running.get(id).startedAt;
+
+    const slots = Array.from(running.values())
+      .map(({ startedAt }) => Math.max(startedAt + averageDurationMs, now));
+    while (slots.length < concurrency) slots.push(now);
+
+    let start = now;
+    for (let i = 0; i < pos; i++) {
+      slots.sort((a, b) => a - b);
+      start = slots.shift();
+      slots.push(start + averageDurationMs);
+    }
+    return start;
+  };
+
+  return {
+    enqueue: (job) => {
+      pending.push(job);
+      pump();
+      return position(job.id);
+    },
+
+    // Drop a job that has not started yet
+    remove: (id) => {
+      const index = pending.findIndex(job => job.id === id);
+      if (index === -1) return false;
+      pending.splice(index, 1);
+      return true;
+    },
+
+    position,
+    estimateStartTime,
+
+    stats: () => ({
+      concurrency,
+      queued: pending.length,
+      running: running.size
+    })
+  };
+};
+
+module.exports = { createBuildQueue };
@@ -0,0 +1,143 @@
+// Minimal Java class file reader, enough to check a built plugin jar.
+//
+// Reads the constant pool, the class and superclass names, interfaces, the
+// declared methods and, from each method's bytecode, the methods it invokes.
+// An invocation records the string constant loaded by the instruction right
+// before it (as in `getCommand("home")`), so constant arguments can be checked.
+
+const MAGIC = 0xcafebabe;
+
+// Operand bytes of fixed-size instructions; tableswitch, lookupswitch and
+// wide are variable and handled separately
+const operandSize = (opcode) => {
+  if (opcode === 0x10 || opcode === 0x12 || opcode === 0xbc || opcode === 0xa9) return 1; // bipush, ldc, newarray, ret
+  if (opcode >= 0x15 && opcode <= 0x19) return 1; // *load
+  if (opcode >= 0x36 && opcode <= 0x3a) return 1; // *store
+  if (opcode === 0x11 || opcode === 0x13 || opcode === 0x14 || opcode === 0x84) return 2; // sipush, ldc_w, ldc2_w, iinc
+  if (opcode >= 0x99 && opcode <= 0xa8) return 2; // if*, goto, jsr
+  if (opcode >= 0xb2 && opcode <= 0xb8) return 2; // field access, invokevirtual/special/static
+  if (opcode === 0xbb || opcode === 0xbd || opcode === 0xc0 || opcode === 0xc1) return 2; // new, anewarray, checkcast, instanceof
+  if (opcode === 0xc6 || opcode === 0xc7) return 2; // ifnull, ifnonnull
+  if (opcode === 0xc5) return 3; // multianewarray
+  if (opcode === 0xb9 || opcode === 0xba || opcode === 0xc8 || opcode === 0xc9) return 4; // invokeinterface, invokedynamic, goto_w, jsr_w
+  return 0;
+};
+
+const parseClassFile = (buffer) => {
+  let pos = 0;
+  const u1 = () => buffer.readUInt8(pos++);
+  const u2 = () => { const value = buffer.readUInt16BE(pos); pos += 2; return value; };
+  const u4 = () => { const value = buffer.readUInt32BE(pos); pos += 4; return value; };
+
+  if (buffer.length < 10 || u4() !== MAGIC) {
+    throw new Error('Not a Java class file');
+  }
+  pos += 4; // minor and major version
+
+  // Constant pool: index -> { tag, ... }; long and double take two slots
+  const count = u2();
+  const pool = new Array(count);
+  for (let i = 1; i < count; i++) {
+    const tag = u1();
+    switch (tag) {
+      case 1: { // Utf8 (modified UTF-8; plain UTF-8 is close enough for names)
+        const length = u2();
+        pool[i] = { tag, value: buffer.toString('utf8', pos, pos + length) };
+        pos += length;
+        break;
+      }
+      case 3: case 4: pos += 4; pool[i] = { tag }; break;
+      case 5: case 6: pos += 8; pool[i] = { tag }; i++; break;
+      case 7: case 8: case 16: case 19: case 20: pool[i] = { tag, index: u2() }; break;
+      case 9: case 10: case 11: case 12: case 17: case 18: pool[i] = { tag, first: u2(), second: u2() }; break;
+      case 15: pos += 3; pool[i] = { tag }; break;
+      default:
+        throw new Error(`Unknown constant pool tag ${tag} at entry ${i}`);
+    }
+  }
+
+  const utf8 = (index) => (pool[index] && pool[index].tag === 1 ? pool[index].value : null);
+  const className = (index) => (pool[index] && pool[index].tag === 7 ? utf8(pool[index].index) : null);
+  const stringConstant = (index) => (pool[index] && pool[index].tag === 8 ? utf8(pool[index].index) : null);
+  const memberRef = (index) => {
+    const ref = pool[index];
+    if (!ref || ![10, 11].includes(ref.tag)) return null;
+    const nameAndType = pool[ref.second];
+    return { owner: className(ref.first), name: utf8(nameAndType.first), descriptor: utf8(nameAndType.second) };
+  };
+
+  pos += 2; // access flags
+  const name = className(u2());
+  const superIndex = u2();
+  const superName = superIndex === 0 ? null : className(superIndex);
+  const interfaces = [];
+  for (let i = u2(); i > 0; i--) interfaces.push(className(u2()));
+
+  const skipAttributes = () => {
+    for (let i = u2(); i > 0; i--) {
+      pos += 2;
+      pos += u4();
+    }
+  };
+
+  // Fields are skipped entirely
+  for (let i = u2(); i > 0; i--) {
+    pos += 6;
+    skipAttributes();
+  }
+
+  const methods = [];
+  const invocations = [];
+  const readCode = (start, length) => {
+    let pc = 0;
+    let lastString = null;
+    while (pc < length) {
+      const opcode = buffer.readUInt8(start + pc);
+      let size = 1 + operandSize(opcode);
+      let loaded = null;
+
+      if (opcode === 0x12) {
+        loaded = stringConstant(buffer.readUInt8(start + pc + 1));
+      } else if (opcode === 0x13) {
+        loaded = stringConstant(buffer.readUInt16BE(start + pc + 1));
+      } else if (opcode >= 0xb6 && opcode <= 0xb9) {
+        const ref = memberRef(buffer.readUInt16BE(start + pc + 1));
+        if (ref) invocations.push({ ...ref, stringArg: lastString });
+      } else if (opcode === 0xaa || opcode === 0xab) {
+        const padded = pc + 1 + ((4 - ((pc + 1) % 4)) % 4);
+        if (opcode === 0xaa) {
+          const low = buffer.readInt32BE(start + padded + 4);
+          const high = buffer.readInt32BE(start + padded + 8);
+          size = padded - pc + 12 + (high - low + 1) * 4;
+        } else {
+          const pairs = buffer.readInt32BE(start + padded + 4);
+          size = padded - pc + 8 + pairs * 8;
+        }
+      } else if (opcode === 0xc4) {
+        size = buffer.readUInt8(start + pc + 1) === 0x84 ? 6 : 4;
+      }
+
+      lastString = loaded;
+      pc += size;
+    }
+  };
+
+  for (let i = u2(); i > 0; i--) {
+    pos += 2; // access flags
+    const method = { name: utf8(u2()), descriptor: utf8(u2()) };
+    methods.push(method);
+    for (let j = u2(); j > 0; j--) {
+      const attributeName = utf8(u2());
+      const length = u4();
+      if (attributeName === 'Code') {
+        const codeLength = buffer.readUInt32BE(pos + 4);
+        readCode(pos + 8, codeLength);
+      }
+      pos += length;
+    }
+  }
+
+  return { name, superName, interfaces, methods, invocations };
+};
+
+module.exports = { parseClassFile };
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const { parsePolicy, parseTrustProxy } = require('./rate-limit');
+const { parseKeyList, readKeyFile } = require('./auth');
+const { parseRetentionPolicy } = require('./retention');
+const { parseMavenPolicy, mavenPolicyEnv } = require('./maven-policy');
+const { parseScanPolicy, scanPolicyEnv } = require('./safety-scan');
+const { parseWebhookPolicy } = require('./webhooks');
+
+// Server configuration. Every setting is an environment variable; a JSON file
+// named by CONFIG_FILE may set the same names ({ "API_HOST": "...",
+// "BUILD_CONCURRENCY": 4 }), and the environment wins over the file. Values are
+// checked once at startup and every bad one is reported, so a typo stops the
+// server instead of surfacing in the middle of a build.
+
+const SETTINGS = [
+  { name: 'PORT', key: 'port', type: 'integer', min: 1, max: 65535, default: 3001, description: 'HTTP port' },
+  { name: 'SCRIPT_PATH', key: 'scriptPath', type: 'string', description: 'Build script; bash.sh next to the server by default' },
+  { name: 'CORS_ORIGINS', key: 'corsOrigins', type: 'list', default: 'http://localhost:3000,http://127.0.0.1:3000', description: 'Origins allowed to call the API from a browser' },
+  { name: 'SCRIPT_TIMEOUT_SECONDS', key: 'scriptTimeoutSeconds', type: 'integer', min: 1, default: 600, description: 'Longest one build script run may take' },
+  { name: 'API_KEY', key: 'apiKey', type: 'string', secret: true, description: 'Admin API key' },
+  { name: 'API_KEYS', key: 'apiKeys', type: 'keyList', secret: true, description: 'Team keys: "key:owner[:role],..."' },
+  { name: 'API_KEYS_FILE', key: 'apiKeysFile', type: 'keyFile', description: 'JSON file of { key, owner, role } entries' },
+  { name: 'AUTH_JWT_SECRET', key: 'authJwtSecret', type: 'string', secret: true, description: 'Accept HS256 bearer tokens signed with this secret' },
+  { name: 'TRUST_PROXY', key: 'trustProxy', type: 'trustProxy', default: 'false', description: 'Proxies allowed to set X-Forwarded-For' },
+  { name: 'RATE_LIMIT_MAX_KEYS', key: 'rateLimitMaxKeys', type: 'integer', min: 1, default: 10000, description: 'Cap on tracked rate limit clients' },
+  { name: 'RATE_LIMIT_GENERATION', key: 'rateLimits.generation.perKey', type: 'rateLimit', default: '5/60', description: 'Generation requests per API key (max/windowSeconds)' },
+  { name: 'RATE_LIMIT_GENERATION_IP', key: 'rateLimits.generation.perIp', type: 'rateLimit', default: '20/60', description: 'Generation requests per IP' },
+  { name: 'RATE_LIMIT_DOWNLOADS', key: 'rateLimits.downloads.perKey', type: 'rateLimit', default: '60/60', description: 'Downloads per API key' },
+  { name: 'RATE_LIMIT_DOWNLOADS_IP', key: 'rateLimits.downloads.perIp', type: 'rateLimit', default: '120/60', description: 'Downloads per IP' },
+  { name: 'RATE_LIMIT_BATCHES', key: 'rateLimits.batches.perKey', type: 'rateLimit', default: '2/60', description: 'Batch requests per API key' },
+  { name: 'RATE_LIMIT_BATCHES_IP', key: 'rateLimits.batches.perIp', type: 'rateLimit', default: '10/60', description: 'Batch requests per IP' },
+  { name: 'RATE_LIMIT_LISTING', key: 'rateLimits.listing.perKey', type: 'rateLimit', default: '120/60', description: 'Other requests per API key' },
+  { name: 'RATE_LIMIT_LISTING_IP', key: 'rateLimits.listing.perIp', type: 'rateLimit', default: '300/60', description: 'Other requests per IP' },
+  { name: 'RATE_LIMIT_AUTH_FAILURES_IP', key: 'authFailureLimit', type: 'rateLimit', default: '10/60', description: 'Rejected API keys or tokens per IP before it is locked out for the window' },
+  { name: 'LOG_LEVEL', key: 'logLevel', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', description: 'Least severe log level printed' },
+  { name: 'BUILD_CONCURRENCY', key: 'buildConcurrency', type: 'integer', min: 1, max: 64, default: 2, description: 'Parallel bash.sh/Maven runs' },
+  { name: 'BUILD_ESTIMATE_SECONDS', key: 'buildEstimateSeconds', type: 'integer', min: 1, default: 180, description: 'Build duration assumed until builds have run' },
+  { name: 'GENERATION_PROVIDER', key: 'generationProvider', type: 'enum', values: ['http', 'mock'], default: 'http', description: '"http" (AI API) or "mock" (offline)' },
+  { name: 'API_HOST', key: 'apiHost', type: 'url', default: 'http://host.docker.internal:5000', description: 'Upstream AI API for the http provider' },
+  { name: 'PROVIDER_TIMEOUT_SECONDS', key: 'providerTimeoutSeconds', type: 'integer', min: 1, default: 300, description: 'Per upstream attempt' },
+  { name: 'PROVIDER_RETRIES', key: 'providerRetries', type: 'integer', min: 0, max: 10, default: 2, description: 'Upstream retries after a failed attempt' },
+  { name: 'AI_FIX', key: 'aiFix', type: 'boolean', default: true, description: 'Send compile errors of new builds to the fix API' },
+  { name: 'MAX_AI_FIX_ATTEMPTS', key: 'maxFixAttempts', type: 'integer', min: 1, max: 50, default: 50, description: 'Fix API rounds per build' },
+  { name: 'METRICS_TOKEN', key: 'metricsToken', type: 'string', secret: true, description: 'Bearer token required by /metrics when set' },
+  { name: 'PUBLIC_BASE_URL', key: 'publicBaseUrl', type: 'url', description: 'External address of the API, for links in webhook payloads' },
+  { name: 'BATCH_MAX_ITEMS', key: 'batchMaxItems', type: 'integer', min: 1, max: 100, default: 20, description: 'Builds one /api/batches request may queue' },
+  { name: 'VALIDATE_RESPONSES', key: 'validateResponses', type: 'boolean', default: false, description: 'Log responses that do not match the API spec (for testing)' },
+  { name: 'VERIFY_ARTIFACTS', key: 'verifyArtifacts', type: 'enum', values: ['enforce', 'report', 'off'], default: 'enforce', description: 'Jar checks after Maven: enforce (fail the build), report or off' }
+];
+
+// Settings read by the policy parsers of other modules, keyed by policy
+const POLICY_VARIABLES = {
+  retention: ['RETENTION_MAX_AGE_DAYS', 'RETENTION_MAX_TOTAL_MB', 'RETENTION_OWNER_QUOTA_MB', 'RETENTION_KEEP_RECENT',
+    'RETENTION_PRUNE_TARGET_AFTER_HOURS', 'RETENTION_INTERVAL_MINUTES'],
+  maven: ['MAVEN_POLICY', 'MAVEN_ALLOWED_PLUGINS', 'MAVEN_ALLOWED_GROUP_IDS', 'MAVEN_ALLOWED_REPOSITORIES',
+    'MAVEN_TIMEOUT_SECONDS', 'MAVEN_CPU_SECONDS', 'MAVEN_MEMORY_MB', 'MAVEN_SANDBOX', 'MAVEN_REPO_MODE', 'MAVEN_MIRROR_URL', 'MAVEN_LOCAL_REPO'],
+  scan: ['SAFETY_SCAN', 'SCAN_BLOCK_SEVERITY', 'SCAN_IGNORE_RULES'],
+  webhooks: ['WEBHOOK_SECRET', 'WEBHOOK_MAX_ATTEMPTS', 'WEBHOOK_RETRY_BASE_SECONDS', 'WEBHOOK_TIMEOUT_SECONDS',
+    'WEBHOOK_HISTORY_LIMIT', 'WEBHOOK_ALLOW_PRIVATE']
+};
+const POLICY_PARSERS = {
+  retention: parseRetentionPolicy,
+  maven: parseMavenPolicy,
+  scan: parseScanPolicy,
+  webhooks: parseWebhookPolicy
+};
+
+const SECRET_VARIABLES = SETTINGS.filter(setting => setting.secret).map(setting => setting.name).concat('WEBHOOK_SECRET');
+const KNOWN_VARIABLES = SETTINGS.map(setting => setting.name).concat(...Object.values(POLICY_VARIABLES));
+
+// Parse one setting's string value; throws with the reason when it is invalid
+const parseValue = (setting, raw) => {
+  const fail = (expected) => {
+    throw new Error(`${setting.name} "${raw}" is invalid (expected ${expected})`);
+  };
+  switch (setting.type) {
+    case 'integer': {
+      const value = Number(raw);
+      const min = setting.min !== undefined ? setting.min : -Infinity;
+      const max = setting.max !== undefined ? setting.max : Infinity;
+      if (!/^-?\d+$/.test(raw.trim()) || value < min || value > max) {
+        fail(setting.max !== undefined ? `an integer from ${min} to ${max}` : `an integer of at least ${min}`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') fail('true or false');
+      return raw === 'true';
+    case 'enum':
+      if (!setting.values.includes(raw)) fail(`one of ${setting.values.join(', ')}`);
+      return raw;
+    case 'list':
+      return raw.split(',').map(entry => entry.trim()).filter(Boolean);
+    case 'url': {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (err) {
+        fail('an http(s) URL');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') fail('an http(s) URL');
+      return raw.replace(/\/+$/, '');
+    }
+    case 'rateLimit':
+      try {
+        return parsePolicy(raw);
+      } catch (err) {
+        return fail('"max/windowSeconds"');
+      }
+    case 'trustProxy':
+      return parseTrustProxy(raw);
+    // Key lists are parsed here only to be checked; lib/auth.js reads them again
+    case 'keyList':
+      parseKeyList(raw);
+      return raw;
+    case 'keyFile':
+      readKeyFile(raw);
+      return raw;
+    default:
+      return raw;
+  }
+};
+
+// Settings from a CONFIG_FILE as strings, the way the environment has them
+const readConfigFile = (file) => {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read CONFIG_FILE ${file}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`CONFIG_FILE ${file} must contain a JSON object of settings`);
+  }
+
+  const values = {};
+  const problems = [];
+  for (const [name, value] of Object.entries(data)) {
+    if (!KNOWN_VARIABLES.includes(name)) {
+      problems.push(`${name} in ${file} is not a known setting`);
+    } else if (Array.isArray(value) && value.every(entry => typeof entry === 'string')) {
+      values[name] = value.join(',');
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      values[name] = String(value);
+    } else {
+      problems.push(`${name} in ${file} must be a string, number, boolean or list of strings`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+  return values;
+};
+
+const setPath = (target, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let node = target;
+  for (const part of parts) {
+    node[part] = node[part] || {};
+    node = node[part];
+  }
+  node[last] = value;
+};
+
+// Load and check every setting. `baseDir` is where the default build script
+// lives. Throws one error listing all invalid values.
+const loadConfig = ({ env = process.env, baseDir }) => {
+  const configFile = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+
+  // Effective string value and origin of every setting; empty counts as unset
+  const values = {};
+  const sources = {};
+  for (const name of KNOWN_VARIABLES) {
+    if (env[name] !== undefined && env[name] !== '') {
+      values[name] = env[name];
+      sources[name] = 'env';
+    } else if (fileValues[name] !== undefined && fileValues[name] !== '') {
+      values[name] = fileValues[name];
+      sources[name] = 'file';
+    } else {
+      sources[name] = 'default';
+    }
+  }
+
+  const config = { configFile };
+  const problems = [];
+  for (const setting of SETTINGS) {
+    const fallback = setting.name === 'SCRIPT_PATH' ? path.join(baseDir, 'bash.sh') : setting.default;
+    if (values[setting.name] === undefined) {
+      setPath(config, setting.key, fallback === undefined ? '' : parseValue(setting, String(fallback)));
+      continue;
+    }
+    try {
+      setPath(config, setting.key, parseValue(setting, values[setting.name]));
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+  for (const [policy, parse] of Object.entries(POLICY_PARSERS)) {
+    try {
+      config[policy] = parse(values);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration${configFile ? ` (environment and ${configFile})` : ''}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  // Kept off the enumerable keys so the config object itself never gets logged with them
+  Object.defineProperty(config, 'sources', { value: { values, sources, baseDir } });
+  return config;
+};
+
+const REDACTED = '[redacted]';
+
+// Effective settings for the admin view: every variable with the value in
+// effect, where it came from (env, file or default) and what it does. Secrets
+// only show whether they are set; unset policy variables are null, their
+// defaults show in the parsed policy.
+const describeConfig = (config) => {
+  const { values, sources } = config.sources;
+  const describe = (name, fallback = null, extra = {}) => ({
+    name,
+    value: SECRET_VARIABLES.includes(name) ? (values[name] ? REDACTED : null) : (values[name] === undefined ? fallback : values[name]),
+    source: sources[name],
+    ...extra
+  });
+
+  return {
+    configFile: config.configFile,
+    settings: SETTINGS.map((setting) => {
+      const fallback = setting.name === 'SCRIPT_PATH' ? path.join(config.sources.baseDir, 'bash.sh') : setting.default;
+      return describe(setting.name, fallback === undefined ? null : String(fallback), {
+        default: fallback === undefined ? null : fallback,
+        description: setting.description
+      });
+    }),
+    policies: Object.fromEntries(Object.keys(POLICY_VARIABLES).map(policy => [policy, {
+      variables: POLICY_VARIABLES[policy].map(name => describe(name)),
+      effective: policy === 'webhooks'
+        ? { ...config.webhooks, secret: config.webhooks.secret ? REDACTED : null }
+        : config[policy]
+    }]))
+  };
+};
+
+// Environment for bash.sh: the server's own environment without its secrets,
+// plus every value the script reads, resolved here. SKIP_USER_CONFIG keeps the
+// script from sourcing ~/.minecraft_plugin_generator.conf, which is only meant
+// for running it by hand.
+const scriptEnvironment = (config, env = process.env) => {
+  const inherited = { ...env };
+  for (const name of SECRET_VARIABLES.concat('CONFIG_FILE')) {
+    delete inherited[name];
+  }
+  return {
+    ...inherited,
+    SKIP_USER_CONFIG: 'true',
+    AI_FIX: String(config.aiFix),
+    MAX_AI_FIX_ATTEMPTS: String(config.maxFixAttempts),
+    ...mavenPolicyEnv(config.maven),
+    ...scanPolicyEnv(config.scan)
+  };
+};
+
+module.exports = { SETTINGS, POLICY_VARIABLES, loadConfig, describeConfig, scriptEnvironment };
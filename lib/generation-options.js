@@ -0,0 +1,121 @@
+// Generation options a client can set next to the prompt: the server platform,
+// the API version, the Java version and the base package. They are validated
+// here, stored on the build, sent to the generator as `options` and spelled
+// out in the prompt for generators that only read the prompt.
+
+const PLATFORMS = {
+  spigot: { label: 'Spigot', versionKind: 'minecraft' },
+  paper: { label: 'Paper', versionKind: 'minecraft' },
+  bungeecord: { label: 'BungeeCord', versionKind: 'minecraft' },
+  velocity: { label: 'Velocity', versionKind: 'velocity' }
+};
+
+const JAVA_VERSIONS = [8, 11, 17, 21];
+
+// Oldest supported Java release that runs a Minecraft version's server
+const requiredJavaVersion = (mcVersion) => {
+  const [, minor = 0, patch = 0] = mcVersion.split('.').map(Number);
+  if (minor > 20 || (minor === 20 && patch >= 5)) return 21;
+  if (minor >= 17) return 17;
+  return 8;
+};
+
+const JAVA_KEYWORDS = new Set(['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+  'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for',
+  'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package',
+  'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized',
+  'this', 'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while', 'true', 'false', 'null']);
+
+// Packages that belong to the JDK or the server
+const RESERVED_PACKAGES = /^(java|javax|sun|jdk|org\.bukkit|org\.spigotmc|io\.papermc|net\.md_5|com\.velocitypowered|net\.minecraft)(\.|$)/;
+
+// Validate `input` (the request's `options` object). Returns the normalized
+// options, with javaVersion derived from mcVersion when it is left out, and a
+// list of error messages.
+const validateGenerationOptions = (input) => {
+  if (input === undefined || input === null) {
+    return { options: null, errors: [] };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, errors: ['options must be an object'] };
+  }
+
+  const errors = [];
+  const known = ['platform', 'mcVersion', 'javaVersion', 'packageName'];
+  for (const key of Object.keys(input)) {
+    if (!known.includes(key)) errors.push(`Unknown option "${key}" (expected ${known.join(', ')})`);
+  }
+
+  const options = {};
+  if (input.platform !== undefined) {
+    const platform = String(input.platform).toLowerCase();
+    if (!PLATFORMS[platform]) {
+      errors.push(`platform must be one of ${Object.keys(PLATFORMS).join(', ')}`);
+    } else {
+      options.platform = platform;
+    }
+  }
+
+  if (input.mcVersion !== undefined) {
+    const mcVersion = String(input.mcVersion);
+    const kind = options.platform ? PLATFORMS[options.platform].versionKind : 'minecraft';
+    if (kind === 'velocity' ? !/^3\.\d+(\.\d+)?$/.test(mcVersion) : !/^1\.(8|9|[1-9]\d)(\.\d{1,2})?$/.test(mcVersion)) {
+      errors.push(kind === 'velocity'
+        ? 'mcVersion must be a Velocity API version such as 3.3.0'
+        : 'mcVersion must be a Minecraft version from 1.8 on, such as 1.20.4');
+    } else {
+      options.mcVersion = mcVersion;
+    }
+  }
+
+  const needsJava = options.mcVersion && (!options.platform || PLATFORMS[options.platform].versionKind === 'minecraft')
+    ? requiredJavaVersion(options.mcVersion)
+    : null;
+  if (input.javaVersion !== undefined) {
+    const javaVersion = Number(String(input.javaVersion).replace(/^1\.(\d+)$/, '$1'));
+    if (!JAVA_VERSIONS.includes(javaVersion)) {
+      errors.push(`javaVersion must be one of ${JAVA_VERSIONS.join(', ')}`);
+    } else if (needsJava && javaVersion < needsJava) {
+      errors.push(`Minecraft ${options.mcVersion} needs Java ${needsJava} or newer`);
+    } else {
+      options.javaVersion = javaVersion;
+    }
+  } else if (needsJava) {
+    options.javaVersion = needsJava;
+  }
+
+  if (input.packageName !== undefined) {
+    const packageName = String(input.packageName);
+    const parts = packageName.split('.');
+    if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)+$/.test(packageName) || packageName.length > 100) {
+      errors.push('packageName must be a lowercase Java package with at least two parts, such as com.example.homes');
+    } else if (parts.some(part => JAVA_KEYWORDS.has(part))) {
+      errors.push('packageName must not contain Java keywords');
+    } else if (RESERVED_PACKAGES.test(packageName)) {
+      errors.push('packageName must not be inside a JDK or server package');
+    } else {
+      options.packageName = packageName;
+    }
+  }
+
+  return { options: Object.keys(options).length > 0 ? options : null, errors };
+};
+
+// Prompt lines stating the options, for generators that only read the prompt
+const describeGenerationOptions = (options) => {
+  if (!options) return '';
+  const lines = [];
+  if (options.platform) {
+    lines.push(`Target platform: ${PLATFORMS[options.platform].label}`);
+  }
+  if (options.mcVersion) {
+    lines.push(options.platform === 'velocity'
+      ? `Velocity API version: ${options.mcVersion}`
+      : `Minecraft API version: ${options.mcVersion}`);
+  }
+  if (options.javaVersion) lines.push(`Java version: ${options.javaVersion}`);
+  if (options.packageName) lines.push(`Base package: ${options.packageName}`);
+  return lines.join('\n');
+};
+
+module.exports = { PLATFORMS, JAVA_VERSIONS, requiredJavaVersion, validateGenerationOptions, describeGenerationOptions };
@@ -0,0 +1,244 @@
+const { openZip } = require('./zip');
+const { parseClassFile } = require('./class-file');
+const { DESCRIPTORS, normalizeDescriptor } = require('./plugin-manifest');
+const { parseYaml } = require('./yaml');
+
+// Checks on a built plugin jar, so a build only counts as successful when a
+// server could load what it produced:
+//
+//   mainClass    the descriptor's main class is in the jar and extends the platform's plugin class
+//   commands     plugin.yml commands and the getCommand(...) calls in code match
+//   apiVersion   api-version is a valid version, not newer than the API built against
+//   shading      no server API classes or unrelocated server libraries shaded in, no stale signatures
+//
+// Each check reports "passed", "warning", "failed" or "skipped" with messages;
+// the report fails when any check does.
+
+// Plugin base classes by descriptor
+const PLUGIN_BASE_CLASSES = {
+  'plugin.yml': ['org/bukkit/plugin/java/JavaPlugin'],
+  'paper-plugin.yml': ['org/bukkit/plugin/java/JavaPlugin'],
+  'bungee.yml': ['net/md_5/bungee/api/plugin/Plugin']
+};
+
+// Packages the server provides; shading them in breaks class loading
+const SERVER_API_PACKAGES = ['org/bukkit/', 'org/spigotmc/', 'io/papermc/', 'com/destroystokyo/paper/',
+  'net/md_5/bungee/', 'com/velocitypowered/', 'net/minecraft/'];
+
+// Libraries the server bundles; shading them without relocation clashes with its copy
+const SERVER_LIBRARY_PACKAGES = ['com/google/gson/', 'com/google/common/', 'org/yaml/snakeyaml/',
+  'net/kyori/adventure/', 'org/apache/commons/lang/', 'org/apache/commons/lang3/', 'it/unimi/dsi/fastutil/'];
+
+const COMMAND_LOOKUPS = ['getCommand', 'getPluginCommand'];
+
+const API_VERSION = /^1\.(1[3-9]|[2-9]\d)(\.\d+)?$/;
+
+// "1.20.4" -> [1, 20, 4]
+const versionParts = (version) => String(version).split('.').map(part => parseInt(part, 10) || 0);
+const compareVersions = (a, b) => {
+  const left = versionParts(a);
+  const right = versionParts(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if ((left[i] || 0) !== (right[i] || 0)) return (left[i] || 0) - (right[i] || 0);
+  }
+  return 0;
+};
+
+const check = (name, status, messages = []) => ({ name, status, messages });
+
+const checkMainClass = (manifest, classes) => {
+  if (!manifest.main) {
+    return check('mainClass', 'failed', [`${manifest.descriptor} does not declare a main class`]);
+  }
+  const entry = manifest.main.replace(/\./g, '/');
+  if (!classes.has(entry)) {
+    return check('mainClass', 'failed', [`Main class ${manifest.main} is not in the jar`]);
+  }
+
+  const bases = PLUGIN_BASE_CLASSES[manifest.descriptor];
+  if (!bases) {
+    return check('mainClass', 'passed', [`Main class ${manifest.main} found`]);
+  }
+
+  // Follow the superclass chain through the jar's own classes
+  const seen = new Set();
+  let current = entry;
+  while (classes.has(current) && !seen.has(current)) {
+    seen.add(current);
+    current = classes.get(current).superName;
+  }
+  if (bases.includes(current)) {
+    return check('mainClass', 'passed', [`Main class ${manifest.main} extends ${current.replace(/\//g, '.')}`]);
+  }
+  if (!current || current === 'java/lang/Object') {
+    return check('mainClass', 'failed', [`Main class ${manifest.main} does not extend ${bases[0].replace(/\//g, '.')}`]);
+  }
+  return check('mainClass', 'warning', [
+    `Main class ${manifest.main} extends ${current.replace(/\//g, '.')}, which is not in the jar; could not confirm it is a ${bases[0].replace(/\//g, '.')}`
+  ]);
+};
+
+const checkCommands = (manifest, classes) => {
+  if (manifest.descriptor !== 'plugin.yml') {
+    return check('commands', 'skipped', [`${manifest.descriptor} plugins register commands in code only`]);
+  }
+
+  const registered = new Set();
+  let dynamicLookups = 0;
+  for (const parsed of classes.values()) {
+    for (const call of parsed.invocations) {
+      if (!COMMAND_LOOKUPS.includes(call.name) || !/^\(Ljava\/lang\/String;\)/.test(call.descriptor || '')) continue;
+      if (call.stringArg === null) dynamicLookups++;
+      else registered.add(call.stringArg.toLowerCase());
+    }
+  }
+
+  const declared = new Map();
+  for (const command of manifest.commands) {
+    declared.set(command.name.toLowerCase(), command.name);
+    for (const alias of command.aliases) declared.set(alias.toLowerCase(), command.name);
+  }
+
+  const messages = [];
+  let status = 'passed';
+
+  // getCommand() returns null for undeclared commands, so setExecutor() throws on enable
+  for (const name of registered) {
+    if (!declared.has(name)) {
+      status = 'failed';
+      messages.push(`Command "${name}" is looked up in code but not declared in plugin.yml`);
+    }
+  }
+
+  // Declared commands without an executor fall back to the main class's onCommand
+  const mainClass = manifest.main ? classes.get(manifest.main.replace(/\./g, '/')) : null;
+  const handlesCommands = Boolean(mainClass && mainClass.methods.some(method => method.name === 'onCommand'));
+  for (const command of manifest.commands) {
+    const names = [command.name].concat(command.aliases).map(name => name.toLowerCase());
+    if (!names.some(name => registered.has(name)) && !handlesCommands && dynamicLookups === 0) {
+      if (status === 'passed') status = 'warning';
+      messages.push(`Command "${command.name}" is declared in plugin.yml but never registered and the main class has no onCommand`);
+    }
+  }
+  if (dynamicLookups > 0) {
+    messages.push(`${dynamicLookups} command lookups use computed names and could not be checked`);
+  }
+  if (messages.length === 0) {
+    messages.push(`${manifest.commands.length} declared commands match the code`);
+  }
+  return check('commands', status, messages);
+};
+
+const checkApiVersion = (manifest, { minecraftVersion } = {}) => {
+  if (manifest.descriptor !== 'plugin.yml' && manifest.descriptor !== 'paper-plugin.yml') {
+    return check('apiVersion', 'skipped', [`${manifest.descriptor} has no api-version`]);
+  }
+  if (manifest.rawApiVersion === null) {
+    return manifest.descriptor === 'paper-plugin.yml'
+      ? check('apiVersion', 'failed', ['paper-plugin.yml requires an api-version'])
+      : check('apiVersion', 'warning', ['No api-version: the server loads the plugin in legacy (pre-1.13) mode']);
+  }
+  if (typeof manifest.rawApiVersion === 'number' && !API_VERSION.test(manifest.apiVersion)) {
+    return check('apiVersion', 'failed', [
+      `api-version is the number ${manifest.rawApiVersion}; quote it (e.g. '1.20') so it is not read as a different version`
+    ]);
+  }
+  if (!API_VERSION.test(manifest.apiVersion)) {
+    return check('apiVersion', 'failed', [`api-version "${manifest.apiVersion}" is not a valid version (1.13 or later)`]);
+  }
+  if (minecraftVersion && compareVersions(manifest.apiVersion, minecraftVersion) > 0) {
+    return check('apiVersion', 'failed', [
+      `api-version ${manifest.apiVersion} is newer than the ${minecraftVersion} API the plugin is built against`
+    ]);
+  }
+  return check('apiVersion', 'passed', [`api-version ${manifest.apiVersion}`]);
+};
+
+const checkShading = (names) => {
+  const messages = [];
+  let status = 'passed';
+  const classNames = names.filter(name => name.endsWith('.class'));
+
+  for (const prefix of SERVER_API_PACKAGES) {
+    const clashes = classNames.filter(name => name.startsWith(prefix));
+    if (clashes.length > 0) {
+      status = 'failed';
+      messages.push(`${clashes.length} classes from the server API (${prefix.slice(0, -1).replace(/\//g, '.')}) are shaded in; mark the dependency as provided`);
+    }
+  }
+  for (const prefix of SERVER_LIBRARY_PACKAGES) {
+    const clashes = classNames.filter(name => name.startsWith(prefix));
+    if (clashes.length > 0) {
+      if (status === 'passed') status = 'warning';
+      messages.push(`${clashes.length} classes of ${prefix.slice(0, -1).replace(/\//g, '.')} are shaded without relocation and clash with the server's copy`);
+    }
+  }
+  const signatures = names.filter(name => /^META-INF\/[^/]+\.(SF|DSA|RSA|EC)$/i.test(name));
+  if (signatures.length > 0) {
+    status = 'failed';
+    messages.push(`Signature files from shaded jars (${signatures.join(', ')}) make the jar fail to load with "Invalid signature file digest"`);
+  }
+  if (messages.length === 0) {
+    messages.push('No server classes or unrelocated server libraries shaded in');
+  }
+  return check('shading', status, messages);
+};
+
+// Verify a jar's contents. `pom` is the parsed project pom (see lib/pom.js),
+// used to compare api-version with the API version built against.
+const verifyJar = (buffer, { pom = null } = {}) => {
+  const zip = openZip(buffer);
+  const names = zip.names();
+  const descriptor = DESCRIPTORS.find(name => zip.has(name));
+  if (!descriptor) {
+    return {
+      status: 'failed',
+      checks: [check('descriptor', 'failed', ['No plugin.yml, paper-plugin.yml, bungee.yml or velocity-plugin.json in the jar'])]
+    };
+  }
+
+  let manifest;
+  try {
+    const text = zip.read(descriptor).toString('utf8');
+    manifest = normalizeDescriptor(descriptor.endsWith('.json') ? JSON.parse(text) : parseYaml(text), descriptor);
+  } catch (err) {
+    return { status: 'failed', checks: [check('descriptor', 'failed', [`Could not parse ${descriptor}: ${err.message}`])] };
+  }
+
+  const classes = new Map();
+  const unreadable = [];
+  for (const name of names.filter(entry => entry.endsWith('.class') && !entry.startsWith('META-INF/'))) {
+    try {
+      classes.set(name.slice(0, -'.class'.length), parseClassFile(zip.read(name)));
+    } catch (err) {
+      // A compression bomb fails the whole jar, not just one class
+      if (err.code === 'ZIP_TOO_LARGE') throw err;
+      unreadable.push(name);
+    }
+  }
+
+  const checks = [
+    checkMainClass(manifest, classes),
+    checkCommands(manifest, classes),
+    checkApiVersion(manifest, { minecraftVersion: pom && pom.minecraftVersion }),
+    checkShading(names)
+  ];
+  if (unreadable.length > 0) {
+    checks.push(check('classes', 'warning', [`${unreadable.length} class files could not be read: ${unreadable.slice(0, 5).join(', ')}`]));
+  }
+
+  const statuses = checks.map(item => item.status);
+  return {
+    status: statuses.includes('failed') ? 'failed' : statuses.includes('warning') ? 'warnings' : 'passed',
+    descriptor,
+    checks
+  };
+};
+
+// One line naming the failed checks, for a build's error message
+const summarizeFailures = (report) => report.checks
+  .filter(item => item.status === 'failed')
+  .map(item => item.messages[0])
+  .join('; ');
+
+module.exports = { verifyJar, summarizeFailures };
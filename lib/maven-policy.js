@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const { readPom } = require('./pom');
+
+// Limits and allow-lists for the Maven builds bash.sh runs on generated code.
+//
+// The sandbox itself (time, CPU and heap limits, bubblewrap, repository mode)
+// is applied by bash.sh from the MAVEN_* variables in `mavenPolicyEnv`. Before
+// every Maven run the script also calls this file as a CLI to check the
+// project's pom.xml against the plugin and groupId allow-lists:
+//
+//   node lib/maven-policy.js <project dir>
+//
+// which prints { "violations": [{ rule, message }] } and exits with 2 when
+// the build must not run.
+
+// Build plugins that only compile, package and copy files. Surefire is left
+// out: bash.sh skips tests with -Dmaven.test.skip=true, and a pom that
+// declares the plugin could configure it to run them anyway.
+const DEFAULT_ALLOWED_PLUGINS = [
+  'org.apache.maven.plugins:maven-clean-plugin',
+  'org.apache.maven.plugins:maven-resources-plugin',
+  'org.apache.maven.plugins:maven-compiler-plugin',
+  'org.apache.maven.plugins:maven-jar-plugin',
+  'org.apache.maven.plugins:maven-shade-plugin',
+  'org.apache.maven.plugins:maven-assembly-plugin',
+  'org.apache.maven.plugins:maven-source-plugin',
+  'org.apache.maven.plugins:maven-javadoc-plugin',
+  'org.apache.maven.plugins:maven-install-plugin',
+  'org.apache.maven.plugins:maven-deploy-plugin',
+  'org.apache.maven.plugins:maven-site-plugin'
+];
+
+// Server APIs and the libraries plugins commonly build against
+const DEFAULT_ALLOWED_GROUP_IDS = [
+  'org.spigotmc', 'org.bukkit', 'io.papermc', 'io.papermc.*', 'com.destroystokyo.paper', 'dev.folia',
+  'org.purpurmc', 'org.purpurmc.*', 'net.md-5', 'com.velocitypowered', 'net.kyori',
+  'org.jetbrains', 'com.google.code.gson', 'com.google.guava', 'org.apache.commons', 'commons-io', 'commons-lang',
+  'org.yaml', 'org.bstats', 'me.clip', 'com.github.MilkBowl', 'net.luckperms',
+  'com.zaxxer', 'org.xerial', 'com.mysql', 'mysql', 'org.mariadb.jdbc',
+  'junit', 'org.junit', 'org.junit.*', 'org.mockito', 'org.ow2.asm'
+];
+
+// Repositories a pom may declare in online mode: Maven Central and the hosts
+// of the server APIs and libraries above. Entries match the URL itself or
+// anything below it.
+const DEFAULT_ALLOWED_REPOSITORIES = [
+  'https://repo.maven.apache.org/maven2',
+  'https://repo1.maven.org/maven2',
+  'https://hub.spigotmc.org/nexus/content/repositories',
+  'https://repo.papermc.io/repository/maven-public',
+  'https://repo.purpurmc.org/snapshots',
+  'https://oss.sonatype.org/content/repositories',
+  'https://s01.oss.sonatype.org/content/repositories',
+  'https://repo.codemc.org/repository/maven-public',
+  'https://repo.extendedclip.com/content/repositories/placeholderapi',
+  'https://jitpack.io'
+];
+
+// Builds fail when bubblewrap cannot run, unless the sandbox is turned off;
+// there is no mode that quietly builds without it
+const SANDBOX_MODES = ['bwrap', 'off'];
+const REPO_MODES = ['online', 'offline', 'mirror'];
+
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseLimit = (name, value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${name} "${value}" (expected a non-negative whole number; 0 turns the limit off)`);
+  }
+  return number;
+};
+
+// "HTTPS://Repo.Example.org/maven/" -> "https://repo.example.org/maven"
+const normalizeRepositoryUrl = (url) => String(url || '').trim()
+  .replace(/^[a-z]+:\/\/[^/]+/i, origin => origin.toLowerCase())
+  .replace(/\/+$/, '');
+
+const parseChoice = (name, value, choices, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  if (!choices.includes(value)) {
+    throw new Error(`Invalid ${name} "${value}" (expected one of ${choices.join(', ')})`);
+  }
+  return value;
+};
+
+// Maven settings from MAVEN_* environment variables. MAVEN_ALLOWED_PLUGINS
+// ("groupId:artifactId,..."), MAVEN_ALLOWED_GROUP_IDS and
+// MAVEN_ALLOWED_REPOSITORIES (repository URLs) add to the built-in
+// allow-lists; "*" matches any part of a plugin or group name.
+const parseMavenPolicy = (env = process.env) => {
+  const policy = {
+    enforce: parseChoice('MAVEN_POLICY', env.MAVEN_POLICY, ['enforce', 'off'], 'enforce') === 'enforce',
+    allowedPlugins: Array.from(new Set(DEFAULT_ALLOWED_PLUGINS.concat(parseList(env.MAVEN_ALLOWED_PLUGINS)))),
+    allowedGroupIds: Array.from(new Set(DEFAULT_ALLOWED_GROUP_IDS.concat(parseList(env.MAVEN_ALLOWED_GROUP_IDS)))),
+    allowedRepositories: Array.from(new Set(DEFAULT_ALLOWED_REPOSITORIES
+      .concat(parseList(env.MAVEN_ALLOWED_REPOSITORIES).map(normalizeRepositoryUrl)))),
+    timeoutSeconds: parseLimit('MAVEN_TIMEOUT_SECONDS', env.MAVEN_TIMEOUT_SECONDS, 300),
+    cpuSeconds: parseLimit('MAVEN_CPU_SECONDS', env.MAVEN_CPU_SECONDS, 600),
+    memoryMb: parseLimit('MAVEN_MEMORY_MB', env.MAVEN_MEMORY_MB, 1024),
+    sandbox: parseChoice('MAVEN_SANDBOX', env.MAVEN_SANDBOX, SANDBOX_MODES, 'bwrap'),
+    repoMode: parseChoice('MAVEN_REPO_MODE', env.MAVEN_REPO_MODE, REPO_MODES, 'online'),
+    mirrorUrl: env.MAVEN_MIRROR_URL || '',
+    localRepo: env.MAVEN_LOCAL_REPO || ''
+  };
+
+  for (const plugin of policy.allowedPlugins) {
+    if (!/^[^:\s]+:[^:\s]+$/.test(plugin)) {
+      throw new Error(`Invalid MAVEN_ALLOWED_PLUGINS entry "${plugin}" (expected groupId:artifactId)`);
+    }
+  }
+  for (const repository of policy.allowedRepositories) {
+    if (!/^https?:\/\/[^/\s]+/.test(repository)) {
+      throw new Error(`Invalid MAVEN_ALLOWED_REPOSITORIES entry "${repository}" (expected an http(s) URL)`);
+    }
+  }
+  if (policy.repoMode === 'mirror' && !/^https?:\/\/\S+$/.test(policy.mirrorUrl)) {
+    throw new Error('MAVEN_REPO_MODE=mirror needs MAVEN_MIRROR_URL set to an http(s) repository URL');
+  }
+  if (policy.localRepo && !path.isAbsolute(policy.localRepo)) {
+    throw new Error(`MAVEN_LOCAL_REPO must be an absolute path, got "${policy.localRepo}"`);
+  }
+  return policy;
+};
+
+// Environment for bash.sh carrying a parsed policy
+const mavenPolicyEnv = (policy) => ({
+  MAVEN_POLICY: policy.enforce ? 'enforce' : 'off',
+  MAVEN_ALLOWED_PLUGINS: policy.allowedPlugins.join(','),
+  MAVEN_ALLOWED_GROUP_IDS: policy.allowedGroupIds.join(','),
+  MAVEN_ALLOWED_REPOSITORIES: policy.allowedRepositories.join(','),
+  MAVEN_TIMEOUT_SECONDS: String(policy.timeoutSeconds),
+  MAVEN_CPU_SECONDS: String(policy.cpuSeconds),
+  MAVEN_MEMORY_MB: String(policy.memoryMb),
+  MAVEN_SANDBOX: policy.sandbox,
+  MAVEN_REPO_MODE: policy.repoMode,
+  MAVEN_MIRROR_URL: policy.mirrorUrl,
+  ...(policy.localRepo ? { MAVEN_LOCAL_REPO: policy.localRepo } : {}),
+  MAVEN_POLICY_SCRIPT: __filename
+});
+
+const patternToRegExp = (pattern) => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+const matchesAny = (patterns, value) => patterns.some(pattern => patternToRegExp(pattern).test(value || ''));
+
+// javac options that load code from outside the checked dependencies:
+// processor paths and names, compiler plugins and JVM options of javac itself
+const COMPILER_CODE_OPTIONS = /^(-processor|--processor-path|--processor-module-path|-Xplugin|-J)/;
+
+// Whether a processor class is in a package of an allowed groupId, such as
+// org.jetbrains.annotations.Processor for org.jetbrains
+const processorAllowed = (patterns, className) => {
+  const packageParts = String(className || '').split('.').slice(0, -1);
+  return packageParts.some((part, index) => matchesAny(patterns, packageParts.slice(0, index + 1).join('.')));
+};
+
+const repositoryAllowed = (allowed, url) => {
+  const normalized = normalizeRepositoryUrl(url);
+  return Boolean(normalized) && allowed.some(entry => normalized === entry || normalized.startsWith(`${entry}/`));
+};
+
+// Rule violations of a parsed pom (see lib/pom.js); `projectDir` is checked
+// for .mvn/ files that change how Maven itself runs
+const checkPom = (pom, policy, { projectDir } = {}) => {
+  const violations = [];
+  const add = (rule, message) => violations.push({ rule, message });
+
+  const checkDependencies = (dependencies, where) => {
+    for (const dep of dependencies) {
+      if (!matchesAny(policy.allowedGroupIds, dep.groupId)) {
+        add('groupId', `${where} ${dep.groupId}:${dep.artifactId} uses a groupId that is not on the allow-list`);
+      }
+      if (dep.scope === 'system') {
+        add('systemScope', `${where} ${dep.groupId}:${dep.artifactId} has system scope, which reads files from the build host`);
+      }
+    }
+  };
+
+  // Only online mode resolves from the URLs a pom declares: mirror mode sends
+  // every request to the mirror and offline mode makes none. Any other
+  // repository could serve its own artifacts under allowed coordinates.
+  const checkRepositories = (repositories, where) => {
+    if (policy.repoMode !== 'online') return;
+    for (const repo of repositories || []) {
+      if (!repositoryAllowed(policy.allowedRepositories, repo.url)) {
+        add('repository', `${where} ${repo.id || '(no id)'} at ${repo.url || '(no url)'} is not on the allow-list`);
+      }
+    }
+  };
+
+  const checkPlugins = (plugins, where) => {
+    for (const plugin of plugins) {
+      const coordinates = `${plugin.groupId}:${plugin.artifactId}`;
+      if (!matchesAny(policy.allowedPlugins, coordinates)) {
+        add('plugin', `${where} ${coordinates} is not on the allow-list`);
+      }
+      checkDependencies(plugin.dependencies, `Build plugin ${coordinates} dependency`);
+
+      // Annotation processors run inside javac with the build's permissions
+      for (const processor of plugin.annotationProcessorPaths) {
+        if (!matchesAny(policy.allowedGroupIds, processor.groupId)) {
+          add('annotationProcessor', `${where} ${coordinates} annotation processor path ${processor.groupId}:${processor.artifactId} uses a groupId that is not on the allow-list`);
+        }
+      }
+      for (const processor of plugin.annotationProcessors) {
+        if (!processorAllowed(policy.allowedGroupIds, processor)) {
+          add('annotationProcessor', `${where} ${coordinates} annotation processor ${processor} is not in a package of an allowed groupId`);
+        }
+      }
+      for (const arg of plugin.compilerArgs) {
+        if (COMPILER_CODE_OPTIONS.test(arg)) {
+          add('compilerArgs', `${where} ${coordinates} passes ${arg} to javac, which loads code the allow-lists do not cover`);
+        }
+      }
+    }
+  };
+
+  if (pom.parent && !matchesAny(policy.allowedGroupIds, pom.parent.groupId)) {
+    add('parent', `Parent pom ${pom.parent.groupId}:${pom.parent.artifactId} uses a groupId that is not on the allow-list`);
+  }
+  checkDependencies(pom.dependencies, 'Dependency');
+  checkDependencies(pom.managedDependencies, 'Managed dependency');
+  checkPlugins(pom.plugins, 'Build plugin');
+  checkRepositories(pom.repositories, 'Repository');
+  checkRepositories(pom.pluginRepositories, 'Plugin repository');
+  for (const extension of pom.extensions) {
+    add('extension', `Build extension ${extension.groupId}:${extension.artifactId} is not allowed`);
+  }
+  for (const profile of pom.profiles) {
+    checkDependencies(profile.dependencies, `Profile ${profile.id || '(unnamed)'} dependency`);
+    checkPlugins(profile.plugins, `Profile ${profile.id || '(unnamed)'} build plugin`);
+    checkRepositories(profile.repositories, `Profile ${profile.id || '(unnamed)'} repository`);
+    checkRepositories(profile.pluginRepositories, `Profile ${profile.id || '(unnamed)'} plugin repository`);
+  }
+
+  if (projectDir) {
+    for (const name of ['extensions.xml', 'maven.config', 'jvm.config']) {
+      if (fs.existsSync(path.join(projectDir, '.mvn', name))) {
+        add('mavenConfig', `.mvn/${name} is not allowed, it changes how Maven runs`);
+      }
+    }
+  }
+  return violations;
+};
+
+// Check the pom.xml in a project directory. A pom that cannot be read is a
+// violation too: the allow-lists can only be enforced on what was parsed.
+const checkProject = (projectDir, policy) => {
+  let pom;
+  try {
+    pom = readPom(path.join(projectDir, 'pom.xml'));
+  } catch (err) {
+    return [{ rule: 'pom', message: `pom.xml could not be checked: ${err.message}` }];
+  }
+  return checkPom(pom, policy, { projectDir });
+};
+
+if (require.main === module) {
+  const projectDir = process.argv[2] || '.';
+  try {
+    const policy = parseMavenPolicy(process.env);
+    const violations = policy.enforce ? checkProject(projectDir, policy) : [];
+    process.stdout.write(`${JSON.stringify({ violations })}\n`);
+    process.exitCode = violations.length > 0 ? 2 : 0;
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { DEFAULT_ALLOWED_PLUGINS, DEFAULT_ALLOWED_GROUP_IDS, DEFAULT_ALLOWED_REPOSITORIES, parseMavenPolicy, mavenPolicyEnv, checkPom, checkProject };
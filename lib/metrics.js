@@ -0,0 +1,115 @@
+// Small Prometheus metrics registry: counters, gauges and histograms with
+// labels, rendered in the text exposition format (version 0.0.4).
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+// Stable key for a label set, independent of property order
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+
+const createRegistry = () => {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  // Monotonic counter; `inc(labels, amount)`
+  const counter = ({ name, help, labelNames = [] }) => {
+    const values = new Map();
+    // Without labels there is exactly one series, so report it from the start
+    if (labelNames.length === 0) {
+      values.set(labelKey([], {}), { labels: {}, value: 0 });
+    }
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc: (labels = {}, amount = 1) => {
+        const key = labelKey(labelNames, labels);
+        const current = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        current.value += amount;
+        values.set(key, current);
+      },
+      samples: () => Array.from(values.values()).map(({ labels, value }) => ({ name, labels, value }))
+    });
+  };
+
+  // Gauge whose value is read when scraped: `collect()` returns a number or [{ labels, value }]
+  const gauge = ({ name, help, collect }) => register({
+    name,
+    help,
+    type: 'gauge',
+    samples: () => {
+      const value = collect();
+      return typeof value === 'number'
+        ? [{ name, labels: {}, value }]
+        : value.map(sample => ({ name, labels: sample.labels, value: sample.value }));
+    }
+  });
+
+  // Histogram with cumulative buckets; `observe(labels, value)`
+  const histogram = ({ name, help, labelNames = [], buckets }) => {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe: (labels, value) => {
+        const key = labelKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        bounds.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      samples: () => {
+        const samples = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          bounds.forEach((bound, index) => {
+            samples.push({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] });
+          });
+          samples.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+          samples.push({ name: `${name}_sum`, labels, value: sum });
+          samples.push({ name: `${name}_count`, labels, value: count });
+        }
+        return samples;
+      }
+    });
+  };
+
+  const render = () => metrics.map((metric) => {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    for (const sample of metric.samples()) {
+      lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+    return lines.join('\n');
+  }).join('\n') + '\n';
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+};
+
+module.exports = { createRegistry };
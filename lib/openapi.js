@@ -0,0 +1,194 @@
+const { validate, coerceStrings } = require('./schema');
+const { ERROR_CODES, validationError } = require('./api-errors');
+
+// OpenAPI document and request validation built from the operations in
+// lib/api-spec.js. Handlers get requests whose params, query and body already
+// match the operation's schemas (query numbers and booleans converted), so they
+// only check what a schema cannot express: existence, ownership, build state.
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  400: 'Bad request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  413: 'Payload too large',
+  429: 'Too many requests',
+  500: 'Server error',
+  503: 'Service unavailable'
+};
+
+// Error codes any operation can return, on top of its own `errors`
+const commonErrors = (operation) => {
+  const codes = ['INTERNAL_ERROR'];
+  if (operation.auth !== 'none') codes.push('UNAUTHORIZED', 'RATE_LIMITED');
+  if (operation.auth === 'admin') codes.push('FORBIDDEN');
+  if (operation.params || operation.query || operation.body) codes.push('VALIDATION_FAILED');
+  if (operation.body) codes.push('INVALID_JSON', 'PAYLOAD_TOO_LARGE');
+  return codes;
+};
+
+const errorCodesOf = (operation) => Array.from(new Set(commonErrors(operation).concat(operation.errors || [])));
+
+// Express "/api/builds/:id/files/*" becomes "/api/builds/{id}/files/{path}"
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}').replace('*', '{path}');
+const parameterName = (name) => (name === '0' ? 'path' : name);
+
+const toParameters = (schema, location) => Object.entries((schema && schema.properties) || {}).map(([name, property]) => {
+  const { description, deprecated, ...rest } = property;
+  return {
+    name: parameterName(name),
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description ? { description } : {}),
+    ...(deprecated ? { deprecated } : {}),
+    schema: rest
+  };
+});
+
+const toResponse = (status, schema) => {
+  if (schema.contentType) {
+    return {
+      description: schema.description || STATUS_TEXT[status],
+      content: { [schema.contentType]: { schema: { type: 'string', format: 'binary' } } }
+    };
+  }
+  return {
+    description: STATUS_TEXT[status] || `HTTP ${status}`,
+    content: { 'application/json': { schema } }
+  };
+};
+
+// Error responses grouped by status; the codes are listed in the description
+// and in "x-error-codes" for client generators
+const toErrorResponses = (operation) => {
+  const byStatus = {};
+  for (const code of errorCodesOf(operation)) {
+    const { status } = ERROR_CODES[code];
+    byStatus[status] = (byStatus[status] || []).concat(code);
+  }
+  return Object.fromEntries(Object.entries(byStatus).map(([status, codes]) => [status, {
+    description: `${STATUS_TEXT[status]}: ${codes.join(', ')}`,
+    'x-error-codes': codes,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  }]));
+};
+
+const SECURITY_SCHEMES = {
+  ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey', description: 'Only for operations EventSource calls, which cannot send headers' },
+  BearerAuth: { type: 'http', scheme: 'bearer', description: 'An API key, or a JWT signed with AUTH_JWT_SECRET' }
+};
+const API_KEY_SECURITY = ['ApiKeyHeader', 'BearerAuth'].map(name => ({ [name]: [] }));
+const QUERY_KEY_SECURITY = API_KEY_SECURITY.concat({ ApiKeyQuery: [] });
+
+const buildOpenApiDocument = ({ components, operations, title, version, description }) => {
+  const paths = {};
+  const tags = new Set();
+  for (const [operationId, operation] of Object.entries(operations)) {
+    const route = toOpenApiPath(operation.path);
+    (operation.tags || []).forEach(tag => tags.add(tag));
+    paths[route] = paths[route] || {};
+    paths[route][operation.method] = {
+      operationId,
+      tags: operation.tags,
+      summary: operation.summary,
+      ...(operation.description ? { description: operation.description } : {}),
+      ...(operation.deprecated ? { deprecated: true } : {}),
+      ...(operation.auth === 'admin' ? { 'x-admin-only': true } : {}),
+      security: operation.auth === 'none' ? [] : (operation.queryKey ? QUERY_KEY_SECURITY : API_KEY_SECURITY),
+      parameters: [
+        // Path parameters in the order they appear in the path
+        ...toParameters(operation.params, 'path').sort((a, b) => route.indexOf(`{${a.name}}`) - route.indexOf(`{${b.name}}`)),
+        ...toParameters(operation.query, 'query')
+      ],
+      ...(operation.body ? {
+        requestBody: {
+          required: Boolean(operation.body.$ref || (operation.body.required || []).length > 0),
+          content: { 'application/json': { schema: operation.body } }
+        }
+      } : {}),
+      responses: {
+        ...Object.fromEntries(Object.entries(operation.responses || {}).map(([status, schema]) => [status, toResponse(status, schema)])),
+        ...toErrorResponses(operation)
+      }
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version, description },
+    servers: [{ url: '/' }],
+    tags: Array.from(tags).map(name => ({ name })),
+    security: API_KEY_SECURITY,
+    paths,
+    components: { schemas: components, securitySchemes: SECURITY_SCHEMES },
+    'x-error-codes': ERROR_CODES
+  };
+};
+
+// Middleware factories for the operations. validateRequest(operationId)
+// rejects requests that do not match the operation's schemas with a
+// VALIDATION_FAILED error. With `checkResponses`, JSON responses are also
+// compared with the spec and mismatches logged, to catch spec drift in testing.
+const createRequestValidator = ({ components, operations, checkResponses = false, logger = console }) => {
+  const watchResponses = (operationId, operation, res) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      let problems;
+      if (status >= 400) {
+        const codes = errorCodesOf(operation);
+        problems = validate({ $ref: '#/components/schemas/Error' }, body, { components, path: 'response' });
+        if (body && body.code && !codes.includes(body.code)) {
+          problems.push({ message: `error code ${body.code} is not listed for the operation` });
+        }
+      } else if (!operation.responses || !operation.responses[status]) {
+        problems = [{ message: `status ${status} is not documented` }];
+      } else {
+        // Round-trip so Dates and the like are checked as the client sees them
+        problems = validate(operation.responses[status], JSON.parse(JSON.stringify(body)), { components, path: 'response' });
+      }
+      if (problems.length > 0) {
+        logger.warn(`Response of ${operationId} (HTTP ${status}) does not match the API spec: ${problems.map(problem => problem.message).join('; ')}`);
+      }
+      return json(body);
+    };
+  };
+
+  const validateRequest = (operationId) => {
+    const operation = operations[operationId];
+    if (!operation) {
+      throw new Error(`Unknown API operation ${operationId}`);
+    }
+
+    return (req, res, next) => {
+      const errors = [];
+      if (operation.params) {
+        errors.push(...validate(operation.params, req.params, { components, path: 'params' }));
+      }
+      if (operation.query) {
+        req.query = coerceStrings(operation.query, req.query, { components });
+        errors.push(...validate(operation.query, req.query, { components, path: 'query' }));
+      }
+      if (operation.body) {
+        errors.push(...validate(operation.body, req.body, { components, path: 'body' }));
+      }
+
+      if (checkResponses) {
+        watchResponses(operationId, operation, res);
+      }
+      if (errors.length > 0) {
+        return res.status(400).json(validationError(errors));
+      }
+      next();
+    };
+  };
+
+  return { validateRequest };
+};
+
+module.exports = { buildOpenApiDocument, createRequestValidator, toOpenApiPath };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const { openZip } = require('./zip');
+const { parseYaml } = require('./yaml');
+
+// Descriptor files, in the order a server would look for them
+const DESCRIPTORS = ['plugin.yml', 'paper-plugin.yml', 'bungee.yml', 'velocity-plugin.json'];
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+const asString = (value) => (value === undefined || value === null ? null : String(value));
+
+// Normalize a parsed plugin.yml/bungee.yml/velocity-plugin.json into one shape
+const normalizeDescriptor = (raw, descriptor) => {
+  const data = raw && typeof raw === 'object' ? raw : {};
+  const commands = data.commands && typeof data.commands === 'object' ? data.commands : {};
+  const permissions = data.permissions && typeof data.permissions === 'object' ? data.permissions : {};
+
+  return {
+    descriptor,
+    name: asString(data.name || data.id),
+    version: asString(data.version),
+    main: asString(data.main),
+    apiVersion: asString(data['api-version']),
+    // Kept as parsed so callers can spot an unquoted api-version (1.20 reads as 1.2)
+    rawApiVersion: data['api-version'] === undefined ? null : data['api-version'],
+    description: asString(data.description),
+    website: asString(data.website || data.url),
+    authors: toList(data.author).concat(toList(data.authors)),
+    depend: toList(data.depend).concat(Array.isArray(data.dependencies)
+      ? data.dependencies.filter(dep => dep && !dep.optional).map(dep => String(dep.id))
+      : []),
+    softDepend: toList(data.softdepend).concat(Array.isArray(data.dependencies)
+      ? data.dependencies.filter(dep => dep && dep.optional).map(dep => String(dep.id))
+      : []),
+    loadBefore: toList(data.loadbefore),
+    commands: Object.entries(commands).map(([name, command]) => {
+      const spec = command && typeof command === 'object' ? command : {};
+      return {
+        name,
+        description: asString(spec.description),
+        usage: asString(spec.usage),
+        aliases: toList(spec.aliases),
+        permission: asString(spec.permission),
+        permissionMessage: asString(spec['permission-message'])
+      };
+    }),
+    permissions: Object.entries(permissions).map(([name, permission]) => {
+      const spec = permission && typeof permission === 'object' ? permission : {};
+      return {
+        name,
+        description: asString(spec.description),
+        // Bukkit's default when a permission does not declare one
+        default: spec.default === undefined ? 'op' : String(spec.default),
+        children: spec.children && typeof spec.children === 'object' && !Array.isArray(spec.children)
+          ? spec.children
+          : Object.fromEntries(toList(spec.children).map(child => [child, true]))
+      };
+    })
+  };
+};
+
+// Read and normalize the plugin descriptor inside a jar
+const readPluginManifest = (jarPath) => {
+  const zip = openZip(fs.readFileSync(jarPath));
+  const descriptor = DESCRIPTORS.find(name => zip.has(name));
+  if (!descriptor) {
+    return { descriptor: null, error: 'No plugin.yml, bungee.yml or velocity-plugin.json in jar' };
+  }
+
+  const text = zip.read(descriptor).toString('utf8');
+  try {
+    const raw = descriptor.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+    return normalizeDescriptor(raw, descriptor);
+  } catch (err) {
+    return { descriptor, error: `Could not parse ${descriptor}: ${err.message}` };
+  }
+};
+
+module.exports = { DESCRIPTORS, readPluginManifest, normalizeDescriptor };
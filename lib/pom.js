@@ -0,0 +1,207 @@
+const fs = require('fs');
+const { parseXml, child, childrenNamed, childText } = require('./xml');
+
+// Server API artifacts, most specific platform first: a Paper project that
+// also lists spigot-api is reported as Paper
+const PLATFORM_APIS = [
+  { platform: 'folia', artifactIds: ['folia-api'] },
+  { platform: 'purpur', artifactIds: ['purpur-api'] },
+  { platform: 'paper', artifactIds: ['paper-api', 'paper'] },
+  { platform: 'spigot', artifactIds: ['spigot-api', 'spigot'] },
+  { platform: 'bukkit', artifactIds: ['bukkit'] },
+  { platform: 'bungeecord', artifactIds: ['bungeecord-api'] },
+  // Velocity versions are its own (3.x), not Minecraft versions
+  { platform: 'velocity', artifactIds: ['velocity-api'], versionIsMinecraft: false }
+];
+
+// "1.20.4-R0.1-SNAPSHOT" -> "1.20.4"
+const minecraftVersionOf = (version) => {
+  const match = String(version || '').match(/^(1\.\d+(?:\.\d+)?)/);
+  return match ? match[1] : null;
+};
+
+// "1.8" -> "8"; "17" stays "17"
+const normalizeJavaVersion = (value) => (value ? String(value).replace(/^1\.(\d+)$/, '$1') : null);
+
+const findPlugin = (project, artifactId) => {
+  const build = child(project, 'build');
+  const plugins = childrenNamed(child(build, 'plugins'), 'plugin')
+    .concat(childrenNamed(child(child(build, 'pluginManagement'), 'plugins'), 'plugin'));
+  return plugins.find(plugin => childText(plugin, 'artifactId') === artifactId) || null;
+};
+
+// Server platform and Minecraft version targeted by a project's dependencies
+const detectPlatform = (dependencies) => {
+  for (const api of PLATFORM_APIS) {
+    const dependency = dependencies.find(dep => api.artifactIds.includes(dep.artifactId));
+    if (dependency) {
+      return {
+        name: api.platform,
+        groupId: dependency.groupId,
+        artifactId: dependency.artifactId,
+        version: dependency.version,
+        minecraftVersion: api.versionIsMinecraft === false ? null : minecraftVersionOf(dependency.version)
+      };
+    }
+  }
+  return null;
+};
+
+// Project metadata from pom.xml text. groupId and version fall back to the
+// parent's, and ${...} references to properties and project.* are resolved.
+const parsePom = (text) => {
+  const project = child(parseXml(text), 'project');
+  if (!project) {
+    throw new Error('Not a Maven pom.xml (no <project> element)');
+  }
+
+  const parentElement = child(project, 'parent');
+  const parent = parentElement ? {
+    groupId: childText(parentElement, 'groupId'),
+    artifactId: childText(parentElement, 'artifactId'),
+    version: childText(parentElement, 'version')
+  } : null;
+
+  const properties = {};
+  for (const property of (child(project, 'properties') || { children: [] }).children) {
+    properties[property.name] = property.text.trim();
+  }
+
+  const groupId = childText(project, 'groupId') || (parent && parent.groupId);
+  const artifactId = childText(project, 'artifactId');
+  const version = childText(project, 'version') || (parent && parent.version);
+  const values = {
+    ...properties,
+    'project.groupId': groupId,
+    'project.artifactId': artifactId,
+    'project.version': version,
+    'project.parent.groupId': parent && parent.groupId,
+    'project.parent.version': parent && parent.version
+  };
+
+  const resolve = (value, depth = 0) => {
+    if (value === null || value === undefined || depth > 10) return value;
+    return value.replace(/\$\{([^}]+)\}/g, (match, key) => (
+      values[key] !== undefined && values[key] !== null ? resolve(values[key], depth + 1) : match
+    ));
+  };
+
+  // Versions left out of <dependencies> come from <dependencyManagement>
+  const managed = new Map(childrenNamed(child(child(project, 'dependencyManagement'), 'dependencies'), 'dependency')
+    .map(dep => [`${resolve(childText(dep, 'groupId'))}:${resolve(childText(dep, 'artifactId'))}`, resolve(childText(dep, 'version'))]));
+
+  const readDependencies = (container) => childrenNamed(container, 'dependency').map((dep) => {
+    const depGroupId = resolve(childText(dep, 'groupId'));
+    const depArtifactId = resolve(childText(dep, 'artifactId'));
+    return {
+      groupId: depGroupId,
+      artifactId: depArtifactId,
+      version: resolve(childText(dep, 'version')) || managed.get(`${depGroupId}:${depArtifactId}`) || null,
+      scope: childText(dep, 'scope') || 'compile',
+      optional: childText(dep, 'optional') === 'true'
+    };
+  });
+
+  // Build plugins, including managed ones; the groupId defaults as in Maven
+  // Compiler settings that bring code of their own into javac: annotation
+  // processor paths, named processors and command line arguments, from a
+  // plugin's configuration and those of its executions
+  const readCompilerHooks = (plugin) => {
+    const configurations = [child(plugin, 'configuration')]
+      .concat(childrenNamed(child(plugin, 'executions'), 'execution').map(execution => child(execution, 'configuration')))
+      .filter(Boolean);
+    const elementsOf = (configuration, name) => (child(configuration, name) || { children: [] }).children;
+    return {
+      annotationProcessorPaths: configurations.flatMap(configuration => elementsOf(configuration, 'annotationProcessorPaths').map(entry => ({
+        groupId: resolve(childText(entry, 'groupId')),
+        artifactId: resolve(childText(entry, 'artifactId')),
+        version: resolve(childText(entry, 'version'))
+      }))),
+      annotationProcessors: configurations.flatMap(configuration => childrenNamed(child(configuration, 'annotationProcessors'), 'annotationProcessor')
+        .map(processor => resolve(processor.text.trim()))),
+      // <compilerArguments><processorpath>x</processorpath> is passed as -processorpath x
+      compilerArgs: configurations.flatMap(configuration => elementsOf(configuration, 'compilerArgs').map(arg => resolve(arg.text.trim()))
+        .concat(elementsOf(configuration, 'compilerArguments').map(arg => `-${arg.name}`))
+        .concat(childText(configuration, 'compilerArgument') ? resolve(childText(configuration, 'compilerArgument')).split(/\s+/) : []))
+    };
+  };
+
+  const readPlugins = (build) => childrenNamed(child(build, 'plugins'), 'plugin')
+    .concat(childrenNamed(child(child(build, 'pluginManagement'), 'plugins'), 'plugin'))
+    .map(plugin => ({
+      groupId: resolve(childText(plugin, 'groupId')) || 'org.apache.maven.plugins',
+      artifactId: resolve(childText(plugin, 'artifactId')),
+      version: resolve(childText(plugin, 'version')),
+      dependencies: readDependencies(child(plugin, 'dependencies')),
+      ...readCompilerHooks(plugin)
+    }));
+
+  const dependencies = readDependencies(child(project, 'dependencies'));
+  const managedDependencies = readDependencies(child(child(project, 'dependencyManagement'), 'dependencies'));
+
+  const build = child(project, 'build');
+  const plugins = readPlugins(build);
+  const extensions = childrenNamed(child(build, 'extensions'), 'extension').map(extension => ({
+    groupId: resolve(childText(extension, 'groupId')),
+    artifactId: resolve(childText(extension, 'artifactId')),
+    version: resolve(childText(extension, 'version'))
+  }));
+
+  const readRepositories = (container, listName, itemName) => childrenNamed(child(container, listName), itemName).map(repo => ({
+    id: resolve(childText(repo, 'id')),
+    url: resolve(childText(repo, 'url'))
+  }));
+
+  // Profiles can add dependencies, plugins and repositories of their own
+  const profiles = childrenNamed(child(project, 'profiles'), 'profile').map(profile => ({
+    id: childText(profile, 'id'),
+    dependencies: readDependencies(child(profile, 'dependencies'))
+      .concat(readDependencies(child(child(profile, 'dependencyManagement'), 'dependencies'))),
+    plugins: readPlugins(child(profile, 'build')),
+    repositories: readRepositories(profile, 'repositories', 'repository'),
+    pluginRepositories: readRepositories(profile, 'pluginRepositories', 'pluginRepository')
+  }));
+
+  const repositories = readRepositories(project, 'repositories', 'repository');
+  const pluginRepositories = readRepositories(project, 'pluginRepositories', 'pluginRepository');
+
+  // Java target: maven.compiler.release, then the compiler plugin's release,
+  // then the target/source equivalents, then the common java.version property
+  const compilerConfig = child(findPlugin(project, 'maven-compiler-plugin'), 'configuration');
+  const javaVersion = normalizeJavaVersion(resolve(
+    properties['maven.compiler.release'] ||
+    childText(compilerConfig, 'release') ||
+    properties['maven.compiler.target'] ||
+    childText(compilerConfig, 'target') ||
+    properties['java.version'] ||
+    properties['maven.compiler.source'] ||
+    childText(compilerConfig, 'source') ||
+    null
+  ));
+
+  const platform = detectPlatform(dependencies);
+
+  return {
+    groupId: resolve(groupId) || null,
+    artifactId: resolve(artifactId) || null,
+    version: resolve(version) || null,
+    name: resolve(childText(project, 'name')),
+    description: resolve(childText(project, 'description')),
+    packaging: childText(project, 'packaging') || 'jar',
+    parent,
+    javaVersion,
+    platform,
+    minecraftVersion: platform ? platform.minecraftVersion : null,
+    repositories,
+    pluginRepositories,
+    dependencies,
+    managedDependencies,
+    plugins,
+    extensions,
+    profiles
+  };
+};
+
+const readPom = (pomPath) => parsePom(fs.readFileSync(pomPath, 'utf8'));
+
+module.exports = { parsePom, readPom, minecraftVersionOf };
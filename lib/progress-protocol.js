@@ -0,0 +1,56 @@
+// Machine-readable progress protocol between bash.sh and the server.
+//
+// The script writes one JSON object per line to the file descriptor named by
+// PROGRESS_FD. Every object has an `event` field:
+//
+//   { "event": "project", "dir": "/abs/path/to/project" }
+//   { "event": "stage", "stage": "GENERATING" }          (a key of buildStages)
+//   { "event": "files", "files": ["pom.xml", "src/..."] }
+//   { "event": "fix_attempt", "attempt": 2, "max": 50 }
+//   { "event": "compiler_errors", "errors": [{ "file", "line", "column", "message" }] }
+//   { "event": "scan", "findings": [{ "rule", "severity", "file", "line", "message", "snippet" }], "blocked": [...] }
+//   { "event": "policy_violation", "violations": [{ "rule", "message" }] }  (see lib/maven-policy.js)
+//   { "event": "sandbox", "mode": "bwrap" | "off", "bwrap": true }       (whether Maven ran in bubblewrap)
+//   { "event": "artifact", "path": "/abs/path/plugin.jar", "shaded": true }
+//   { "event": "result", "status": "success" | "failed", "message": "..." }
+const PROGRESS_FD = 3;
+
+const KNOWN_EVENTS = ['project', 'stage', 'files', 'fix_attempt', 'compiler_errors', 'scan', 'policy_violation', 'sandbox', 'artifact', 'result'];
+
+// Split a byte stream into lines and hand each well-formed event to `onEvent`.
+// Malformed lines and unknown events go to `onInvalid` and are otherwise ignored.
+const createProgressParser = (onEvent, onInvalid = () => {}) => {
+  let buffered = '';
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (err) {
+      onInvalid(line, 'invalid JSON');
+      return;
+    }
+    if (!event || !KNOWN_EVENTS.includes(event.event)) {
+      onInvalid(line, 'unknown event');
+      return;
+    }
+    onEvent(event);
+  };
+
+  return {
+    push: (chunk) => {
+      buffered += chunk.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(handleLine);
+    },
+
+    end: () => {
+      handleLine(buffered);
+      buffered = '';
+    }
+  };
+};
+
+module.exports = { PROGRESS_FD, createProgressParser };
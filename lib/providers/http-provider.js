@@ -0,0 +1,81 @@
+// Provider that forwards generation requests to the upstream AI API
+// (`/api/create`, `/api/fix` and `/api/revise`), with a per-attempt timeout and retries.
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+// Create prompt for upstream APIs without /api/revise: the change request
+// followed by the current sources
+const composeRevisionPrompt = ({ prompt = '', files = {} }) => [
+  'Modify the existing Minecraft plugin below and return every file of the updated project.',
+  `Change request: ${prompt.trim()}`,
+  ...Object.entries(files).map(([filePath, content]) => `--- ${filePath} ---\n${content}`)
+].join('\n\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createHttpProvider = ({ host, timeoutMs = 300000, retries = 2, retryDelayMs = 1000, logger = console }) => {
+  const baseUrl = host.replace(/\/+$/, '');
+
+  const post = async (operation, payload, token) => {
+    const url = `${baseUrl}/api/${operation}`;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = retryDelayMs * 2 ** (attempt - 1);
+        logger.warn(`Retrying ${url} in ${delay}ms (attempt ${attempt + 1} of ${retries + 1}): ${lastError.message}`);
+        await sleep(delay);
+      }
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+          },
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        const text = await response.text();
+        if (RETRYABLE_STATUS.includes(response.status) && attempt < retries) {
+          lastError = new Error(`Upstream responded with ${response.status}`);
+          continue;
+        }
+
+        let body;
+        try {
+          body = JSON.parse(text);
+        } catch (err) {
+          body = { status: 'error', message: `Upstream returned invalid JSON (HTTP ${response.status})` };
+        }
+        return { statusCode: response.status, body };
+      } catch (err) {
+        lastError = err.name === 'TimeoutError'
+          ? new Error(`Upstream request timed out after ${timeoutMs}ms`)
+          : err;
+      }
+    }
+
+    throw lastError;
+  };
+
+  return {
+    name: 'http',
+    describe: () => ({ name: 'http', host: baseUrl, timeoutMs, retries }),
+    // Worst case time for one operation, so callers can size their own timeouts
+    maxDurationMs: () => (timeoutMs * (retries + 1)) + (retryDelayMs * (2 ** retries)),
+    create: (payload, { token } = {}) => post('create', payload, token),
+    fix: (payload, { token } = {}) => post('fix', payload, token),
+    revise: async (payload, { token } = {}) => {
+      const result = await post('revise', payload, token);
+      if (result.statusCode !== 404) {
+        return result;
+      }
+      logger.warn(`${baseUrl}/api/revise is not available, sending the revision through /api/create`);
+      return post('create', { prompt: composeRevisionPrompt(payload), options: payload.options }, token);
+    }
+  };
+};
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,16 @@
+const { createHttpProvider } = require('./http-provider');
+const { createMockProvider } = require('./mock-provider');
+
+// Pick the generation backend bash.sh talks to (through the server's gateway routes)
+const createProvider = ({ name = 'http', host, timeoutMs, retries, retryDelayMs, logger }) => {
+  switch (name) {
+    case 'http':
+      return createHttpProvider({ host, timeoutMs, retries, retryDelayMs, logger });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown generation provider "${name}" (expected "http" or "mock")`);
+  }
+};
+
+module.exports = { createProvider };
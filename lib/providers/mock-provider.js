@@ -0,0 +1,148 @@
+// Offline provider that returns a fixed sample Spigot project and canned fixes,
+// so the generate -> compile -> fix pipeline can run without the AI API.
+//
+// A prompt containing "[mock:compile-error]" produces a project with a
+// deliberate compile error, which the first fix request removes. The
+// packageName, mcVersion and javaVersion options and the Paper platform are
+// applied to the sample; other platforms still get the Spigot project.
+const COMPILE_ERROR_MARKER = 'MOCK_COMPILE_ERROR';
+
+const DEFAULT_OPTIONS = { packageName: 'com.example.mockplugin', mcVersion: '1.20.4', javaVersion: 17 };
+
+const API_DEPENDENCIES = {
+  spigot: { repoId: 'spigot-repo', repoUrl: 'https://hub.spigotmc.org/nexus/content/repositories/snapshots/', groupId: 'org.spigotmc', artifactId: 'spigot-api' },
+  paper: { repoId: 'papermc', repoUrl: 'https://repo.papermc.io/repository/maven-public/', groupId: 'io.papermc.paper', artifactId: 'paper-api' }
+};
+
+const pomXml = ({ platform, mcVersion, javaVersion }) => {
+  const api = API_DEPENDENCIES[platform] || API_DEPENDENCIES.spigot;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 http://maven.apache.org/xsd/maven-4.0.0.xsd">
+    <modelVersion>4.0.0</modelVersion>
+
+    <groupId>com.example</groupId>
+    <artifactId>mock-plugin</artifactId>
+    <version>1.0.0</version>
+    <packaging>jar</packaging>
+
+    <properties>
+        <maven.compiler.release>${javaVersion}</maven.compiler.release>
+        <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+    </properties>
+
+    <repositories>
+        <repository>
+            <id>${api.repoId}</id>
+            <url>${api.repoUrl}</url>
+        </repository>
+    </repositories>
+
+    <dependencies>
+        <dependency>
+            <groupId>${api.groupId}</groupId>
+            <artifactId>${api.artifactId}</artifactId>
+            <version>${mcVersion}-R0.1-SNAPSHOT</version>
+            <scope>provided</scope>
+        </dependency>
+    </dependencies>
+</project>
+`;
+};
+
+const pluginYml = (prompt, { packageName, mcVersion }) => `name: MockPlugin
+version: 1.0.0
+main: ${packageName}.MockPlugin
+api-version: '${mcVersion.split('.').slice(0, 2).join('.')}'
+description: ${JSON.stringify(prompt.slice(0, 200))}
+authors: [PluginGenerator]
+commands:
+  mockhello:
+    description: Says hello from the mock plugin
+    usage: /mockhello
+    permission: mockplugin.hello
+permissions:
+  mockplugin.hello:
+    description: Allows /mockhello
+    default: true
+`;
+
+const mainClass = (withError, { packageName }) => `package ${packageName};
+
+import org.bukkit.command.Command;
+import org.bukkit.command.CommandSender;
+import org.bukkit.plugin.java.JavaPlugin;
+
+public class MockPlugin extends JavaPlugin {
+${withError ? `    ${COMPILE_ERROR_MARKER}\n` : ''}
+    @Override
+    public void onEnable() {
+        getCommand("mockhello").setExecutor(this::onHello);
+        getLogger().info("MockPlugin enabled");
+    }
+
+    private boolean onHello(CommandSender sender, Command command, String label, String[] args) {
+        sender.sendMessage("Hello from MockPlugin!");
+        return true;
+    }
+}
+`;
+
+const createMockProvider = () => ({
+  name: 'mock',
+  describe: () => ({ name: 'mock' }),
+  maxDurationMs: () => 1000,
+
+  create: async ({ prompt = '', options } = {}) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    if (settings.platform === 'velocity') {
+      // A Velocity API version means nothing to the Spigot sample
+      settings.mcVersion = DEFAULT_OPTIONS.mcVersion;
+    }
+    return {
+      statusCode: 200,
+      body: {
+        status: 'success',
+        data: {
+          'pom.xml': pomXml(settings),
+          'src/main/resources/plugin.yml': pluginYml(prompt, settings),
+          [`src/main/java/${settings.packageName.replace(/\./g, '/')}/MockPlugin.java`]: mainClass(prompt.includes('[mock:compile-error]'), settings)
+        }
+      }
+    };
+  },
+
+  // Drop the marker line from any file that has it; other files are left alone
+  fix: async ({ files = {} } = {}) => {
+    const data = {};
+    for (const [filePath, content] of Object.entries(files)) {
+      if (typeof content === 'string' && content.includes(COMPILE_ERROR_MARKER)) {
+        data[filePath] = content
+          .split('\n')
+          .filter(line => !line.includes(COMPILE_ERROR_MARKER))
+          .join('\n');
+      }
+    }
+    return { statusCode: 200, body: { status: 'success', data } };
+  },
+
+  // Treat the prompt as a change request: plugin.yml gets it as its description
+  // and a patch version bump; "[mock:compile-error]" breaks the main class again
+  revise: async ({ prompt = '', files = {} } = {}) => {
+    const data = {};
+    for (const [filePath, content] of Object.entries(files)) {
+      if (typeof content !== 'string') continue;
+      if (filePath.endsWith('plugin.yml')) {
+        data[filePath] = content
+          .replace(/^version: (\d+)\.(\d+)\.(\d+)$/m, (match, major, minor, patch) => `version: ${major}.${minor}.${Number(patch) + 1}`)
+          .replace(/^description: .*$/m, `description: ${JSON.stringify(prompt.slice(0, 200))}`);
+      } else if (filePath.endsWith('.java') && prompt.includes('[mock:compile-error]')) {
+        data[filePath] = content.replace(/(public class \w+[^{]*\{\n)/, `$1    ${COMPILE_ERROR_MARKER}\n`);
+      }
+    }
+    return { statusCode: 200, body: { status: 'success', data } };
+  }
+});
+
+module.exports = { createMockProvider };
@@ -0,0 +1,141 @@
+// Fixed-window rate limiting with per-API-key and per-IP budgets.
+//
+// Counters live in a Map capped at `maxKeys`; expired windows are swept
+// periodically and, when the cap is hit, the oldest counters are evicted first.
+// Client IPs come from req.ip, so X-Forwarded-For is only honoured for proxies
+// trusted through Express's "trust proxy" setting.
+
+// "max/windowSeconds" -> { max, windowMs }
+const parsePolicy = (value, fallback) => {
+  const match = String(value || fallback).trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid rate limit "${value}" (expected "max/windowSeconds")`);
+  }
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 };
+};
+
+// Value for Express's "trust proxy" setting from an env string:
+// "true"/"false", a hop count, or a comma-separated list of addresses/subnets
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+const createCounterStore = ({ maxKeys = 10000, sweepIntervalMs = 60000 } = {}) => {
+  const counters = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetTime <= now) counters.delete(key);
+    }
+  };
+  setInterval(sweep, sweepIntervalMs).unref();
+
+  return {
+    // Count one hit against `key` and return its window
+    hit: (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetTime <= now) {
+        if (!counter && counters.size >= maxKeys) {
+          sweep();
+          while (counters.size >= maxKeys) {
+            counters.delete(counters.keys().next().value);
+          }
+        }
+        counter = { count: 0, resetTime: now + windowMs };
+        counters.delete(key);
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return counter;
+    },
+
+    // Current window of `key` without counting a hit, or null
+    peek: (key) => {
+      const counter = counters.get(key);
+      return counter && counter.resetTime > Date.now() ? counter : null;
+    },
+
+    size: () => counters.size
+  };
+};
+
+// Middleware enforcing one policy group. `perKey` applies to authenticated
+// callers (by API key owner), `perIp` to every caller's address.
+const createRateLimiter = ({ name, perKey, perIp, store, onLimit = () => {} }) => (req, res, next) => {
+  const buckets = [];
+  const owner = req.user && req.user.owner !== 'anonymous' ? req.user.owner : null;
+  if (owner && perKey) {
+    buckets.push({ policy: perKey, counter: store.hit(`${name}:key:${owner}`, perKey.windowMs) });
+  }
+  if (perIp) {
+    buckets.push({ policy: perIp, counter: store.hit(`${name}:ip:${req.ip}`, perIp.windowMs) });
+  }
+  if (buckets.length === 0) {
+    return next();
+  }
+
+  // Report the bucket closest to its limit
+  const now = Date.now();
+  const tightest = buckets
+    .map(({ policy, counter }) => ({
+      limit: policy.max,
+      remaining: Math.max(policy.max - counter.count, 0),
+      resetSeconds: Math.max(Math.ceil((counter.resetTime - now) / 1000), 0),
+      exceeded: counter.count > policy.max
+    }))
+    .sort((a, b) => (b.exceeded - a.exceeded) || (a.remaining - b.remaining) || (b.resetSeconds - a.resetSeconds))[0];
+
+  res.setHeader('RateLimit-Policy', buckets.map(({ policy }) => `${policy.max};w=${policy.windowMs / 1000}`).join(', '));
+  res.setHeader('RateLimit-Limit', tightest.limit);
+  res.setHeader('RateLimit-Remaining', tightest.remaining);
+  res.setHeader('RateLimit-Reset', tightest.resetSeconds);
+
+  if (tightest.exceeded) {
+    onLimit(req, name);
+    res.setHeader('Retry-After', tightest.resetSeconds);
+    return res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message: `Too many requests, please try again in ${tightest.resetSeconds} seconds`,
+      retryAfter: tightest.resetSeconds
+    });
+  }
+
+  next();
+};
+
+// Limit on failed attempts per IP, such as rejected API keys. `check` is
+// middleware that answers 429 once an address has used up its failures for
+// the window; `recordFailure(req)` counts one. Successful requests are free.
+const createFailureLimiter = ({ name, perIp, store, onLimit = () => {} }) => {
+  const keyOf = (req) => `${name}:ip:${req.ip}`;
+
+  const check = (req, res, next) => {
+    const counter = store.peek(keyOf(req));
+    if (!counter || counter.count < perIp.max) {
+      return next();
+    }
+    const retryAfter = Math.max(Math.ceil((counter.resetTime - Date.now()) / 1000), 0);
+    onLimit(req, name);
+    res.setHeader('Retry-After', retryAfter);
+    return res.status(429).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message: `Too many failed attempts, please try again in ${retryAfter} seconds`,
+      retryAfter
+    });
+  };
+
+  const recordFailure = (req) => {
+    store.hit(keyOf(req), perIp.windowMs);
+  };
+
+  return { check, recordFailure };
+};
+
+module.exports = { parsePolicy, parseTrustProxy, createCounterStore, createRateLimiter, createFailureLimiter };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+// Durable keyed record store backed by an append-only JSON lines file.
+// Every change is appended as one line; the file is replayed on startup and
+// compacted down to one line per record. While running it is compacted again
+// whenever the lines appended since outnumber the records by `compactRatio`
+// (with at least `compactMinLines` of them), so the file stays within a
+// constant factor of the live data however often records change.
+const createRecordStore = (filePath, { logger = console, compactRatio = 4, compactMinLines = 1000 } = {}) => {
+  const records = new Map();
+  let appendedLines = 0;
+
+  const apply = (entry) => {
+    if (!entry || typeof entry.id !== 'string') {
+      return;
+    }
+    if (entry.op === 'delete') {
+      records.delete(entry.id);
+    } else {
+      records.set(entry.id, { ...(records.get(entry.id) || {}), ...entry.data, id: entry.id });
+    }
+  };
+
+  const append = (entry) => {
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    appendedLines++;
+  };
+
+  // Called after the entry is applied, so the compacted file includes it
+  const compactIfDue = () => {
+    if (appendedLines >= Math.max(compactMinLines, records.size * compactRatio)) {
+      compact();
+    }
+  };
+
+  const compact = () => {
+    const tmpPath = `${filePath}.tmp`;
+    const lines = Array.from(records.values())
+      .map(record => JSON.stringify({ op: 'set', id: record.id, data: record }) + '\n');
+    fs.writeFileSync(tmpPath, lines.join(''));
+    fs.renameSync(tmpPath, filePath);
+    appendedLines = 0;
+  };
+
+  const load = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    let skipped = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch (err) {
+        // A torn write from a crash only affects the last line; keep going
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} unreadable line(s) in ${filePath}`);
+    }
+    compact();
+  };
+
+  load();
+
+  return {
+    has: (id) => records.has(id),
+
+    get: (id) => {
+      const record = records.get(id);
+      return record ? { ...record } : null;
+    },
+
+    list: () => Array.from(records.values()).map(record => ({ ...record })),
+
+    upsert: (id, data) => {
+      const entry = { op: 'set', id, data };
+      append(entry);
+      apply(entry);
+      compactIfDue();
+      return { ...records.get(id) };
+    },
+
+    remove: (id) => {
+      if (!records.has(id)) {
+        return false;
+      }
+      const entry = { op: 'delete', id };
+      append(entry);
+      apply(entry);
+      compactIfDue();
+      return true;
+    },
+
+    compact
+  };
+};
+
+module.exports = { createRecordStore };
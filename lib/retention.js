@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+// Retention for the generated-plugins directory.
+//
+// Each run first prunes target/ of finished builds down to their jar, then
+// deletes whole builds that are too old, that push their owner over quota or
+// that push the directory over its total size, oldest first. Builds that are
+// still queued or running, pinned builds and the `keepRecent` newest builds
+// are never deleted (they still count towards the size limits).
+//
+// Deleting builds is opt-in: every limit defaults to 0 (off), so out of the box
+// a run only prunes target/ directories.
+
+const MB = 1024 * 1024;
+
+// "30" -> 30, "" / undefined -> fallback; 0 turns a limit off
+const parseLimit = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid retention setting "${value}" (expected a non-negative number)`);
+  }
+  return number;
+};
+
+// Retention settings from RETENTION_* environment variables
+const parseRetentionPolicy = (env = process.env) => ({
+  maxAgeDays: parseLimit(env.RETENTION_MAX_AGE_DAYS, 0),
+  maxTotalMb: parseLimit(env.RETENTION_MAX_TOTAL_MB, 0),
+  ownerQuotaMb: parseLimit(env.RETENTION_OWNER_QUOTA_MB, 0),
+  keepRecent: parseLimit(env.RETENTION_KEEP_RECENT, 20),
+  pruneTargetAfterHours: parseLimit(env.RETENTION_PRUNE_TARGET_AFTER_HOURS, 1),
+  intervalMinutes: parseLimit(env.RETENTION_INTERVAL_MINUTES, 60)
+});
+
+// Disk usage of a file or directory tree; symlinks are counted, not followed
+const diskUsage = (target) => {
+  let stats;
+  try {
+    stats = fs.lstatSync(target);
+  } catch (err) {
+    return 0;
+  }
+  if (!stats.isDirectory()) return stats.size;
+  return fs.readdirSync(target).reduce((total, name) => total + diskUsage(path.join(target, name)), 0);
+};
+
+// `listEntries()` returns [{ id, dir, build }] for every build directory (build
+// is null for directories without a record); `isActive(id)` says whether a
+// build is queued or running; `findJar(build)` returns the jar to keep when
+// pruning; `onRemoved(id, reason)` records a deleted build.
+const createRetention = ({ policy, listEntries, isActive, findJar, onRemoved, logger = console }) => {
+  let lastReport = null;
+
+  const plan = (now = Date.now()) => {
+    const entries = listEntries()
+      .filter(({ dir }) => fs.existsSync(dir) && fs.statSync(dir).isDirectory())
+      .map(({ id, dir, build }) => ({
+        id,
+        dir,
+        build,
+        owner: build ? build.owner || null : null,
+        createdAt: build ? build.createdAt || build.startTime : fs.statSync(dir).mtimeMs,
+        active: isActive(id) || Boolean(build && !build.endTime),
+        pinned: Boolean(build && build.pinned),
+        size: diskUsage(dir)
+      }))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    const recent = new Set(policy.keepRecent > 0 ? entries.slice(-policy.keepRecent).map(entry => entry.id) : []);
+
+    const prune = [];
+    const remove = [];
+    const removed = new Set();
+
+    // Prune target/ of builds that finished long enough ago, keeping the jar
+    if (policy.pruneTargetAfterHours > 0) {
+      for (const entry of entries) {
+        if (entry.active || entry.pinned || !entry.build || !entry.build.endTime) continue;
+        if (now - entry.build.endTime < policy.pruneTargetAfterHours * 3600 * 1000) continue;
+
+        const jar = findJar(entry.build);
+        const projectDirs = [entry.dir].concat(fs.readdirSync(entry.dir, { withFileTypes: true })
+          .filter(child => child.isDirectory())
+          .map(child => path.join(entry.dir, child.name)));
+        for (const projectDir of projectDirs) {
+          const targetDir = path.join(projectDir, 'target');
+          if (!fs.existsSync(targetDir)) continue;
+          const paths = fs.readdirSync(targetDir)
+            .map(name => path.join(targetDir, name))
+            .filter(candidate => candidate !== jar);
+          const bytes = paths.reduce((total, candidate) => total + diskUsage(candidate), 0);
+          if (paths.length > 0) {
+            prune.push({ id: entry.id, targetDir, paths, bytes, keptJar: jar && jar.startsWith(targetDir) ? jar : null });
+            entry.size -= bytes;
+          }
+        }
+      }
+    }
+
+    const deletable = (entry) => !entry.active && !entry.pinned && !recent.has(entry.id) && !removed.has(entry.id);
+    const markRemoved = (entry, reason) => {
+      removed.add(entry.id);
+      remove.push({ id: entry.id, dir: entry.dir, owner: entry.owner, reason, bytes: entry.size, createdAt: new Date(entry.createdAt).toISOString() });
+    };
+
+    if (policy.maxAgeDays > 0) {
+      const cutoff = now - policy.maxAgeDays * 24 * 3600 * 1000;
+      for (const entry of entries) {
+        if (entry.createdAt < cutoff && deletable(entry)) markRemoved(entry, 'maxAge');
+      }
+    }
+
+    const unsatisfied = [];
+    if (policy.ownerQuotaMb > 0) {
+      const owners = new Set(entries.filter(entry => entry.owner).map(entry => entry.owner));
+      for (const owner of owners) {
+        const owned = entries.filter(entry => entry.owner === owner);
+        let used = owned.filter(entry => !removed.has(entry.id)).reduce((total, entry) => total + entry.size, 0);
+        for (const entry of owned) {
+          if (used <= policy.ownerQuotaMb * MB) break;
+          if (!deletable(entry)) continue;
+          markRemoved(entry, 'ownerQuota');
+          used -= entry.size;
+        }
+        if (used > policy.ownerQuotaMb * MB) unsatisfied.push({ limit: 'ownerQuota', owner, bytes: used });
+      }
+    }
+
+    if (policy.maxTotalMb > 0) {
+      let used = entries.filter(entry => !removed.has(entry.id)).reduce((total, entry) => total + entry.size, 0);
+      for (const entry of entries) {
+        if (used <= policy.maxTotalMb * MB) break;
+        if (!deletable(entry)) continue;
+        markRemoved(entry, 'maxTotalSize');
+        used -= entry.size;
+      }
+      if (used > policy.maxTotalMb * MB) unsatisfied.push({ limit: 'maxTotalSize', bytes: used });
+    }
+
+    const totalBytes = entries.reduce((total, entry) => total + entry.size, 0) +
+      prune.reduce((total, item) => total + item.bytes, 0);
+    const reclaimedBytes = prune.reduce((total, item) => total + item.bytes, 0) +
+      remove.reduce((total, item) => total + item.bytes, 0);
+
+    return {
+      builds: entries.length,
+      totalBytes,
+      reclaimedBytes,
+      totalBytesAfter: totalBytes - reclaimedBytes,
+      protected: {
+        active: entries.filter(entry => entry.active).map(entry => entry.id),
+        pinned: entries.filter(entry => entry.pinned).map(entry => entry.id),
+        recent: Array.from(recent)
+      },
+      prune,
+      remove,
+      unsatisfied
+    };
+  };
+
+  // Apply a plan (or only report it with dryRun). Builds that became active
+  // since planning are skipped.
+  const run = ({ dryRun = false } = {}) => {
+    const startedAt = Date.now();
+    const planned = plan(startedAt);
+    const errors = [];
+
+    if (!dryRun) {
+      for (const item of planned.prune) {
+        if (isActive(item.id)) continue;
+        for (const candidate of item.paths) {
+          try {
+            fs.rmSync(candidate, { recursive: true, force: true });
+          } catch (err) {
+            errors.push({ id: item.id, path: candidate, message: err.message });
+          }
+        }
+      }
+
+      for (const item of planned.remove) {
+        if (isActive(item.id)) continue;
+        try {
+          fs.rmSync(item.dir, { recursive: true, force: true });
+          onRemoved(item.id, item.reason);
+        } catch (err) {
+          errors.push({ id: item.id, path: item.dir, message: err.message });
+        }
+      }
+    }
+
+    lastReport = {
+      dryRun,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date().toISOString(),
+      policy,
+      ...planned,
+      prune: planned.prune.map(({ paths, ...item }) => ({ ...item, entries: paths.length })),
+      remove: planned.remove.map(({ dir, ...item }) => item),
+      errors
+    };
+
+    logger.info(`Retention ${dryRun ? 'dry run' : 'run'}: ${planned.remove.length} builds deleted, ` +
+      `${planned.prune.length} target directories pruned, ${(planned.reclaimedBytes / MB).toFixed(1)} MB reclaimed`);
+    return lastReport;
+  };
+
+  // Run on an interval; returns a function that stops the schedule
+  const schedule = () => {
+    if (!policy.intervalMinutes) return () => {};
+    const timer = setInterval(() => {
+      try {
+        run();
+      } catch (err) {
+        logger.error('Scheduled retention run failed:', err);
+      }
+    }, policy.intervalMinutes * 60 * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+  };
+
+  return { plan, run, schedule, lastReport: () => lastReport };
+};
+
+module.exports = { parseRetentionPolicy, createRetention, diskUsage };
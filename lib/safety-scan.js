@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+
+// Static safety scan of a generated project, run by bash.sh before each
+// Maven build (the "SCANNING" stage):
+//
+//   node lib/safety-scan.js <project dir>
+//
+// prints { "findings": [...], "blocked": [...] } and exits with 2 when a
+// finding is at or above SCAN_BLOCK_SEVERITY. Each finding is
+// { rule, severity, file, line, message, snippet }.
+//
+// The checks are line-based patterns, not a Java parser: they point reviewers
+// at code worth reading and catch the obvious cases, nothing more.
+
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+const JAVA_RULES = [
+  { rule: 'process-exec', severity: 'critical', pattern: /Runtime\s*\.\s*getRuntime\s*\(\s*\)\s*\.\s*exec\s*\(|\bnew\s+ProcessBuilder\b/, message: 'Starts operating system processes' },
+  { rule: 'native-code', severity: 'critical', pattern: /\bSystem\s*\.\s*load(Library)?\s*\(/, message: 'Loads native code' },
+  { rule: 'class-loading', severity: 'high', pattern: /\bnew\s+URLClassLoader\b|\bdefineClass\s*\(|\bScriptEngineManager\b/, message: 'Loads or evaluates code at runtime' },
+  { rule: 'raw-socket', severity: 'high', pattern: /\bnew\s+(Server)?Socket\s*\(|\bDatagramSocket\b|\b(Server)?SocketChannel\s*\.\s*open\s*\(/, message: 'Opens raw network sockets' },
+  { rule: 'http-client', severity: 'medium', pattern: /\bHttpURLConnection\b|\bHttpsURLConnection\b|\bHttpClient\b|\bOkHttpClient\b|\.openConnection\s*\(|\.openStream\s*\(/, message: 'Makes HTTP requests' },
+  { rule: 'server-internals-reflection', severity: 'high', pattern: /Class\s*\.\s*forName\s*\(\s*"(net\.minecraft|org\.bukkit\.craftbukkit|io\.papermc\.paper|com\.mojang)/, message: 'Uses reflection on server internals' },
+  { rule: 'reflection-access', severity: 'medium', pattern: /\.setAccessible\s*\(\s*true\s*\)/, message: 'Bypasses Java access checks with reflection' },
+  { rule: 'server-internals', severity: 'low', pattern: /^\s*import\s+(net\.minecraft\.|org\.bukkit\.craftbukkit\.)/, message: 'Depends on server internals that change between versions' },
+  { rule: 'system-exit', severity: 'high', pattern: /\bSystem\s*\.\s*exit\s*\(|Runtime\s*\.\s*getRuntime\s*\(\s*\)\s*\.\s*halt\s*\(/, message: 'Stops the whole server process' },
+  { rule: 'grants-op', severity: 'medium', pattern: /\.setOp\s*\(\s*true\s*\)/, message: 'Grants operator status' },
+  { rule: 'absolute-path', severity: 'medium', pattern: /\bnew\s+File\s*\(\s*"(\/|[A-Za-z]:\\\\)|Paths?\s*\.\s*(get|of)\s*\(\s*"(\/|[A-Za-z]:\\\\)/, message: 'Uses an absolute file path outside the plugin data folder' },
+  { rule: 'obfuscated-string', severity: 'high', pattern: /Base64\s*\.\s*get(Mime)?Decoder\s*\(\s*\)\s*\.\s*decode\s*\(\s*"[A-Za-z0-9+/=]{16,}"/, message: 'Decodes a hidden Base64 string' },
+  { rule: 'obfuscated-string', severity: 'high', pattern: /"(?:[^"\\]|\\.)*(?:\\u[0-9a-fA-F]{4}){8,}(?:[^"\\]|\\.)*"/, message: 'Hides a string in unicode escapes' },
+  { rule: 'obfuscated-string', severity: 'high', pattern: /new\s+String\s*\(\s*new\s+(byte|char)\s*\[\s*\]\s*\{\s*(?:-?\w+\s*,\s*){7,}/, message: 'Builds a string from a byte or char array' },
+  { rule: 'obfuscated-string', severity: 'medium', pattern: /"[A-Za-z0-9+/]{120,}={0,2}"/, message: 'Contains a long encoded string literal' }
+];
+
+// File deletion that does not go through the plugin data folder
+const DELETE_CALL = /(\w+|\))\s*\.\s*(delete|deleteOnExit)\s*\(\s*\)|Files\s*\.\s*(delete|deleteIfExists)\s*\(\s*(\w+)|FileUtils\s*\.\s*(deleteDirectory|forceDelete|deleteQuietly)\s*\(\s*(\w+)/;
+const DATA_FOLDER = /getDataFolder\s*\(|getDataPath\s*\(|\bdataFolder\b/;
+
+// Blank out comments, keeping line numbers and string literals intact
+const stripComments = (text) => text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g,
+  match => (match[0] === '/' ? match.replace(/[^\n]/g, ' ') : match));
+
+const snippetOf = (line) => (line.trim().length > 160 ? `${line.trim().slice(0, 157)}...` : line.trim());
+
+const scanJava = (text, file) => {
+  const findings = [];
+  const lines = stripComments(text).split('\n');
+
+  // Variables assigned from the data folder may be deleted freely
+  const dataFolderVars = new Set();
+  for (const line of lines) {
+    const match = line.match(/(\w+)\s*=\s*[^;]*/);
+    if (match && DATA_FOLDER.test(line)) dataFolderVars.add(match[1]);
+  }
+
+  lines.forEach((line, index) => {
+    const add = (rule, severity, message) => findings.push({ rule, severity, file, line: index + 1, message, snippet: snippetOf(line) });
+
+    for (const check of JAVA_RULES) {
+      if (check.pattern.test(line)) add(check.rule, check.severity, check.message);
+    }
+
+    const deletion = line.match(DELETE_CALL);
+    if (deletion && !DATA_FOLDER.test(line)) {
+      const target = deletion[1] || deletion[4] || deletion[6];
+      if (!dataFolderVars.has(target)) {
+        add('file-delete', 'high', 'Deletes files that may be outside the plugin data folder');
+      }
+    }
+  });
+  return findings;
+};
+
+const scanPluginYml = (text, file) => {
+  let descriptor;
+  try {
+    descriptor = parseYaml(text);
+  } catch (err) {
+    return [{ rule: 'descriptor', severity: 'low', file, line: null, message: `plugin.yml could not be parsed: ${err.message}`, snippet: '' }];
+  }
+  const findings = [];
+  if (descriptor && Array.isArray(descriptor.libraries) && descriptor.libraries.length > 0) {
+    findings.push({
+      rule: 'runtime-libraries',
+      severity: 'medium',
+      file,
+      line: null,
+      message: `Downloads libraries when the server loads it: ${descriptor.libraries.join(', ')}`,
+      snippet: ''
+    });
+  }
+  return findings;
+};
+
+const scanPom = (text, file) => {
+  const findings = [];
+  text.split('\n').forEach((line, index) => {
+    if (/<url>\s*http:\/\//.test(line)) {
+      findings.push({ rule: 'insecure-repository', severity: 'medium', file, line: index + 1, message: 'Downloads from a repository over plain HTTP', snippet: snippetOf(line) });
+    }
+    if (/<scope>\s*system\s*<\/scope>/.test(line)) {
+      findings.push({ rule: 'system-scope', severity: 'high', file, line: index + 1, message: 'Reads a dependency from the build host', snippet: snippetOf(line) });
+    }
+  });
+  return findings;
+};
+
+const listSources = (dir, base = dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+  const fullPath = path.join(dir, entry.name);
+  if (entry.isDirectory()) {
+    return entry.name === 'target' || entry.name.startsWith('.') ? [] : listSources(fullPath, base);
+  }
+  return entry.isFile() ? [path.relative(base, fullPath).split(path.sep).join('/')] : [];
+});
+
+// All findings for a project directory, most severe first
+const scanProject = (projectDir) => {
+  const findings = [];
+  for (const file of listSources(projectDir)) {
+    const name = path.basename(file);
+    let scan = null;
+    if (file.endsWith('.java')) scan = scanJava;
+    else if (['plugin.yml', 'paper-plugin.yml', 'bungee.yml'].includes(name)) scan = scanPluginYml;
+    else if (file === 'pom.xml') scan = scanPom;
+    if (scan) findings.push(...scan(fs.readFileSync(path.join(projectDir, file), 'utf8'), file));
+  }
+  return findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+    a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+};
+
+// Block policy from SCAN_* environment variables: SCAN_BLOCK_SEVERITY is the
+// lowest severity that fails a build ("none" only reports) and
+// SCAN_IGNORE_RULES lists rules that are not reported at all
+const parseScanPolicy = (env = process.env) => {
+  const blockSeverity = env.SCAN_BLOCK_SEVERITY || 'critical';
+  if (blockSeverity !== 'none' && !SEVERITIES.includes(blockSeverity)) {
+    throw new Error(`Invalid SCAN_BLOCK_SEVERITY "${blockSeverity}" (expected none or one of ${SEVERITIES.join(', ')})`);
+  }
+  const ignoreRules = String(env.SCAN_IGNORE_RULES || '').split(',').map(rule => rule.trim()).filter(Boolean);
+  return { enabled: env.SAFETY_SCAN !== 'off', blockSeverity, ignoreRules };
+};
+
+// Environment for bash.sh carrying a parsed policy
+const scanPolicyEnv = (policy) => ({
+  SAFETY_SCAN: policy.enabled ? 'on' : 'off',
+  SCAN_BLOCK_SEVERITY: policy.blockSeverity,
+  SCAN_IGNORE_RULES: policy.ignoreRules.join(','),
+  SAFETY_SCAN_SCRIPT: __filename
+});
+
+// Findings that fail the build under a policy
+const blockingFindings = (findings, policy) => (policy.blockSeverity === 'none' ? [] :
+  findings.filter(finding => SEVERITIES.indexOf(finding.severity) >= SEVERITIES.indexOf(policy.blockSeverity)));
+
+// Number of findings per severity
+const countBySeverity = (findings) => Object.fromEntries(SEVERITIES.map(severity => [
+  severity, findings.filter(finding => finding.severity === severity).length
+]));
+
+if (require.main === module) {
+  const projectDir = process.argv[2] || '.';
+  try {
+    const policy = parseScanPolicy(process.env);
+    const findings = policy.enabled
+      ? scanProject(projectDir).filter(finding => !policy.ignoreRules.includes(finding.rule))
+      : [];
+    const blocked = blockingFindings(findings, policy);
+    process.stdout.write(`${JSON.stringify({ findings, blocked })}\n`);
+    process.exitCode = blocked.length > 0 ? 2 : 0;
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { SEVERITIES, scanJava, scanPluginYml, scanPom, scanProject, parseScanPolicy, scanPolicyEnv, blockingFindings, countBySeverity };
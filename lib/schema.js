@@ -0,0 +1,144 @@
+// Validator for the JSON Schema subset the API spec uses (lib/api-spec.js):
+// type (a name or a list), enum, const, minLength, maxLength, pattern, minimum,
+// maximum, items, minItems, maxItems, properties, required,
+// additionalProperties, anyOf, allOf and $ref to "#/components/schemas/<name>".
+// Keywords outside the subset (description, format, example...) are ignored;
+// "x-pattern-message" replaces the default message of a failed pattern.
+
+const REF_PREFIX = '#/components/schemas/';
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const TYPE_NAMES = { integer: 'an integer', array: 'an array', object: 'an object', null: 'null' };
+const typeName = (type) => TYPE_NAMES[type] || `a ${type}`;
+
+const describeValue = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+// Errors of `value` against `schema`, as [{ path, message }]. `path` names the
+// value in messages, e.g. "body.items[2].prompt".
+const validate = (schema, value, { components = {}, path = '' } = {}) => {
+  const errors = [];
+
+  const visit = (current, node, at) => {
+    if (!current) return;
+    if (current.$ref) {
+      const target = components[current.$ref.slice(REF_PREFIX.length)];
+      if (!target) throw new Error(`Unknown schema reference ${current.$ref}`);
+      visit(target, node, at);
+      return;
+    }
+    const fail = (message) => errors.push({ path: at, message: `${at || 'value'} ${message}` });
+
+    if (current.anyOf) {
+      const passing = current.anyOf.some(option => validate(option, node, { components, path: at }).length === 0);
+      if (!passing) {
+        // Report the option that got furthest, which is usually the one meant
+        const attempts = current.anyOf.map(option => validate(option, node, { components, path: at }));
+        errors.push(...attempts.sort((a, b) => a.length - b.length)[0]);
+      }
+      return;
+    }
+
+    for (const part of current.allOf || []) {
+      visit(part, node, at);
+    }
+
+    if (current.type) {
+      const types = [].concat(current.type);
+      if (!types.some(type => matchesType(type, node))) {
+        fail(`must be ${types.map(typeName).join(' or ')}`);
+        return;
+      }
+    }
+    if (current.const !== undefined && node !== current.const) {
+      fail(`must be ${describeValue(current.const)}`);
+      return;
+    }
+    if (current.enum && !current.enum.includes(node)) {
+      fail(`must be one of ${current.enum.map(describeValue).join(', ')}`);
+      return;
+    }
+
+    if (typeof node === 'string') {
+      if (current.minLength !== undefined && node.length < current.minLength) {
+        fail(current.minLength === 1 ? 'must not be empty' : `must be at least ${current.minLength} characters`);
+      }
+      if (current.maxLength !== undefined && node.length > current.maxLength) {
+        fail(`must be at most ${current.maxLength} characters`);
+      }
+      if (current.pattern && !new RegExp(current.pattern).test(node)) {
+        fail(current['x-pattern-message'] || `must match ${current.pattern}`);
+      }
+    }
+
+    if (typeof node === 'number') {
+      if (current.minimum !== undefined && node < current.minimum) fail(`must be at least ${current.minimum}`);
+      if (current.maximum !== undefined && node > current.maximum) fail(`must be at most ${current.maximum}`);
+    }
+
+    if (Array.isArray(node)) {
+      if (current.minItems !== undefined && node.length < current.minItems) {
+        fail(current.minItems === 1 ? 'must not be empty' : `must have at least ${current.minItems} items`);
+      }
+      if (current.maxItems !== undefined && node.length > current.maxItems) {
+        fail(`must have at most ${current.maxItems} items`);
+      }
+      if (current.items) {
+        node.forEach((item, index) => visit(current.items, item, `${at}[${index}]`));
+      }
+    }
+
+    if (typeOf(node) === 'object') {
+      const properties = current.properties || {};
+      for (const name of current.required || []) {
+        if (node[name] === undefined) {
+          errors.push({ path: at ? `${at}.${name}` : name, message: `${at ? `${at}.${name}` : name} is required` });
+        }
+      }
+      for (const [name, child] of Object.entries(node)) {
+        const childPath = at ? `${at}.${name}` : name;
+        if (properties[name]) {
+          if (child !== undefined) visit(properties[name], child, childPath);
+        } else if (current.additionalProperties === false) {
+          errors.push({ path: childPath, message: `${childPath} is not a known field` });
+        } else if (current.additionalProperties && typeof current.additionalProperties === 'object') {
+          visit(current.additionalProperties, child, childPath);
+        }
+      }
+    }
+  };
+
+  visit(schema, value, path);
+  return errors;
+};
+
+// Query and path values arrive as strings; convert those whose schema asks for
+// a number or boolean. Values that do not convert are left for validate() to reject.
+const coerceStrings = (schema, values, { components = {} } = {}) => {
+  const resolve = (node) => (node && node.$ref ? resolve(components[node.$ref.slice(REF_PREFIX.length)]) : node);
+  const properties = (resolve(schema) || {}).properties || {};
+  const coerced = { ...values };
+  for (const [name, raw] of Object.entries(values)) {
+    const property = resolve(properties[name]);
+    if (!property || typeof raw !== 'string') continue;
+    const types = [].concat(property.type || []);
+    if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+      coerced[name] = Number(raw);
+    } else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+      coerced[name] = raw === 'true';
+    }
+  }
+  return coerced;
+};
+
+module.exports = { validate, coerceStrings };
@@ -0,0 +1,157 @@
+// Catalog of plugin templates. A template turns typed parameters into a
+// detailed generation prompt, so clients can offer forms instead of a blank
+// prompt box. Parameter types: string, integer, boolean, enum and string[].
+
+const TEMPLATES = [
+  {
+    id: 'custom-command',
+    name: 'Custom command',
+    description: 'A command with arguments, a permission and a cooldown',
+    parameters: [
+      { name: 'command', type: 'string', required: true, pattern: '^[a-z][a-z0-9_-]{0,31}$', description: 'Command name without the slash' },
+      { name: 'description', type: 'string', required: true, maxLength: 300, description: 'What the command does' },
+      { name: 'aliases', type: 'string[]', default: [], maxItems: 10, pattern: '^[a-z][a-z0-9_-]{0,31}$', description: 'Other names for the command' },
+      { name: 'permission', type: 'string', pattern: '^[a-z0-9_.-]{1,64}$', description: 'Permission node; defaults to <plugin>.<command>' },
+      { name: 'playerOnly', type: 'boolean', default: true, description: 'Refuse the command from the console' },
+      { name: 'cooldownSeconds', type: 'integer', default: 0, min: 0, max: 86400, description: 'Per-player cooldown' }
+    ],
+    prompt: (p) => [
+      `Create a plugin that adds the command /${p.command}: ${p.description}.`,
+      p.aliases.length > 0 ? `Aliases: ${p.aliases.map(alias => `/${alias}`).join(', ')}.` : '',
+      `Guard it with the permission ${p.permission || `<plugin name>.${p.command}`} and declare both in plugin.yml.`,
+      p.playerOnly ? 'Only players may run it; reply with an error message to the console.' : 'Players and the console may run it.',
+      p.cooldownSeconds > 0 ? `Apply a ${p.cooldownSeconds} second per-player cooldown and tell players how long is left.` : '',
+      'Validate arguments and show the usage on mistakes. Add tab completion.'
+    ]
+  },
+  {
+    id: 'economy-hook',
+    name: 'Economy hook',
+    description: 'Charges or rewards players through Vault',
+    parameters: [
+      { name: 'feature', type: 'string', required: true, maxLength: 300, description: 'What players pay for or are rewarded for' },
+      { name: 'mode', type: 'enum', values: ['charge', 'reward'], default: 'charge', description: 'Take money or give money' },
+      { name: 'amount', type: 'integer', required: true, min: 1, max: 1000000000, description: 'Amount per use' },
+      { name: 'command', type: 'string', pattern: '^[a-z][a-z0-9_-]{0,31}$', description: 'Command that triggers it, if any' }
+    ],
+    prompt: (p) => [
+      `Create a plugin that hooks into Vault's Economy API and ${p.mode === 'charge' ? 'charges' : 'rewards'} players ${p.amount} for: ${p.feature}.`,
+      p.command ? `Players use /${p.command} for it; declare the command and a permission in plugin.yml.` : '',
+      'Declare Vault as a dependency in plugin.yml and disable the plugin with a clear log message when Vault or an economy provider is missing.',
+      p.mode === 'charge' ? 'Check the balance before charging and tell players when they cannot afford it.' : 'Tell players how much they received.',
+      'Make the amount configurable in config.yml.'
+    ]
+  },
+  {
+    id: 'event-listener',
+    name: 'Event listener',
+    description: 'Reacts to a server event',
+    parameters: [
+      { name: 'event', type: 'string', required: true, pattern: '^[A-Z][A-Za-z]{2,60}Event$', description: 'Bukkit event class, such as PlayerJoinEvent' },
+      { name: 'behavior', type: 'string', required: true, maxLength: 500, description: 'What should happen when the event fires' },
+      { name: 'cancel', type: 'boolean', default: false, description: 'Cancel the event (cancellable events only)' },
+      { name: 'priority', type: 'enum', values: ['LOWEST', 'LOW', 'NORMAL', 'HIGH', 'HIGHEST', 'MONITOR'], default: 'NORMAL', description: 'Listener priority' },
+      { name: 'worlds', type: 'string[]', default: [], maxItems: 20, description: 'Only react in these worlds; all worlds when empty' }
+    ],
+    prompt: (p) => [
+      `Create a plugin with a listener for ${p.event} at priority ${p.priority}: ${p.behavior}.`,
+      p.cancel ? 'Cancel the event when the behavior applies.' : '',
+      p.worlds.length > 0 ? `Only act in the worlds ${p.worlds.join(', ')}, configurable in config.yml.` : '',
+      'Register the listener in onEnable.'
+    ]
+  },
+  {
+    id: 'gui-menu',
+    name: 'GUI menu',
+    description: 'A chest inventory menu opened by a command',
+    parameters: [
+      { name: 'title', type: 'string', required: true, maxLength: 32, description: 'Inventory title' },
+      { name: 'rows', type: 'integer', default: 3, min: 1, max: 6, description: 'Rows of 9 slots' },
+      { name: 'command', type: 'string', required: true, pattern: '^[a-z][a-z0-9_-]{0,31}$', description: 'Command that opens the menu' },
+      { name: 'items', type: 'string[]', required: true, maxItems: 54, description: 'One entry per button: what it shows and what clicking it does' }
+    ],
+    prompt: (p) => [
+      `Create a plugin with a ${p.rows}-row chest GUI titled "${p.title}" that /${p.command} opens.`,
+      'Buttons:',
+      ...p.items.map((item, index) => `${index + 1}. ${item}`),
+      'Players must not be able to take items out of the menu. Identify the menu by its holder, not its title.',
+      'Declare the command and a permission in plugin.yml.'
+    ]
+  }
+];
+
+// Public view of the catalog, without the prompt builders
+const listTemplates = () => TEMPLATES.map(({ prompt, ...template }) => template);
+
+const validateParameter = (spec, value) => {
+  const matches = (text) => !spec.pattern || new RegExp(spec.pattern).test(text);
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+      if (spec.maxLength && value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+      return matches(value) ? null : `must match ${spec.pattern}`;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'enum':
+      return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')}`;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '' || item.length > 300)) {
+        return 'must be a list of non-empty strings of at most 300 characters';
+      }
+      if (spec.required && value.length === 0) return 'must not be empty';
+      if (spec.maxItems && value.length > spec.maxItems) return `must have at most ${spec.maxItems} items`;
+      return value.every(matches) ? null : `items must match ${spec.pattern}`;
+    default:
+      return `has unknown type ${spec.type}`;
+  }
+};
+
+// Check a template request ({ id, parameters }) and build its prompt.
+// Returns { template, parameters, prompt } or { errors }.
+const renderTemplate = (request) => {
+  if (!request || typeof request !== 'object' || typeof request.id !== 'string') {
+    return { errors: ['template must be an object with an id'] };
+  }
+  const template = TEMPLATES.find(candidate => candidate.id === request.id);
+  if (!template) {
+    return { errors: [`Unknown template "${request.id}" (see GET /api/templates)`] };
+  }
+
+  const input = request.parameters || {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['template.parameters must be an object'] };
+  }
+
+  const errors = [];
+  const parameters = {};
+  for (const key of Object.keys(input)) {
+    if (!template.parameters.some(spec => spec.name === key)) {
+      errors.push(`Unknown parameter "${key}" for template ${template.id}`);
+    }
+  }
+  for (const spec of template.parameters) {
+    const value = input[spec.name];
+    if (value === undefined || value === null) {
+      if (spec.required) errors.push(`Parameter "${spec.name}" is required`);
+      else parameters[spec.name] = spec.default;
+      continue;
+    }
+    const error = validateParameter(spec, value);
+    if (error) errors.push(`Parameter "${spec.name}" ${error}`);
+    else parameters[spec.name] = value;
+  }
+  if (errors.length > 0) return { errors };
+
+  return {
+    template: template.id,
+    parameters,
+    prompt: template.prompt(parameters).filter(Boolean).join('\n')
+  };
+};
+
+module.exports = { listTemplates, renderTemplate };
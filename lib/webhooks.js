@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Build completion webhooks. A finished build is POSTed as JSON to the build's
+// callbackUrl and to the webhooks its owner registered. Every delivery is
+// recorded with its attempts, so clients can see what was sent and why it failed.
+//
+// Requests carry:
+//
+//   X-Webhook-Id         delivery id, the same on every retry
+//   X-Webhook-Event      build.completed, build.failed or build.cancelled
+//   X-Webhook-Timestamp  Unix seconds when this attempt was sent
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// Receivers should recompute the signature with their secret and reject old
+// timestamps. Anything but a 2xx response is retried with exponential backoff.
+//
+// Receivers must be public: URLs whose host is or resolves to a loopback,
+// private, link-local or otherwise internal address are refused, both when they
+// are registered and on every attempt (DNS can change in between), so tenants
+// cannot make the server probe its own network. WEBHOOK_ALLOW_PRIVATE=true lifts
+// this for local testing.
+
+const WEBHOOK_EVENTS = ['build.completed', 'build.failed', 'build.cancelled'];
+
+const parsePositiveInt = (env, name, fallback) => {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${name} "${raw}" (expected a positive integer)`);
+  }
+  return value;
+};
+
+const parseBoolean = (env, name, fallback) => {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  if (raw !== 'true' && raw !== 'false') {
+    throw new Error(`Invalid ${name} "${raw}" (expected true or false)`);
+  }
+  return raw === 'true';
+};
+
+// Delivery settings from WEBHOOK_* environment variables. WEBHOOK_SECRET signs
+// deliveries to per-build callbackUrls; registered webhooks have their own secret.
+const parseWebhookPolicy = (env = process.env) => ({
+  secret: env.WEBHOOK_SECRET || '',
+  maxAttempts: parsePositiveInt(env, 'WEBHOOK_MAX_ATTEMPTS', 6),
+  retryBaseSeconds: parsePositiveInt(env, 'WEBHOOK_RETRY_BASE_SECONDS', 10),
+  timeoutSeconds: parsePositiveInt(env, 'WEBHOOK_TIMEOUT_SECONDS', 10),
+  maxHistory: parsePositiveInt(env, 'WEBHOOK_HISTORY_LIMIT', 1000),
+  allowPrivate: parseBoolean(env, 'WEBHOOK_ALLOW_PRIVATE', false)
+});
+
+// Addresses no webhook may be sent to: "this" network, private ranges, shared
+// CGNAT space, loopback, link-local (cloud metadata), benchmarking, multicast
+// and reserved ranges, and the IPv6 equivalents. IPv4-mapped IPv6 addresses
+// (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself.
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  INTERNAL_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const isInternalAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || INTERNAL_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const INTERNAL_ADDRESS_MESSAGE = 'must not point to a loopback, private or link-local address';
+
+// URL hostname without IPv6 brackets
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+// Why a webhook URL cannot be used, or null. Only literal addresses and
+// localhost names can be judged here; hosts are resolved again on delivery.
+const checkWebhookUrl = (value, { allowPrivate = false } = {}) => {
+  if (typeof value !== 'string' || value.length > 2000) {
+    return 'must be a URL of at most 2000 characters';
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'must be an absolute URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'must use http or https';
+  }
+  if (url.username || url.password) {
+    return 'must not contain credentials';
+  }
+  const host = hostOf(url).toLowerCase();
+  if (!allowPrivate && (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isInternalAddress(host)))) {
+    return INTERNAL_ADDRESS_MESSAGE;
+  }
+  return null;
+};
+
+const internalAddressError = () => Object.assign(new Error(`Receiver ${INTERNAL_ADDRESS_MESSAGE}`), { code: 'EINTERNALADDRESS' });
+
+// dns.lookup for http.request that fails when any address of the host is
+// internal. The connection then uses exactly the addresses that were checked.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(entry => isInternalAddress(entry.address))) return callback(internalAddressError());
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// POST a delivery and resolve with the receiver's status code. Redirects are
+// not followed: they could point anywhere, so receivers must answer directly.
+const postDelivery = (url, { headers, body, timeoutMs, allowPrivate }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  // Literal addresses are connected to without a lookup
+  if (!allowPrivate && net.isIP(hostOf(target)) && isInternalAddress(hostOf(target))) {
+    reject(internalAddressError());
+    return;
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    ...(allowPrivate ? {} : { lookup: publicLookup })
+  }, (response) => {
+    // Drain the body so the connection is released
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+  const timer = setTimeout(() => {
+    request.destroy(Object.assign(new Error(`No response within ${timeoutMs / 1000}s`), { name: 'TimeoutError' }));
+  }, timeoutMs);
+  request.on('close', () => clearTimeout(timer));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Sends deliveries and retries failed ones. `store` is a record store for the
+// delivery history; `resolveSecret(delivery)` returns the signing secret, or
+// null when the webhook is gone and the delivery should be dropped.
+const createWebhookDispatcher = ({ store, policy, resolveSecret, logger = console }) => {
+  const timers = new Map();
+
+  // Drop the oldest finished deliveries beyond the history limit
+  const prune = () => {
+    const finished = store.list()
+      .filter(delivery => delivery.status !== 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const delivery of finished.slice(0, Math.max(finished.length - policy.maxHistory, 0))) {
+      store.remove(delivery.id);
+    }
+  };
+
+  const attempt = async (id) => {
+    timers.delete(id);
+    const delivery = store.get(id);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const secret = resolveSecret(delivery);
+    if (!secret) {
+      store.upsert(id, { status: 'failed', nextAttemptAt: null, error: 'Webhook no longer exists' });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let result;
+    let refused = false;
+    try {
+      const statusCode = await postDelivery(delivery.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'plugin-builder-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        timeoutMs: policy.timeoutSeconds * 1000,
+        allowPrivate: policy.allowPrivate
+      });
+      result = {
+        statusCode,
+        error: statusCode >= 200 && statusCode < 300 ? null : `Receiver responded with HTTP ${statusCode}`
+      };
+    } catch (err) {
+      refused = err.code === 'EINTERNALADDRESS';
+      result = {
+        statusCode: null,
+        error: err.name === 'TimeoutError' ? `No response within ${policy.timeoutSeconds}s` : err.message
+      };
+    }
+
+    // Refused addresses are not retried (that would only probe again), and
+    // their timing is not recorded since it tells how the name resolved
+    if (refused) {
+      const attempts = (delivery.attempts || []).concat({ at: started, durationMs: null, ...result });
+      store.upsert(id, { status: 'failed', attempts, nextAttemptAt: null, error: result.error });
+      logger.warn(`Refused ${delivery.event} for build ${delivery.buildId} to ${delivery.url}: ${result.error}`);
+      prune();
+      return;
+    }
+
+    const attempts = (delivery.attempts || []).concat({
+      at: started,
+      durationMs: Date.now() - started,
+      ...result
+    });
+
+    if (!result.error) {
+      store.upsert(id, { status: 'delivered', attempts, nextAttemptAt: null, error: null, deliveredAt: Date.now() });
+      logger.info(`Delivered ${delivery.event} for build ${delivery.buildId} to ${delivery.url}`);
+    } else if (attempts.length >= policy.maxAttempts) {
+      store.upsert(id, { status: 'failed', attempts, nextAttemptAt: null, error: result.error });
+      logger.warn(`Giving up on ${delivery.event} for build ${delivery.buildId} to ${delivery.url} after ${attempts.length} attempts: ${result.error}`);
+    } else {
+      const nextAttemptAt = Date.now() + policy.retryBaseSeconds * 1000 * 2 ** (attempts.length - 1);
+      store.upsert(id, { attempts, nextAttemptAt, error: result.error });
+      logger.warn(`Webhook delivery to ${delivery.url} failed (${result.error}); retrying at ${new Date(nextAttemptAt).toISOString()}`);
+      schedule(id, nextAttemptAt);
+      return;
+    }
+    prune();
+  };
+
+  const schedule = (id, at) => {
+    const timer = setTimeout(() => {
+      attempt(id).catch(err => logger.error(`Webhook delivery ${id} crashed:`, err));
+    }, Math.max(at - Date.now(), 0));
+    // Pending retries must not keep the process alive on shutdown
+    timer.unref();
+    timers.set(id, timer);
+  };
+
+  // Record a delivery and send it right away
+  const enqueue = ({ url, event, payload, buildId, owner, webhookId = null }) => {
+    const id = `whd-${crypto.randomBytes(8).toString('hex')}`;
+    const now = Date.now();
+    const delivery = store.upsert(id, {
+      url,
+      event,
+      buildId,
+      owner,
+      webhookId,
+      body: JSON.stringify({ id, event, createdAt: new Date(now).toISOString(), data: payload }),
+      status: 'pending',
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now,
+      error: null
+    });
+    schedule(id, now);
+    return delivery;
+  };
+
+  // Pick up deliveries that were pending when the server stopped
+  const resume = () => {
+    const pending = store.list().filter(delivery => delivery.status === 'pending');
+    for (const delivery of pending) {
+      schedule(delivery.id, delivery.nextAttemptAt || Date.now());
+    }
+    return pending.length;
+  };
+
+  const stop = () => {
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  };
+
+  return { enqueue, resume, stop };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  parseWebhookPolicy,
+  checkWebhookUrl,
+  isInternalAddress,
+  signPayload,
+  generateSecret,
+  createWebhookDispatcher
+};
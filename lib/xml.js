@@ -0,0 +1,133 @@
+// Minimal XML reader, enough for Maven pom.xml files.
+//
+// Produces a tree of { name, attributes, children, text } elements. Namespace
+// prefixes are dropped from names, comments, processing instructions and the
+// DOCTYPE are skipped, CDATA is kept as text and the predefined and numeric
+// entities are decoded. DTDs and custom entities are not supported.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return Object.prototype.hasOwnProperty.call(ENTITIES, entity) ? ENTITIES[entity] : match;
+});
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const parseAttributes = (text) => {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+};
+
+// End of a start tag, skipping '>' inside quoted attribute values
+const findTagEnd = (text, from) => {
+  let quote = null;
+  for (let i = from; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '>') {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const parseXml = (input) => {
+  const text = String(input).replace(/^﻿/, '');
+  const document = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [document];
+  let pos = 0;
+
+  const expect = (token, from, what) => {
+    const index = text.indexOf(token, from);
+    if (index === -1) {
+      throw new Error(`Unterminated ${what} at offset ${from}`);
+    }
+    return index;
+  };
+
+  while (pos < text.length) {
+    const current = stack[stack.length - 1];
+    const lt = text.indexOf('<', pos);
+    if (lt === -1) {
+      current.text += decodeEntities(text.slice(pos));
+      break;
+    }
+    if (lt > pos) {
+      current.text += decodeEntities(text.slice(pos, lt));
+    }
+
+    if (text.startsWith('<!--', lt)) {
+      pos = expect('-->', lt + 4, 'comment') + 3;
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      const end = expect(']]>', lt + 9, 'CDATA section');
+      current.text += text.slice(lt + 9, end);
+      pos = end + 3;
+    } else if (text.startsWith('<?', lt)) {
+      pos = expect('?>', lt + 2, 'processing instruction') + 2;
+    } else if (text.startsWith('<!', lt)) {
+      pos = expect('>', lt + 2, 'declaration') + 1;
+    } else if (text.startsWith('</', lt)) {
+      const end = expect('>', lt + 2, 'end tag');
+      const name = localName(text.slice(lt + 2, end).trim());
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected </${name}> at offset ${lt}`);
+      }
+      stack.pop();
+      pos = end + 1;
+    } else {
+      const end = findTagEnd(text, lt + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated start tag at offset ${lt}`);
+      }
+      let body = text.slice(lt + 1, end);
+      const selfClosing = body.endsWith('/');
+      if (selfClosing) body = body.slice(0, -1);
+      const nameMatch = body.match(/^[^\s/>]+/);
+      if (!nameMatch) {
+        throw new Error(`Invalid start tag at offset ${lt}`);
+      }
+
+      const element = {
+        name: localName(nameMatch[0]),
+        attributes: parseAttributes(body.slice(nameMatch[0].length)),
+        children: [],
+        text: ''
+      };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+      pos = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed <${stack[stack.length - 1].name}> element`);
+  }
+  return document;
+};
+
+// First child element with the given name, or null
+const child = (element, name) => (element && element.children.find(node => node.name === name)) || null;
+
+// All child elements with the given name
+const childrenNamed = (element, name) => (element ? element.children.filter(node => node.name === name) : []);
+
+// Trimmed text of a child element, or null when it is missing or empty
+const childText = (element, name) => {
+  const node = child(element, name);
+  const value = node ? node.text.trim() : '';
+  return value === '' ? null : value;
+};
+
+module.exports = { parseXml, child, childrenNamed, childText };
@@ -0,0 +1,251 @@
+// Small YAML reader for plugin descriptors (plugin.yml, bungee.yml).
+//
+// Supports block mappings and sequences, flow collections ([a, b], {a: b}),
+// quoted and plain scalars, comments and literal/folded block scalars.
+// Scalars are typed like SnakeYAML (YAML 1.1), which is what the server uses:
+// true/false/yes/no/on/off are booleans and unquoted 1.20 is the number 1.2.
+// Anchors, tags and multi-document files are not supported.
+
+const BOOLEANS = {
+  true: true, false: false, yes: true, no: false, on: true, off: false
+};
+
+const parsePlainScalar = (text) => {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') return null;
+  if (Object.prototype.hasOwnProperty.call(BOOLEANS, value.toLowerCase())) return BOOLEANS[value.toLowerCase()];
+  if (/^[-+]?\d+$/.test(value)) return parseInt(value, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+  return value;
+};
+
+const parseDoubleQuoted = (body) => JSON.parse(`"${body.replace(/\\'/g, "'").replace(/\t/g, '\\t')}"`);
+
+// Drop a trailing " # comment" that is not inside quotes
+const stripComment = (text) => {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+};
+
+// Flow collections and scalars on a single line
+const parseFlow = (text) => {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const parseValue = (terminators) => {
+    skipSpace();
+    const c = text[pos];
+    if (c === '[') {
+      pos++;
+      const list = [];
+      skipSpace();
+      while (text[pos] !== ']') {
+        if (pos >= text.length) throw new Error('Unterminated flow sequence');
+        list.push(parseValue(',]'));
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        skipSpace();
+      }
+      pos++;
+      return list;
+    }
+    if (c === '{') {
+      pos++;
+      const map = {};
+      skipSpace();
+      while (text[pos] !== '}') {
+        if (pos >= text.length) throw new Error('Unterminated flow mapping');
+        const key = parseValue(':,}');
+        skipSpace();
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          value = parseValue(',}');
+        }
+        map[String(key)] = value;
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        skipSpace();
+      }
+      pos++;
+      return map;
+    }
+    if (c === '"') {
+      let end = pos + 1;
+      while (end < text.length && text[end] !== '"') {
+        if (text[end] === '\\') end++;
+        end++;
+      }
+      const value = parseDoubleQuoted(text.slice(pos + 1, end));
+      pos = end + 1;
+      return value;
+    }
+    if (c === "'") {
+      let end = pos + 1;
+      let value = '';
+      while (end < text.length) {
+        if (text[end] === "'" && text[end + 1] === "'") {
+          value += "'";
+          end += 2;
+        } else if (text[end] === "'") {
+          break;
+        } else {
+          value += text[end++];
+        }
+      }
+      pos = end + 1;
+      return value;
+    }
+
+    const start = pos;
+    while (pos < text.length && !terminators.includes(text[pos])) pos++;
+    return parsePlainScalar(text.slice(start, pos));
+  };
+
+  return parseValue('');
+};
+
+const parseScalar = (text) => {
+  const value = stripComment(text).trim();
+  if (value.startsWith('[') || value.startsWith('{') || value.startsWith('"') || value.startsWith("'")) {
+    return parseFlow(value);
+  }
+  return parsePlainScalar(value);
+};
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"][^#]*?)\s*:(?:\s+(.*))?$/;
+
+const parseKey = (raw) => {
+  if (raw.startsWith('"')) return parseDoubleQuoted(raw.slice(1, -1));
+  if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+  return raw;
+};
+
+const parseYaml = (text) => {
+  const lines = String(text).replace(/^﻿/, '').split(/\r?\n/).map(raw => ({
+    raw,
+    indent: raw.search(/\S/),
+    content: raw.trim()
+  }));
+  let index = 0;
+
+  const isSignificant = (line) => line.indent !== -1 && !line.content.startsWith('#') && line.content !== '---' && line.content !== '...';
+
+  const peek = () => {
+    while (index < lines.length && !isSignificant(lines[index])) index++;
+    return index < lines.length ? lines[index] : null;
+  };
+
+  const isSequenceItem = (line) => line.content === '-' || line.content.startsWith('- ');
+
+  // Literal (|) or folded (>) block scalar following a "key: |" line
+  const parseBlockScalar = (indicator, parentIndent) => {
+    const collected = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.indent !== -1 && line.indent <= parentIndent) break;
+      if (line.indent !== -1 && blockIndent === null) blockIndent = line.indent;
+      collected.push(line.indent === -1 ? '' : line.raw.slice(blockIndent));
+      index++;
+    }
+    while (collected.length > 0 && collected[collected.length - 1] === '') collected.pop();
+
+    const body = indicator.startsWith('>')
+      ? collected.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : collected.join('\n');
+    return indicator.includes('-') ? body : `${body}\n`;
+  };
+
+  // The value after "key:" -- inline, a block scalar, or a nested block
+  const parseValueAfterKey = (rest, keyIndent) => {
+    const inline = rest === undefined ? '' : stripComment(rest).trim();
+    if (/^[|>][-+]?$/.test(inline)) {
+      return parseBlockScalar(inline, keyIndent);
+    }
+    if (inline !== '') {
+      return parseScalar(inline);
+    }
+    const next = peek();
+    if (next && next.indent > keyIndent) {
+      return parseBlock(next.indent);
+    }
+    // Sequences may sit at the same indentation as their key
+    if (next && next.indent === keyIndent && isSequenceItem(next)) {
+      return parseSequence(keyIndent);
+    }
+    return null;
+  };
+
+  const parseMapping = (indent) => {
+    const map = {};
+    let line = peek();
+    while (line && line.indent === indent && !isSequenceItem(line)) {
+      const match = line.content.match(KEY_PATTERN);
+      if (!match) {
+        throw new Error(`Expected "key: value" on line ${index + 1}`);
+      }
+      index++;
+      map[parseKey(match[1])] = parseValueAfterKey(match[2], indent);
+      line = peek();
+    }
+    return map;
+  };
+
+  const parseSequence = (indent) => {
+    const list = [];
+    let line = peek();
+    while (line && line.indent === indent && isSequenceItem(line)) {
+      const rest = line.content.slice(1).trimStart();
+      if (rest === '') {
+        index++;
+        const next = peek();
+        list.push(next && next.indent > indent ? parseBlock(next.indent) : null);
+      } else if (KEY_PATTERN.test(stripComment(rest)) && !/^["'[{]/.test(rest)) {
+        // "- key: value" starts a mapping indented to where the key begins
+        const itemIndent = line.raw.indexOf(rest, line.indent + 1);
+        lines[index] = { raw: line.raw, indent: itemIndent, content: rest };
+        list.push(parseMapping(itemIndent));
+      } else {
+        index++;
+        list.push(parseScalar(rest));
+      }
+      line = peek();
+    }
+    return list;
+  };
+
+  const parseBlock = (indent) => {
+    const line = peek();
+    if (!line) return null;
+    return isSequenceItem(line) ? parseSequence(indent) : parseMapping(indent);
+  };
+
+  const first = peek();
+  if (!first) return null;
+  if (!KEY_PATTERN.test(first.content) && !isSequenceItem(first)) {
+    return parseScalar(first.content);
+  }
+  const result = parseBlock(first.indent);
+  const leftover = peek();
+  if (leftover) {
+    throw new Error(`Unexpected indentation on line ${index + 1}`);
+  }
+  return result;
+};
+
+module.exports = { parseYaml };
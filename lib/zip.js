@@ -0,0 +1,219 @@
+const zlib = require('zlib');
+
+// CRC-32 (IEEE) as used by the ZIP format
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields for a Date
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const outputClosed = () => Object.assign(new Error('Output closed before the archive was written'), { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+
+// Write a ZIP archive to a writable stream, one entry at a time. Each entry is
+// compressed in memory, which is fine for source trees and jars.
+const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  // Resolves once the output can take more. A client that goes away closes
+  // the output without draining it, so 'close' rejects instead of waiting forever.
+  const write = (buffer) => new Promise((resolve, reject) => {
+    if (output.destroyed || output.writableEnded) {
+      reject(outputClosed());
+      return;
+    }
+    offset += buffer.length;
+    if (output.write(buffer)) {
+      resolve();
+      return;
+    }
+    const settle = (err) => {
+      output.off('drain', onDrain);
+      output.off('error', onError);
+      output.off('close', onClose);
+      if (err) reject(err); else resolve();
+    };
+    const onDrain = () => settle();
+    const onError = (err) => settle(err);
+    const onClose = () => settle(outputClosed());
+    output.on('drain', onDrain);
+    output.on('error', onError);
+    output.on('close', onClose);
+  });
+
+  const addFile = async (name, data, { mtime = new Date() } = {}) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const fileName = Buffer.from(name.replace(/\\/g, '/'), 'utf8');
+    const deflated = zlib.deflateRawSync(content);
+    const stored = deflated.length >= content.length;
+    const body = stored ? content : deflated;
+    const { time, date } = dosDateTime(mtime);
+    const entry = {
+      fileName,
+      method: stored ? 0 : 8,
+      time,
+      date,
+      crc: crc32(content),
+      compressedSize: body.length,
+      size: content.length,
+      offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    entries.push(entry);
+    await write(Buffer.concat([header, fileName]));
+    await write(body);
+  };
+
+  const finish = async () => {
+    const centralStart = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - centralStart, 12);
+    end.writeUInt32LE(centralStart, 16);
+    await write(end);
+    output.end();
+  };
+
+  return { addFile, finish };
+};
+
+// Most one entry, and all entries read from one archive together, may inflate to
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+const MAX_ARCHIVE_BYTES = 256 * 1024 * 1024;
+
+const tooLarge = (message) => Object.assign(new Error(message), { code: 'ZIP_TOO_LARGE' });
+
+// Read a ZIP archive (such as a jar) held in memory. ZIP64 is not supported,
+// which is fine for plugin jars. Jars come from generated projects, so entries
+// are inflated no further than the size the archive declares for them, within
+// the limits above; anything bigger is rejected with a ZIP_TOO_LARGE error.
+const openZip = (buffer, { maxEntryBytes = MAX_ENTRY_BYTES, maxArchiveBytes = MAX_ARCHIVE_BYTES } = {}) => {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a zip archive (end of central directory not found)');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(eocd + 10);
+  let pos = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pos) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(pos + 10),
+      compressedSize: buffer.readUInt32LE(pos + 20),
+      size: buffer.readUInt32LE(pos + 24),
+      offset: buffer.readUInt32LE(pos + 42)
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  let bytesRead = 0;
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.size > maxEntryBytes) {
+      throw tooLarge(`${name} is ${entry.size} bytes uncompressed, more than the ${maxEntryBytes} allowed`);
+    }
+    if (bytesRead + entry.size > maxArchiveBytes) {
+      throw tooLarge(`Reading ${name} would inflate the archive past ${maxArchiveBytes} bytes`);
+    }
+    bytesRead += entry.size;
+
+    const nameLength = buffer.readUInt16LE(entry.offset + 26);
+    const extraLength = buffer.readUInt16LE(entry.offset + 28);
+    const start = entry.offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    let content;
+    if (entry.method === 0) {
+      content = Buffer.from(data);
+    } else if (entry.method === 8) {
+      try {
+        // One byte over the declared size is enough to tell the size was a lie
+        content = zlib.inflateRawSync(data, { maxOutputLength: entry.size + 1 });
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw tooLarge(`${name} inflates past its declared size of ${entry.size} bytes`);
+        }
+        throw err;
+      }
+    } else {
+      throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    }
+    if (content.length !== entry.size) {
+      throw new Error(`Corrupt zip entry ${name}: ${content.length} bytes instead of the declared ${entry.size}`);
+    }
+    return content;
+  };
+
+  return {
+    names: () => Array.from(entries.keys()),
+    has: (name) => entries.has(name),
+    read
+  };
+};
+
+module.exports = { createZipWriter, openZip };
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createAuth } = require('../lib/auth');
+const { createCounterStore, createFailureLimiter } = require('../lib/rate-limit');
+const { startServer } = require('./helpers');
+
+const quietLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+// Just enough of an Express response to see what a middleware answered
+const fakeResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  setHeader(name, value) { this.headers[name] = value; }
+});
+
+// Run a middleware; resolves with req.user when it calls next(), else with the response
+const run = (middleware, req) => {
+  const res = fakeResponse();
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return passed ? { passed, user: req.user } : { passed, res };
+};
+
+const request = ({ headers = {}, query = {}, ip = '203.0.113.7' } = {}) => ({ headers, query, ip });
+
+const signJwt = (claims, secret) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+};
+
+test('API keys identify their owner and role', () => {
+  const auth = createAuth({ apiKey: 'root-key', apiKeys: 'alice-key:alice,bob-key:bob:admin', logger: quietLogger });
+  assert.deepStrictEqual(run(auth.authenticate, request({ headers: { 'x-api-key': 'alice-key' } })).user, { owner: 'alice', role: 'user' });
+  assert.deepStrictEqual(run(auth.authenticate, request({ headers: { authorization: 'Bearer bob-key' } })).user, { owner: 'bob', role: 'admin' });
+  assert.deepStrictEqual(run(auth.authenticate, request({ headers: { 'x-api-key': 'root-key' } })).user, { owner: 'admin', role: 'admin' });
+
+  const rejected = run(auth.authenticate, request({ headers: { 'x-api-key': 'wrong' } }));
+  assert.strictEqual(rejected.passed, false);
+  assert.strictEqual(rejected.res.statusCode, 401);
+  assert.strictEqual(rejected.res.body.code, 'UNAUTHORIZED');
+});
+
+test('signed bearer tokens are accepted until they expire', () => {
+  const auth = createAuth({ jwtSecret: 'jwt-secret', logger: quietLogger });
+  const now = Math.floor(Date.now() / 1000);
+  const valid = signJwt({ sub: 'carol', exp: now + 60 }, 'jwt-secret');
+  assert.deepStrictEqual(run(auth.authenticate, request({ headers: { authorization: `Bearer ${valid}` } })).user, { owner: 'carol', role: 'user' });
+
+  for (const token of [signJwt({ sub: 'carol', exp: now - 1 }, 'jwt-secret'), signJwt({ sub: 'carol' }, 'other-secret')]) {
+    assert.strictEqual(run(auth.authenticate, request({ headers: { authorization: `Bearer ${token}` } })).passed, false);
+  }
+});
+
+test('?apiKey= is only read where it is allowed', () => {
+  const auth = createAuth({
+    apiKeys: 'alice-key:alice',
+    queryKeyAllowed: req => req.path === '/events',
+    logger: quietLogger
+  });
+  assert.strictEqual(run(auth.authenticate, { ...request({ query: { apiKey: 'alice-key' } }), path: '/plugins' }).passed, false);
+  assert.strictEqual(run(auth.authenticate, { ...request({ query: { apiKey: 'alice-key' } }), path: '/events' }).passed, true);
+});
+
+test('without keys every caller is an anonymous admin', () => {
+  const auth = createAuth({ logger: quietLogger });
+  assert.strictEqual(auth.enabled, false);
+  assert.deepStrictEqual(run(auth.authenticate, request()).user, { owner: 'anonymous', role: 'admin' });
+});
+
+test('builds are visible to their owner and admins only', () => {
+  const auth = createAuth({ apiKeys: 'alice-key:alice', logger: quietLogger });
+  const build = { id: 'b1', owner: 'alice' };
+  assert.strictEqual(auth.canAccessBuild({ owner: 'alice', role: 'user' }, build), true);
+  assert.strictEqual(auth.canAccessBuild({ owner: 'bob', role: 'user' }, build), false);
+  assert.strictEqual(auth.canAccessBuild({ owner: 'root', role: 'admin' }, build), true);
+  assert.strictEqual(auth.canAccessBuild({ owner: 'alice', role: 'user' }, { id: 'legacy' }), false);
+});
+
+test('an IP is locked out after too many failed attempts, other IPs are not', () => {
+  const limiter = createFailureLimiter({ name: 'auth', perIp: { max: 3, windowMs: 60000 }, store: createCounterStore() });
+  const auth = createAuth({ apiKeys: 'alice-key:alice', onFailure: limiter.recordFailure, logger: quietLogger });
+  const attempt = (ip, key) => {
+    const req = request({ ip, headers: { 'x-api-key': key } });
+    const checked = run(limiter.check, req);
+    return checked.passed ? run(auth.authenticate, req) : checked;
+  };
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(attempt('203.0.113.7', 'guess').res.statusCode, 401);
+  }
+  const locked = attempt('203.0.113.7', 'alice-key');
+  assert.strictEqual(locked.res.statusCode, 429);
+  assert.strictEqual(locked.res.body.code, 'RATE_LIMITED');
+  assert.ok(Number(locked.res.headers['Retry-After']) > 0);
+
+  assert.strictEqual(attempt('198.51.100.1', 'alice-key').passed, true);
+});
+
+test('the server throttles failed authentication on /api', async () => {
+  const server = await startServer({ env: { API_KEYS: 'alice-key:alice', RATE_LIMIT_AUTH_FAILURES_IP: '2/60' } });
+  try {
+    const statuses = [];
+    for (const key of ['guess-1', 'guess-2', 'alice-key']) {
+      statuses.push((await server.request('/api/plugins', { key })).status);
+    }
+    assert.deepStrictEqual(statuses, [401, 401, 429]);
+  } finally {
+    await server.stop();
+  }
+});
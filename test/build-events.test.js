@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createBuildEvents, writeSseEvent } = require('../lib/build-events');
+const { startServer, waitForBuild } = require('./helpers');
+
+test('events get increasing ids per build and can be replayed from an id', () => {
+  const events = createBuildEvents();
+  events.publish('a', 'stage', { stage: 'queued' });
+  events.publish('a', 'log', { line: 'one' });
+  events.publish('b', 'stage', { stage: 'queued' });
+  events.publish('a', 'log', { line: 'two' });
+
+  assert.deepStrictEqual(events.since('a').map(event => event.id), [1, 2, 3]);
+  assert.deepStrictEqual(events.since('a', 2).map(event => event.data.line), ['two']);
+  assert.deepStrictEqual(events.since('b').map(event => event.id), [1]);
+  assert.deepStrictEqual(events.since('missing'), []);
+});
+
+test('subscribers get new events until they stop listening', () => {
+  const events = createBuildEvents();
+  const received = [];
+  const stop = events.subscribe('a', event => received.push(event.type));
+  events.publish('a', 'stage');
+  events.publish('b', 'stage');
+  stop();
+  events.publish('a', 'log');
+  assert.deepStrictEqual(received, ['stage']);
+});
+
+test('only the newest events are buffered', () => {
+  const events = createBuildEvents({ maxEventsPerBuild: 3 });
+  for (let i = 0; i < 5; i++) events.publish('a', 'log', { i });
+  assert.deepStrictEqual(events.since('a').map(event => event.id), [3, 4, 5]);
+});
+
+test('ids keep increasing after a build is forgotten and runs again', () => {
+  const events = createBuildEvents();
+  events.publish('a', 'stage');
+  events.publish('a', 'result');
+  assert.strictEqual(events.forget('a'), true);
+  assert.strictEqual(events.has('a'), false);
+  assert.strictEqual(events.forget('a'), false);
+
+  // A rebuild: a client resuming from id 2 must still see the new events
+  events.publish('a', 'stage');
+  events.publish('a', 'result');
+  assert.deepStrictEqual(events.since('a', 2).map(event => event.id), [3, 4]);
+});
+
+test('events are written in Server-Sent Events format', () => {
+  let written = '';
+  writeSseEvent({ write: (chunk) => { written += chunk; } }, { id: 7, type: 'stage', data: { stage: 'Compiling' }, time: 1000 });
+  assert.strictEqual(written, 'id: 7\nevent: stage\ndata: {"stage":"Compiling","time":1000}\n\n');
+});
+
+test('editing files does not use up the generation budget', {
+  skip: ['curl', 'jq'].some(tool => spawnSync('sh', ['-c', `command -v ${tool}`]).status !== 0) && 'needs curl and jq'
+}, async () => {
+  // The mock provider writes a project; the stand-in mvn fails its build straight away
+  const server = await startServer({
+    env: {
+      GENERATION_PROVIDER: 'mock',
+      AI_FIX: 'false',
+      MAVEN_SANDBOX: 'off',
+      PATH: `${path.join(__dirname, 'fixtures', 'bin')}:${process.env.PATH}`,
+      API_KEY: 'edit-test-key',
+      RATE_LIMIT_GENERATION: '2/60'
+    },
+    key: 'edit-test-key'
+  });
+  try {
+    const queued = await server.request('/api/generate-plugin', { method: 'POST', body: { prompt: 'A plugin that says hello', token: 'edit-test' } });
+    const { buildId } = await queued.json();
+    assert.strictEqual((await waitForBuild(server, buildId)).status, 'failed');
+
+    const edits = [];
+    for (let i = 0; i < 3; i++) {
+      edits.push((await server.request(`/api/builds/${buildId}/files/src/main/resources/config.yml`, {
+        method: 'PUT',
+        body: { content: `greeting: hello ${i}\n` }
+      })).status);
+    }
+    assert.deepStrictEqual(edits, [201, 200, 200]);
+
+    const rebuilt = await server.request(`/api/builds/${buildId}/rebuild`, { method: 'POST', body: {} });
+    assert.strictEqual(rebuilt.status, 202);
+    await waitForBuild(server, buildId);
+    const limited = await server.request('/api/generate-plugin', { method: 'POST', body: { prompt: 'Another plugin', token: 'edit-test' } });
+    assert.strictEqual(limited.status, 429);
+  } finally {
+    await server.stop();
+  }
+});
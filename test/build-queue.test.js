@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBuildQueue } = require('../lib/build-queue');
+
+// A job runner whose jobs finish when the test says so
+const controlledRunner = () => {
+  const started = [];
+  const finishers = new Map();
+  const run = (job) => new Promise((resolve, reject) => {
+    started.push(job.id);
+    finishers.set(job.id, { resolve, reject });
+  });
+  return { started, run, finish: id => finishers.get(id).resolve(), crash: id => finishers.get(id).reject(new Error('boom')) };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('no more than `concurrency` jobs run at once, in FIFO order', async () => {
+  const runner = controlledRunner();
+  const queue = createBuildQueue({ concurrency: 2, run: runner.run });
+
+  assert.strictEqual(queue.enqueue({ id: 'a' }), 0);
+  assert.strictEqual(queue.enqueue({ id: 'b' }), 0);
+  assert.strictEqual(queue.enqueue({ id: 'c' }), 1);
+  assert.strictEqual(queue.enqueue({ id: 'd' }), 2);
+  await tick();
+  assert.deepStrictEqual(runner.started, ['a', 'b']);
+  assert.deepStrictEqual(queue.stats(), { concurrency: 2, queued: 2, running: 2 });
+
+  runner.finish('b');
+  await tick();
+  assert.deepStrictEqual(runner.started, ['a', 'b', 'c']);
+  assert.strictEqual(queue.position('d'), 1);
+  assert.strictEqual(queue.position('b'), null);
+});
+
+test('a crashed job frees its slot', async () => {
+  const runner = controlledRunner();
+  const errors = [];
+  const queue = createBuildQueue({ concurrency: 1, run: runner.run, logger: { error: message => errors.push(message) } });
+  queue.enqueue({ id: 'a' });
+  queue.enqueue({ id: 'b' });
+  await tick();
+
+  runner.crash('a');
+  await tick();
+  await tick();
+  assert.deepStrictEqual(runner.started, ['a', 'b']);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('waiting jobs can be removed, running ones cannot', async () => {
+  const runner = controlledRunner();
+  const queue = createBuildQueue({ concurrency: 1, run: runner.run });
+  queue.enqueue({ id: 'a' });
+  queue.enqueue({ id: 'b' });
+  queue.enqueue({ id: 'c' });
+  await tick();
+
+  assert.strictEqual(queue.remove('a'), false);
+  assert.strictEqual(queue.remove('b'), true);
+  assert.strictEqual(queue.position('c'), 1);
+
+  runner.finish('a');
+  await tick();
+  assert.deepStrictEqual(runner.started, ['a', 'c']);
+});
+
+test('start times are estimated from the average duration', async () => {
+  const runner = controlledRunner();
+  const queue = createBuildQueue({ concurrency: 1, run: runner.run });
+  const before = Date.now();
+  queue.enqueue({ id: 'a' });
+  queue.enqueue({ id: 'b' });
+  queue.enqueue({ id: 'c' });
+
+  const startOfA = queue.estimateStartTime('a', 60000);
+  assert.ok(startOfA >= before && startOfA <= Date.now());
+  const startOfC = queue.estimateStartTime('c', 60000);
+  assert.strictEqual(startOfC - queue.estimateStartTime('b', 60000), 60000);
+  assert.ok(startOfC >= before + 120000 && startOfC <= Date.now() + 120000);
+  assert.strictEqual(queue.estimateStartTime('missing', 60000), null);
+});
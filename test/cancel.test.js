@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { sleep, startServer } = require('./helpers');
+
+// Runs the real bash.sh with the mock provider and test/fixtures/bin/mvn, a
+// stand-in Maven that stays running until it is stopped
+const missingTools = ['curl', 'jq', 'timeout'].filter(tool => spawnSync('sh', ['-c', `command -v ${tool}`]).status !== 0);
+
+// Whether a process is still running; exited processes nobody has reaped yet count as gone
+const isRunning = (pid) => {
+  try {
+    return !/^\d+ \(.*\) [ZX]/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (err) {
+    return false;
+  }
+};
+
+test('cancelling a build stops the Maven run under it', {
+  skip: (missingTools.length > 0 && `needs ${missingTools.join(', ')}`) || (process.platform !== 'linux' && 'reads /proc')
+}, async () => {
+  const pidFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cancel-test-')), 'mvn.pid');
+  const server = await startServer({
+    env: {
+      GENERATION_PROVIDER: 'mock',
+      AI_FIX: 'false',
+      MAVEN_SANDBOX: 'off',
+      PATH: `${path.join(__dirname, 'fixtures', 'bin')}:${process.env.PATH}`,
+      FAKE_MVN_PID_FILE: pidFile,
+      FAKE_MVN_SECONDS: '30'
+    }
+  });
+  let mvnPid;
+  try {
+    const queued = await server.request('/api/generate-plugin', { method: 'POST', body: { prompt: 'A plugin that says hello', token: 'cancel-test' } });
+    const { buildId } = await queued.json();
+
+    for (let i = 0; i < 200 && !fs.existsSync(pidFile); i++) await sleep(100);
+    mvnPid = Number(fs.readFileSync(pidFile, 'utf8'));
+    assert.ok(isRunning(mvnPid));
+
+    const started = Date.now();
+    const cancelled = await server.request(`/api/builds/${buildId}/cancel`, { method: 'POST', body: {} });
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual((await cancelled.json()).status, 'cancelled');
+    // Well inside the 5 s before the server sends SIGKILL
+    assert.ok(Date.now() - started < 5000, `cancel took ${Date.now() - started} ms`);
+
+    for (let i = 0; i < 20 && isRunning(mvnPid); i++) await sleep(100);
+    assert.strictEqual(isRunning(mvnPid), false, 'mvn is still running');
+  } finally {
+    if (mvnPid && isRunning(mvnPid)) process.kill(mvnPid, 'SIGKILL');
+    await server.stop();
+    fs.rmSync(path.dirname(pidFile), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, describeConfig, scriptEnvironment } = require('../lib/config');
+
+const baseDir = path.join(__dirname, '..');
+
+// Run `fn` with a scratch directory that is removed afterwards
+const withTempDir = (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('an empty environment gives the defaults', () => {
+  const config = loadConfig({ env: {}, baseDir });
+  assert.strictEqual(config.port, 3001);
+  assert.strictEqual(config.scriptPath, path.join(baseDir, 'bash.sh'));
+  assert.strictEqual(config.generationProvider, 'http');
+  assert.deepStrictEqual(config.corsOrigins, ['http://localhost:3000', 'http://127.0.0.1:3000']);
+  assert.strictEqual(config.retention.maxAgeDays, 0);
+  assert.strictEqual(config.maven.repoMode, 'online');
+  assert.strictEqual(config.webhooks.allowPrivate, false);
+});
+
+test('values are parsed by type', () => {
+  const config = loadConfig({
+    env: { PORT: '8080', AI_FIX: 'false', API_HOST: 'http://gemini:5000/', RATE_LIMIT_GENERATION: '3/30', GENERATION_PROVIDER: 'mock' },
+    baseDir
+  });
+  assert.strictEqual(config.port, 8080);
+  assert.strictEqual(config.aiFix, false);
+  assert.strictEqual(config.apiHost, 'http://gemini:5000');
+  assert.strictEqual(config.generationProvider, 'mock');
+  assert.strictEqual(config.rateLimits.generation.perKey.max, 3);
+});
+
+test('every invalid value is reported at once', () => {
+  assert.throws(() => loadConfig({
+    env: { PORT: 'eighty', BUILD_CONCURRENCY: '0', GENERATION_PROVIDER: 'gemini', API_HOST: 'ftp://x', SCAN_BLOCK_SEVERITY: 'severe' },
+    baseDir
+  }), (err) => {
+    const lines = err.message.split('\n');
+    assert.strictEqual(lines[0], 'Invalid configuration:');
+    assert.strictEqual(lines.length, 6);
+    assert.match(err.message, /PORT "eighty" is invalid/);
+    assert.match(err.message, /BUILD_CONCURRENCY "0" is invalid \(expected an integer from 1 to 64\)/);
+    assert.match(err.message, /GENERATION_PROVIDER "gemini"/);
+    assert.match(err.message, /API_HOST/);
+    assert.match(err.message, /SCAN_BLOCK_SEVERITY/);
+    return true;
+  });
+});
+
+test('API keys are validated without printing them', () => {
+  assert.doesNotThrow(() => loadConfig({ env: { API_KEYS: 'k1:alice,k2:bob:admin' }, baseDir }));
+  assert.throws(() => loadConfig({ env: { API_KEYS: 'k1:alice,secret-without-owner' }, baseDir }), (err) => {
+    assert.match(err.message, /Invalid API_KEYS entry 2/);
+    assert.doesNotMatch(err.message, /secret-without-owner/);
+    return true;
+  });
+});
+
+test('API_KEYS_FILE must exist and hold keys', () => withTempDir((dir) => {
+  assert.throws(() => loadConfig({ env: { API_KEYS_FILE: path.join(dir, 'missing.json') }, baseDir }), /Could not read API_KEYS_FILE/);
+
+  const file = path.join(dir, 'keys.json');
+  fs.writeFileSync(file, '{ not json');
+  assert.throws(() => loadConfig({ env: { API_KEYS_FILE: file }, baseDir }), /Could not read API_KEYS_FILE/);
+
+  fs.writeFileSync(file, JSON.stringify([{ key: 'k1', owner: 'alice' }]));
+  assert.strictEqual(loadConfig({ env: { API_KEYS_FILE: file }, baseDir }).apiKeysFile, file);
+}));
+
+test('CONFIG_FILE values apply below the environment', () => withTempDir((dir) => {
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({ PORT: 4000, LOG_LEVEL: 'debug', CORS_ORIGINS: ['https://a.example', 'https://b.example'] }));
+
+  const config = loadConfig({ env: { CONFIG_FILE: file, LOG_LEVEL: 'warn' }, baseDir });
+  assert.strictEqual(config.port, 4000);
+  assert.strictEqual(config.logLevel, 'warn');
+  assert.deepStrictEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+
+  const described = describeConfig(config).settings;
+  assert.strictEqual(described.find(setting => setting.name === 'PORT').source, 'file');
+  assert.strictEqual(described.find(setting => setting.name === 'LOG_LEVEL').source, 'env');
+
+  fs.writeFileSync(file, JSON.stringify({ PORTT: 4000 }));
+  assert.throws(() => loadConfig({ env: { CONFIG_FILE: file }, baseDir }), /PORTT in .* is not a known setting/);
+}));
+
+test('secrets are redacted and kept from the build script', () => {
+  const env = { API_KEY: 'admin-key', WEBHOOK_SECRET: 'whsec_x', PATH: '/usr/bin' };
+  const config = loadConfig({ env, baseDir });
+
+  const described = describeConfig(config);
+  assert.notStrictEqual(described.settings.find(setting => setting.name === 'API_KEY').value, 'admin-key');
+  assert.notStrictEqual(described.policies.webhooks.effective.secret, 'whsec_x');
+
+  const scriptEnv = scriptEnvironment(config, env);
+  assert.strictEqual(scriptEnv.API_KEY, undefined);
+  assert.strictEqual(scriptEnv.WEBHOOK_SECRET, undefined);
+  assert.strictEqual(scriptEnv.PATH, '/usr/bin');
+  assert.strictEqual(scriptEnv.SKIP_USER_CONFIG, 'true');
+  assert.strictEqual(scriptEnv.MAVEN_REPO_MODE, 'online');
+});
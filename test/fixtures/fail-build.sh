@@ -0,0 +1,5 @@
+#!/bin/bash
+# Build script for tests that only look at how builds are queued and named:
+# every build fails straight away, without generating or compiling anything
+echo "Build script stand-in for tests" >&2
+exit 1
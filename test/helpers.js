@@ -0,0 +1,166 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { createZipWriter } = require('../lib/zip');
+
+const ROOT = path.join(__dirname, '..');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// A copy of the server in a scratch directory, so its generated-plugins/
+// (builds, records, jars) never touches the checkout's
+const copyServer = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-server-'));
+  for (const name of ['wsl-api-server.js', 'bash.sh', 'package.json']) {
+    fs.copyFileSync(path.join(ROOT, name), path.join(dir, name));
+  }
+  fs.cpSync(path.join(ROOT, 'lib'), path.join(dir, 'lib'), { recursive: true });
+  fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  return dir;
+};
+
+// Start a copy of the server with `env` added to this process's environment
+// and wait until /health answers. `request(route, { method, body, key })`
+// calls it with `key` (or the first of `keys`) as X-API-Key; `stop()` ends it
+// and removes the copy.
+const startServer = async ({ env = {}, key } = {}) => {
+  const dir = copyServer();
+  const port = await freePort();
+  const serverEnv = { ...process.env, PORT: String(port), LOG_LEVEL: 'warn', ...env };
+  delete serverEnv.CONFIG_FILE;
+  const child = spawn(process.execPath, [path.join(dir, 'wsl-api-server.js')], { cwd: dir, env: serverEnv, stdio: ['ignore', 'ignore', 'pipe'] });
+  let output = '';
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const request = (route, { method = 'GET', body, key: requestKey = key, headers = {} } = {}) => fetch(`http://127.0.0.1:${port}${route}`, {
+    method,
+    headers: {
+      ...(requestKey ? { 'X-API-Key': requestKey } : {}),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  for (let i = 0; i < 100 && child.exitCode === null; i++) {
+    if (await fetch(`http://127.0.0.1:${port}/health`).then(response => response.ok, () => false)) {
+      return { dir, port, request, stop, output: () => output };
+    }
+    await sleep(100);
+  }
+  await stop();
+  throw new Error(`Server did not start: ${output}`);
+};
+
+// Poll a build until it has finished
+const waitForBuild = async (server, buildId, { timeoutMs = 60000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const status = await (await server.request(`/api/build-status/${buildId}`)).json();
+    if (['completed', 'failed', 'cancelled'].includes(status.status) || Date.now() > deadline) return status;
+    await sleep(250);
+  }
+};
+
+// Write `files` ({ name: content }) into an in-memory zip and return its bytes
+const buildZip = async (files) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const zip = createZipWriter(output);
+  for (const [name, content] of Object.entries(files)) {
+    await zip.addFile(name, content);
+  }
+  await zip.finish();
+  return Buffer.concat(chunks);
+};
+
+// A minimal Java class file: `name` extends `superName`, declares `methods`
+// and has one method whose code calls getCommand(...) with each of `commands`.
+// Names use slashes (com/example/Main), as in the class file format.
+const buildClassFile = ({ name, superName = 'java/lang/Object', methods = [], commands = [] }) => {
+  const pool = [];
+  const constant = (bytes) => {
+    pool.push(bytes);
+    return pool.length;
+  };
+  const utf8 = (value) => {
+    const text = Buffer.from(value, 'utf8');
+    const bytes = Buffer.alloc(3 + text.length);
+    bytes.writeUInt8(1, 0);
+    bytes.writeUInt16BE(text.length, 1);
+    text.copy(bytes, 3);
+    return constant(bytes);
+  };
+  const ref = (tag, ...indexes) => {
+    const bytes = Buffer.alloc(1 + indexes.length * 2);
+    bytes.writeUInt8(tag, 0);
+    indexes.forEach((index, i) => bytes.writeUInt16BE(index, 1 + i * 2));
+    return constant(bytes);
+  };
+  const classRef = (className) => ref(7, utf8(className));
+
+  const thisClass = classRef(name);
+  const superClass = classRef(superName);
+  const codeName = utf8('Code');
+
+  const declared = methods.map(method => ({ name: utf8(method), descriptor: utf8('()V'), code: null }));
+  if (commands.length > 0) {
+    const getCommand = ref(10, thisClass, ref(12, utf8('getCommand'), utf8('(Ljava/lang/String;)Lorg/bukkit/command/PluginCommand;')));
+    // aload_0; ldc "<command>"; invokevirtual getCommand; pop ... return
+    const code = Buffer.concat(commands.map((command) => {
+      const string = ref(8, utf8(command));
+      return Buffer.from([0x2a, 0x12, string, 0xb6, getCommand >> 8, getCommand & 0xff, 0x57]);
+    }).concat([Buffer.from([0xb1])]));
+    declared.push({ name: utf8('onEnable'), descriptor: utf8('()V'), code });
+  }
+
+  const u2 = (value) => {
+    const bytes = Buffer.alloc(2);
+    bytes.writeUInt16BE(value);
+    return bytes;
+  };
+  const u4 = (value) => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return bytes;
+  };
+  const methodBytes = declared.map((method) => {
+    if (!method.code) {
+      return Buffer.concat([u2(0x0001), u2(method.name), u2(method.descriptor), u2(0)]);
+    }
+    const attribute = Buffer.concat([u2(2), u2(1), u4(method.code.length), method.code, u2(0), u2(0)]);
+    return Buffer.concat([u2(0x0001), u2(method.name), u2(method.descriptor), u2(1), u2(codeName), u4(attribute.length), attribute]);
+  });
+
+  return Buffer.concat([
+    u4(0xcafebabe), u2(0), u2(52),
+    u2(pool.length + 1), ...pool,
+    u2(0x0021), u2(thisClass), u2(superClass),
+    u2(0), // interfaces
+    u2(0), // fields
+    u2(declared.length), ...methodBytes,
+    u2(0) // attributes
+  ]);
+};
+
+module.exports = { ROOT, sleep, startServer, waitForBuild, buildZip, buildClassFile };
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const GENERATED_BUILD_ID = /^plugin-\d+-[0-9a-f]{8}$/;
+const GENERATED_BATCH_ID = /^batch-\d+-[0-9a-f]{8}$/;
+
+const startQueueServer = () => startServer({
+  env: {
+    API_KEY: 'ids-test-key',
+    API_KEYS: 'alice-key:alice,bob-key:bob',
+    SCRIPT_PATH: path.join(__dirname, 'fixtures', 'fail-build.sh'),
+    RATE_LIMIT_GENERATION: '100/60',
+    RATE_LIMIT_BATCHES: '100/60'
+  },
+  key: 'ids-test-key'
+});
+
+test('builds queued in the same instant get distinct random ids', async () => {
+  const server = await startQueueServer();
+  try {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => server.request('/api/generate-plugin', {
+      method: 'POST',
+      body: { prompt: 'A plugin that greets players on join', token: 'ids-test' }
+    })));
+    const ids = await Promise.all(responses.map(async (response) => {
+      assert.strictEqual(response.status, 202);
+      return (await response.json()).buildId;
+    }));
+    assert.strictEqual(new Set(ids).size, ids.length);
+    for (const id of ids) assert.match(id, GENERATED_BUILD_ID);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('batches get distinct random ids and their items are numbered below them', async () => {
+  const server = await startQueueServer();
+  try {
+    const batches = [];
+    for (let i = 0; i < 2; i++) {
+      const response = await server.request('/api/batches', {
+        method: 'POST',
+        body: { token: 'ids-test', items: [{ prompt: 'A plugin that greets players' }, { prompt: 'A plugin that heals players' }] }
+      });
+      assert.strictEqual(response.status, 202);
+      batches.push(await response.json());
+    }
+    assert.notStrictEqual(batches[0].batchId, batches[1].batchId);
+    for (const batch of batches) {
+      assert.match(batch.batchId, GENERATED_BATCH_ID);
+      assert.deepStrictEqual(batch.items.map(item => item.buildId), [`${batch.batchId}-1`, `${batch.batchId}-2`]);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+const generate = (server, key, buildId) => server.request('/api/generate-plugin', {
+  method: 'POST',
+  key,
+  body: { prompt: 'A plugin that greets players on join', token: 'ids-test', buildId }
+});
+
+test('client build ids cannot name the server\'s own files', async () => {
+  const server = await startQueueServer();
+  try {
+    for (const buildId of ['builds.jsonl.tmp', 'batches.jsonl', 'webhooks.jsonl.tmp', 'my.plugin']) {
+      const response = await generate(server, 'ids-test-key', buildId);
+      assert.strictEqual(response.status, 400, buildId);
+      assert.strictEqual((await response.json()).code, 'VALIDATION_FAILED');
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test('owners choose build ids in their own namespace', async () => {
+  const server = await startQueueServer();
+  try {
+    // Admins get the id as given
+    const admin = await generate(server, 'ids-test-key', 'homes');
+    assert.strictEqual(admin.status, 202);
+    assert.strictEqual((await admin.json()).buildId, 'homes');
+    assert.strictEqual((await generate(server, 'ids-test-key', 'homes')).status, 409);
+
+    // Other owners can pick the same id: it is tagged with their owner
+    const alice = await (await generate(server, 'alice-key', 'homes')).json();
+    const bob = await (await generate(server, 'bob-key', 'homes')).json();
+    assert.match(alice.buildId, /^[0-9a-f]{8}-homes$/);
+    assert.match(bob.buildId, /^[0-9a-f]{8}-homes$/);
+    assert.notStrictEqual(alice.buildId, bob.buildId);
+
+    // Only the owner's own earlier build makes an id taken
+    const again = await generate(server, 'alice-key', 'homes');
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual((await again.json()).code, 'BUILD_ID_TAKEN');
+
+    const batch = await (await server.request('/api/batches', {
+      method: 'POST',
+      key: 'bob-key',
+      body: { token: 'ids-test', items: [{ prompt: 'A plugin that heals players', buildId: 'healer' }] }
+    })).json();
+    assert.strictEqual(batch.items[0].buildId, bob.buildId.replace('homes', 'healer'));
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { verifyJar, summarizeFailures } = require('../lib/jar-verify');
+const { buildZip, buildClassFile } = require('./helpers');
+
+const pluginYml = ({ main = 'com.example.homes.HomesPlugin', apiVersion = "'1.20'", commands = ['home'] } = {}) => `name: Homes
+version: 1.0.0
+main: ${main}
+api-version: ${apiVersion}
+commands:
+${commands.map(command => `  ${command}:\n    description: ${command}\n`).join('')}`;
+
+const mainClass = (options = {}) => buildClassFile({
+  name: 'com/example/homes/HomesPlugin',
+  superName: 'org/bukkit/plugin/java/JavaPlugin',
+  commands: ['home'],
+  ...options
+});
+
+const statusOf = (report, name) => report.checks.find(item => item.name === name).status;
+
+test('a loadable plugin jar passes every check', async () => {
+  const jar = await buildZip({
+    'plugin.yml': pluginYml(),
+    'com/example/homes/HomesPlugin.class': mainClass()
+  });
+  const report = verifyJar(jar, { pom: { minecraftVersion: '1.20.4' } });
+  assert.strictEqual(report.status, 'passed', JSON.stringify(report.checks));
+  assert.strictEqual(report.descriptor, 'plugin.yml');
+  assert.deepStrictEqual(report.checks.map(item => item.name), ['mainClass', 'commands', 'apiVersion', 'shading']);
+});
+
+test('a jar without a descriptor fails', async () => {
+  const report = verifyJar(await buildZip({ 'com/example/homes/HomesPlugin.class': mainClass() }));
+  assert.strictEqual(report.status, 'failed');
+  assert.strictEqual(statusOf(report, 'descriptor'), 'failed');
+});
+
+test('a main class that is missing or not a plugin fails', async () => {
+  const missing = verifyJar(await buildZip({ 'plugin.yml': pluginYml({ main: 'com.example.homes.Other' }) }));
+  assert.strictEqual(statusOf(missing, 'mainClass'), 'failed');
+  assert.match(summarizeFailures(missing), /Main class com\.example\.homes\.Other is not in the jar/);
+
+  const plain = verifyJar(await buildZip({
+    'plugin.yml': pluginYml(),
+    'com/example/homes/HomesPlugin.class': mainClass({ superName: 'java/lang/Object' })
+  }));
+  assert.strictEqual(statusOf(plain, 'mainClass'), 'failed');
+});
+
+test('the superclass chain is followed through the jar', async () => {
+  const report = verifyJar(await buildZip({
+    'plugin.yml': pluginYml(),
+    'com/example/homes/HomesPlugin.class': mainClass({ superName: 'com/example/homes/BasePlugin' }),
+    'com/example/homes/BasePlugin.class': buildClassFile({ name: 'com/example/homes/BasePlugin', superName: 'org/bukkit/plugin/java/JavaPlugin' })
+  }));
+  assert.strictEqual(statusOf(report, 'mainClass'), 'passed');
+});
+
+test('commands looked up in code must be declared in plugin.yml', async () => {
+  const undeclared = verifyJar(await buildZip({
+    'plugin.yml': pluginYml(),
+    'com/example/homes/HomesPlugin.class': mainClass({ commands: ['home', 'sethome'] })
+  }));
+  assert.strictEqual(statusOf(undeclared, 'commands'), 'failed');
+  assert.match(summarizeFailures(undeclared), /"sethome" is looked up in code but not declared/);
+
+  const unregistered = verifyJar(await buildZip({
+    'plugin.yml': pluginYml({ commands: ['home', 'warp'] }),
+    'com/example/homes/HomesPlugin.class': mainClass()
+  }));
+  assert.strictEqual(statusOf(unregistered, 'commands'), 'warning');
+  assert.strictEqual(unregistered.status, 'warnings');
+});
+
+test('api-version must be valid and not newer than the API built against', async () => {
+  const classes = { 'com/example/homes/HomesPlugin.class': mainClass() };
+  const newer = verifyJar(await buildZip({ 'plugin.yml': pluginYml({ apiVersion: "'1.21'" }), ...classes }), { pom: { minecraftVersion: '1.20.4' } });
+  assert.strictEqual(statusOf(newer, 'apiVersion'), 'failed');
+
+  const unquoted = verifyJar(await buildZip({ 'plugin.yml': pluginYml({ apiVersion: '1.20' }), ...classes }));
+  assert.strictEqual(statusOf(unquoted, 'apiVersion'), 'failed');
+  assert.match(summarizeFailures(unquoted), /quote it/);
+});
+
+test('shaded server classes and signature files fail the jar', async () => {
+  const report = verifyJar(await buildZip({
+    'plugin.yml': pluginYml(),
+    'com/example/homes/HomesPlugin.class': mainClass(),
+    'org/bukkit/Bukkit.class': buildClassFile({ name: 'org/bukkit/Bukkit' }),
+    'META-INF/SIGNER.SF': 'Signature-Version: 1.0\n'
+  }));
+  assert.strictEqual(statusOf(report, 'shading'), 'failed');
+  assert.strictEqual(report.checks.find(item => item.name === 'shading').messages.length, 2);
+
+  const gson = verifyJar(await buildZip({
+    'plugin.yml': pluginYml(),
+    'com/example/homes/HomesPlugin.class': mainClass(),
+    'com/google/gson/Gson.class': buildClassFile({ name: 'com/google/gson/Gson' })
+  }));
+  assert.strictEqual(statusOf(gson, 'shading'), 'warning');
+});
+
+test('a class that inflates past its declared size fails the whole jar', async () => {
+  const jar = await buildZip({
+    'plugin.yml': pluginYml(),
+    'com/example/homes/HomesPlugin.class': Buffer.concat([mainClass(), Buffer.alloc(100000)])
+  });
+  // Point at the class entry's central directory record and shrink its declared size
+  const centralStart = jar.readUInt32LE(jar.length - 22 + 16);
+  const classEntry = centralStart + 46 + jar.readUInt16LE(centralStart + 28);
+  jar.writeUInt32LE(64, classEntry + 24);
+  assert.throws(() => verifyJar(jar), { code: 'ZIP_TOO_LARGE' });
+});
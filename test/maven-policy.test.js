@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parsePom } = require('../lib/pom');
+const { spawnSync } = require('child_process');
+const { parseMavenPolicy, mavenPolicyEnv, checkPom, checkProject } = require('../lib/maven-policy');
+const { startServer, waitForBuild } = require('./helpers');
+
+const pomXml = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0">
+  <modelVersion>4.0.0</modelVersion>
+  <groupId>com.example</groupId>
+  <artifactId>test-plugin</artifactId>
+  <version>1.0.0</version>
+  ${body}
+</project>`;
+
+const spigotDependency = `
+  <dependency>
+    <groupId>org.spigotmc</groupId>
+    <artifactId>spigot-api</artifactId>
+    <version>1.20.4-R0.1-SNAPSHOT</version>
+    <scope>provided</scope>
+  </dependency>`;
+
+const rulesOf = (violations) => violations.map(violation => violation.rule);
+
+test('a plain Spigot plugin pom passes', () => {
+  const pom = parsePom(pomXml(`
+  <repositories>
+    <repository><id>spigot-repo</id><url>https://hub.spigotmc.org/nexus/content/repositories/snapshots/</url></repository>
+  </repositories>
+  <dependencies>${spigotDependency}</dependencies>
+  <build><plugins>
+    <plugin><groupId>org.apache.maven.plugins</groupId><artifactId>maven-compiler-plugin</artifactId></plugin>
+  </plugins></build>`));
+  assert.deepStrictEqual(checkPom(pom, parseMavenPolicy({})), []);
+});
+
+test('dependencies outside the groupId allow-list and system scope are violations', () => {
+  const pom = parsePom(pomXml(`
+  <dependencies>
+    ${spigotDependency}
+    <dependency><groupId>evil.corp</groupId><artifactId>payload</artifactId><version>1</version></dependency>
+    <dependency><groupId>org.bukkit</groupId><artifactId>local</artifactId><version>1</version><scope>system</scope></dependency>
+  </dependencies>`));
+  assert.deepStrictEqual(rulesOf(checkPom(pom, parseMavenPolicy({}))), ['groupId', 'systemScope']);
+});
+
+test('build plugins and extensions outside the allow-list are violations', () => {
+  const pom = parsePom(pomXml(`
+  <build>
+    <extensions><extension><groupId>org.example</groupId><artifactId>ext</artifactId><version>1</version></extension></extensions>
+    <plugins>
+      <plugin><groupId>org.codehaus.mojo</groupId><artifactId>exec-maven-plugin</artifactId></plugin>
+    </plugins>
+  </build>`));
+  assert.deepStrictEqual(rulesOf(checkPom(pom, parseMavenPolicy({}))).sort(), ['extension', 'plugin']);
+});
+
+test('declaring surefire is a violation, so a pom cannot turn tests back on', () => {
+  const pom = parsePom(pomXml(`
+  <build><pluginManagement><plugins>
+    <plugin>
+      <artifactId>maven-surefire-plugin</artifactId>
+      <configuration><skip>false</skip></configuration>
+    </plugin>
+  </plugins></pluginManagement></build>`));
+  assert.deepStrictEqual(rulesOf(checkPom(pom, parseMavenPolicy({}))), ['plugin']);
+});
+
+test('MAVEN_ALLOWED_* variables extend the allow-lists', () => {
+  const pom = parsePom(pomXml(`
+  <dependencies>
+    <dependency><groupId>com.acme.tools</groupId><artifactId>lib</artifactId><version>1</version></dependency>
+  </dependencies>
+  <build><plugins>
+    <plugin><groupId>org.codehaus.mojo</groupId><artifactId>exec-maven-plugin</artifactId></plugin>
+  </plugins></build>`));
+  const policy = parseMavenPolicy({
+    MAVEN_ALLOWED_GROUP_IDS: 'com.acme.*',
+    MAVEN_ALLOWED_PLUGINS: 'org.codehaus.mojo:exec-maven-plugin'
+  });
+  assert.deepStrictEqual(checkPom(pom, policy), []);
+});
+
+test('repositories outside the allow-list are violations in online mode, also in profiles', () => {
+  const pom = parsePom(pomXml(`
+  <repositories>
+    <repository><id>central</id><url>https://repo.maven.apache.org/maven2</url></repository>
+    <repository><id>shady</id><url>https://repo.example.net/maven</url></repository>
+  </repositories>
+  <pluginRepositories>
+    <pluginRepository><id>shady-plugins</id><url>https://repo.example.net/plugins</url></pluginRepository>
+  </pluginRepositories>
+  <profiles>
+    <profile>
+      <id>extra</id>
+      <repositories>
+        <repository><id>lookalike</id><url>https://hub.spigotmc.org.example.net/nexus/content/repositories</url></repository>
+      </repositories>
+    </profile>
+  </profiles>`));
+
+  const violations = checkPom(pom, parseMavenPolicy({}));
+  assert.deepStrictEqual(rulesOf(violations), ['repository', 'repository', 'repository']);
+  assert.match(violations[0].message, /shady/);
+  assert.match(violations[1].message, /shady-plugins/);
+  assert.match(violations[2].message, /Profile extra repository lookalike/);
+
+  assert.deepStrictEqual(checkPom(pom, parseMavenPolicy({ MAVEN_REPO_MODE: 'offline' })), []);
+  assert.deepStrictEqual(checkPom(pom, parseMavenPolicy({ MAVEN_ALLOWED_REPOSITORIES: 'https://repo.example.net, https://hub.spigotmc.org.example.net' })), []);
+});
+
+test('annotation processors outside the groupId allow-list are violations', () => {
+  const pom = parsePom(pomXml(`
+  <dependencies>${spigotDependency}</dependencies>
+  <build><plugins>
+    <plugin>
+      <groupId>org.apache.maven.plugins</groupId>
+      <artifactId>maven-compiler-plugin</artifactId>
+      <configuration>
+        <annotationProcessorPaths>
+          <path><groupId>org.jetbrains</groupId><artifactId>annotations</artifactId><version>24.0.1</version></path>
+          <path><groupId>evil.corp</groupId><artifactId>pwn</artifactId><version>1.0</version></path>
+        </annotationProcessorPaths>
+        <annotationProcessors>
+          <annotationProcessor>org.jetbrains.annotations.Processor</annotationProcessor>
+          <annotationProcessor>evil.corp.Pwn</annotationProcessor>
+        </annotationProcessors>
+      </configuration>
+      <executions>
+        <execution>
+          <id>default-compile</id>
+          <configuration>
+            <annotationProcessorPaths>
+              <annotationProcessorPath><groupId>\${evil.group}</groupId><artifactId>pwn2</artifactId></annotationProcessorPath>
+            </annotationProcessorPaths>
+          </configuration>
+        </execution>
+      </executions>
+    </plugin>
+  </plugins></build>
+  <properties><evil.group>evil.corp</evil.group></properties>`));
+
+  const violations = checkPom(pom, parseMavenPolicy({}));
+  assert.deepStrictEqual(rulesOf(violations), ['annotationProcessor', 'annotationProcessor', 'annotationProcessor']);
+  assert.match(violations[0].message, /evil\.corp:pwn /);
+  assert.match(violations[1].message, /evil\.corp:pwn2/);
+  assert.match(violations[2].message, /evil\.corp\.Pwn/);
+
+  assert.deepStrictEqual(checkPom(pom, parseMavenPolicy({ MAVEN_ALLOWED_GROUP_IDS: 'evil.corp' })), []);
+});
+
+test('javac options that load outside code are violations, also in profiles', () => {
+  const pom = parsePom(pomXml(`
+  <profiles>
+    <profile>
+      <id>sneaky</id>
+      <build><plugins>
+        <plugin>
+          <artifactId>maven-compiler-plugin</artifactId>
+          <configuration>
+            <compilerArgs>
+              <arg>-Xlint:all</arg>
+              <arg>-processorpath</arg>
+              <arg>/tmp/pwn.jar</arg>
+              <arg>-J-javaagent:/tmp/agent.jar</arg>
+            </compilerArgs>
+            <compilerArguments><processorpath>/tmp/pwn.jar</processorpath></compilerArguments>
+          </configuration>
+        </plugin>
+      </plugins></build>
+    </profile>
+  </profiles>`));
+
+  const violations = checkPom(pom, parseMavenPolicy({}));
+  assert.deepStrictEqual(rulesOf(violations), ['compilerArgs', 'compilerArgs', 'compilerArgs']);
+  assert.match(violations[0].message, /^Profile sneaky build plugin org\.apache\.maven\.plugins:maven-compiler-plugin passes -processorpath/);
+});
+
+test('.mvn configuration files are violations', () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maven-policy-'));
+  try {
+    fs.writeFileSync(path.join(projectDir, 'pom.xml'), pomXml(`<dependencies>${spigotDependency}</dependencies>`));
+    assert.deepStrictEqual(checkProject(projectDir, parseMavenPolicy({})), []);
+
+    fs.mkdirSync(path.join(projectDir, '.mvn'));
+    fs.writeFileSync(path.join(projectDir, '.mvn', 'maven.config'), '-Dexec=true');
+    assert.deepStrictEqual(rulesOf(checkProject(projectDir, parseMavenPolicy({}))), ['mavenConfig']);
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
+
+test('a pom that cannot be parsed is a violation', () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'maven-policy-'));
+  try {
+    fs.writeFileSync(path.join(projectDir, 'pom.xml'), '<notaproject/>');
+    assert.deepStrictEqual(rulesOf(checkProject(projectDir, parseMavenPolicy({}))), ['pom']);
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
+
+test('invalid policy variables are rejected', () => {
+  assert.throws(() => parseMavenPolicy({ MAVEN_ALLOWED_PLUGINS: 'no-colon' }), /MAVEN_ALLOWED_PLUGINS/);
+  assert.throws(() => parseMavenPolicy({ MAVEN_ALLOWED_REPOSITORIES: 'ftp://example.com' }), /MAVEN_ALLOWED_REPOSITORIES/);
+  assert.throws(() => parseMavenPolicy({ MAVEN_REPO_MODE: 'mirror' }), /MAVEN_MIRROR_URL/);
+  assert.throws(() => parseMavenPolicy({ MAVEN_LOCAL_REPO: 'relative/repo' }), /MAVEN_LOCAL_REPO/);
+});
+
+test('the policy survives the round trip through bash.sh variables', () => {
+  const policy = parseMavenPolicy({ MAVEN_ALLOWED_GROUP_IDS: 'com.acme', MAVEN_REPO_MODE: 'offline', MAVEN_TIMEOUT_SECONDS: '90' });
+  const { MAVEN_POLICY_SCRIPT, ...env } = mavenPolicyEnv(policy);
+  assert.strictEqual(MAVEN_POLICY_SCRIPT, require.resolve('../lib/maven-policy'));
+  assert.deepStrictEqual(parseMavenPolicy(env), policy);
+});
+
+const bwrapWorks = spawnSync('bwrap', ['--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', 'true']).status === 0;
+
+test('without bubblewrap a build fails unless MAVEN_SANDBOX=off', {
+  skip: bwrapWorks && 'bubblewrap can run here'
+}, async () => {
+  const build = async (env) => {
+    const server = await startServer({
+      env: { GENERATION_PROVIDER: 'mock', AI_FIX: 'false', PATH: `${path.join(__dirname, 'fixtures', 'bin')}:${process.env.PATH}`, ...env }
+    });
+    try {
+      const queued = await server.request('/api/generate-plugin', { method: 'POST', body: { prompt: 'A plugin that says hello', token: 'sandbox-test' } });
+      return await waitForBuild(server, (await queued.json()).buildId);
+    } finally {
+      await server.stop();
+    }
+  };
+
+  const refused = await build({});
+  assert.strictEqual(refused.status, 'failed');
+  assert.match(refused.error, /sandbox unavailable/);
+  assert.deepStrictEqual(refused.sandbox, { mode: 'bwrap', bwrap: false });
+
+  // Turned off on purpose, Maven runs (the stand-in fails it) and the record says so
+  const unsandboxed = await build({ MAVEN_SANDBOX: 'off' });
+  assert.strictEqual(unsandboxed.status, 'failed');
+  assert.doesNotMatch(unsandboxed.error, /sandbox/);
+  assert.deepStrictEqual(unsandboxed.sandbox, { mode: 'off', bwrap: false });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { openZip } = require('../lib/zip');
+const { startServer, waitForBuild } = require('./helpers');
+
+// Generate -> compile -> fix -> verify through the real server and bash.sh,
+// with the mock provider standing in for the AI API. Maven still has to
+// resolve the Spigot API, so this needs mvn (and a JDK) and either network
+// access or a filled MAVEN_LOCAL_REPO; it is skipped where mvn is missing.
+// Maven runs without bubblewrap, which test hosts often cannot start.
+const REQUIRED_TOOLS = ['mvn', 'curl', 'jq'];
+const missingTools = REQUIRED_TOOLS.filter(tool => spawnSync('sh', ['-c', `command -v ${tool}`]).status !== 0);
+
+test('a mock generation with a compile error is fixed, built and verified', {
+  skip: missingTools.length > 0 && `needs ${missingTools.join(', ')}`,
+  timeout: 15 * 60 * 1000
+}, async () => {
+  const server = await startServer({
+    env: { GENERATION_PROVIDER: 'mock', API_KEY: 'mock-build-test-key', BUILD_CONCURRENCY: '1', MAVEN_SANDBOX: 'off' },
+    key: 'mock-build-test-key'
+  });
+  try {
+    const queued = await server.request('/api/generate-plugin', {
+      method: 'POST',
+      body: { prompt: 'A plugin that says hello to players [mock:compile-error]', token: 'mock-build-test' }
+    });
+    assert.strictEqual(queued.status, 202);
+    const { buildId } = await queued.json();
+
+    const status = await waitForBuild(server, buildId, { timeoutMs: 14 * 60 * 1000 });
+    assert.strictEqual(status.status, 'completed', JSON.stringify(status));
+    assert.deepStrictEqual(status.sandbox, { mode: 'off', bwrap: false });
+
+    const artifact = await server.request(`/api/builds/${buildId}/artifact`);
+    assert.strictEqual(artifact.status, 200);
+    const jar = openZip(Buffer.from(await artifact.arrayBuffer()));
+    assert.ok(jar.has('plugin.yml'));
+    assert.ok(jar.has('com/example/mockplugin/MockPlugin.class'));
+
+    const manifest = await (await server.request(`/api/builds/${buildId}/manifest`)).json();
+    assert.strictEqual(manifest.manifest.name, 'MockPlugin');
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecordStore } = require('../lib/record-store');
+
+const quietLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+// Run `fn` with the path of a store file in a scratch directory
+const withStoreFile = (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-store-'));
+  try {
+    return fn(path.join(dir, 'records.jsonl'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const lineCount = (filePath) => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).length;
+
+test('upserts merge into records and removals delete them', () => withStoreFile((filePath) => {
+  const store = createRecordStore(filePath, { logger: quietLogger });
+  assert.deepStrictEqual(store.upsert('a', { status: 'queued', owner: 'alice' }), { id: 'a', status: 'queued', owner: 'alice' });
+  store.upsert('a', { status: 'running' });
+  store.upsert('b', { status: 'queued' });
+
+  assert.deepStrictEqual(store.get('a'), { id: 'a', status: 'running', owner: 'alice' });
+  assert.strictEqual(store.remove('b'), true);
+  assert.strictEqual(store.remove('b'), false);
+  assert.strictEqual(store.has('b'), false);
+  assert.deepStrictEqual(store.list().map(record => record.id), ['a']);
+}));
+
+test('returned records are copies', () => withStoreFile((filePath) => {
+  const store = createRecordStore(filePath, { logger: quietLogger });
+  store.upsert('a', { status: 'queued' });
+  store.get('a').status = 'changed';
+  store.list()[0].status = 'changed';
+  assert.strictEqual(store.get('a').status, 'queued');
+}));
+
+test('records survive a restart and the file is compacted on load', () => withStoreFile((filePath) => {
+  const store = createRecordStore(filePath, { logger: quietLogger });
+  for (let i = 0; i < 5; i++) store.upsert('a', { attempt: i });
+  store.upsert('b', { status: 'done' });
+  store.remove('b');
+
+  const reloaded = createRecordStore(filePath, { logger: quietLogger });
+  assert.deepStrictEqual(reloaded.list(), [{ id: 'a', attempt: 4 }]);
+  assert.strictEqual(lineCount(filePath), 1);
+}));
+
+test('a torn last line is skipped', () => withStoreFile((filePath) => {
+  const store = createRecordStore(filePath, { logger: quietLogger });
+  store.upsert('a', { status: 'done' });
+  fs.appendFileSync(filePath, '{"op":"set","id":"b","da');
+
+  const warnings = [];
+  const reloaded = createRecordStore(filePath, { logger: { ...quietLogger, warn: message => warnings.push(message) } });
+  assert.deepStrictEqual(reloaded.list(), [{ id: 'a', status: 'done' }]);
+  assert.strictEqual(warnings.length, 1);
+}));
+
+test('the file is compacted while running once appended lines outnumber the records', () => withStoreFile((filePath) => {
+  const store = createRecordStore(filePath, { logger: quietLogger, compactRatio: 2, compactMinLines: 10 });
+  store.upsert('a', { n: 0 });
+  store.upsert('b', { n: 0 });
+  for (let i = 1; i < 100; i++) {
+    store.upsert('a', { n: i });
+    assert.ok(lineCount(filePath) <= 11, `${lineCount(filePath)} lines after ${i} updates`);
+  }
+  assert.deepStrictEqual(createRecordStore(filePath, { logger: quietLogger }).get('a'), { id: 'a', n: 99 });
+}));
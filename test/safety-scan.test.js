@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanJava, scanPluginYml, scanPom, scanProject, parseScanPolicy, blockingFindings, countBySeverity } = require('../lib/safety-scan');
+
+const rulesOf = (findings) => findings.map(finding => finding.rule);
+
+test('ordinary plugin code has no findings', () => {
+  const findings = scanJava(`package com.example;
+
+import org.bukkit.plugin.java.JavaPlugin;
+import java.io.File;
+
+public class Example extends JavaPlugin {
+    @Override
+    public void onEnable() {
+        File data = new File(getDataFolder(), "homes.yml");
+        data.delete();
+        getLogger().info("Enabled");
+    }
+}
+`, 'Example.java');
+  assert.deepStrictEqual(findings, []);
+});
+
+test('dangerous calls are reported with their line', () => {
+  const findings = scanJava(`class Bad {
+    void run() throws Exception {
+        Runtime.getRuntime().exec("rm -rf /");
+        System.exit(0);
+        new File("/etc/passwd").delete();
+        player.setOp(true);
+    }
+}`, 'Bad.java');
+  assert.deepStrictEqual(findings.map(finding => [finding.rule, finding.severity, finding.line]), [
+    ['process-exec', 'critical', 3],
+    ['system-exit', 'high', 4],
+    ['absolute-path', 'medium', 5],
+    ['file-delete', 'high', 5],
+    ['grants-op', 'medium', 6]
+  ]);
+  assert.strictEqual(findings[0].file, 'Bad.java');
+  assert.strictEqual(findings[0].snippet, 'Runtime.getRuntime().exec("rm -rf /");');
+});
+
+test('commented-out code is not reported', () => {
+  assert.deepStrictEqual(scanJava(`class Quiet {
+    // Runtime.getRuntime().exec("ls");
+    /* System.exit(1); */
+    String text = "see // not a comment";
+}`, 'Quiet.java'), []);
+});
+
+test('hidden strings are reported', () => {
+  const findings = scanJava('String url = new String(Base64.getDecoder().decode("aHR0cDovL2V4YW1wbGUuY29tL3BheWxvYWQ="));', 'Hidden.java');
+  assert.deepStrictEqual(rulesOf(findings), ['obfuscated-string']);
+});
+
+test('plugin.yml libraries and insecure pom settings are reported', () => {
+  assert.deepStrictEqual(rulesOf(scanPluginYml('name: Test\nmain: a.B\nlibraries:\n  - com.example:lib:1.0\n', 'plugin.yml')), ['runtime-libraries']);
+  assert.deepStrictEqual(rulesOf(scanPom('<url>http://repo.example.com/maven</url>\n<scope>system</scope>\n', 'pom.xml')), ['insecure-repository', 'system-scope']);
+});
+
+test('a project scan sorts findings by severity', () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safety-scan-'));
+  try {
+    const sources = path.join(projectDir, 'src', 'main', 'java', 'com', 'example');
+    fs.mkdirSync(sources, { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'pom.xml'), '<project><url>http://repo.example.com</url></project>\n');
+    fs.writeFileSync(path.join(sources, 'Main.java'), 'class Main { void a() { System.loadLibrary("x"); } }\n');
+
+    const findings = scanProject(projectDir);
+    assert.deepStrictEqual(findings.map(finding => [finding.rule, finding.file]), [
+      ['native-code', 'src/main/java/com/example/Main.java'],
+      ['insecure-repository', 'pom.xml']
+    ]);
+    assert.deepStrictEqual(countBySeverity(findings), { info: 0, low: 0, medium: 1, high: 0, critical: 1 });
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
+
+test('the block policy decides which findings fail a build', () => {
+  const findings = [
+    { rule: 'process-exec', severity: 'critical' },
+    { rule: 'system-exit', severity: 'high' },
+    { rule: 'http-client', severity: 'medium' }
+  ];
+  assert.deepStrictEqual(rulesOf(blockingFindings(findings, parseScanPolicy({}))), ['process-exec']);
+  assert.deepStrictEqual(rulesOf(blockingFindings(findings, parseScanPolicy({ SCAN_BLOCK_SEVERITY: 'high' }))), ['process-exec', 'system-exit']);
+  assert.deepStrictEqual(blockingFindings(findings, parseScanPolicy({ SCAN_BLOCK_SEVERITY: 'none' })), []);
+  assert.throws(() => parseScanPolicy({ SCAN_BLOCK_SEVERITY: 'severe' }), /SCAN_BLOCK_SEVERITY/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { createZipWriter, openZip } = require('../lib/zip');
+const { buildZip } = require('./helpers');
+
+// Offset of the first central directory entry
+const centralStart = (buffer) => buffer.readUInt32LE(buffer.length - 22 + 16);
+
+test('entries written by createZipWriter read back unchanged', async () => {
+  const binary = Buffer.from(Array.from({ length: 300 }, (_, i) => i % 256));
+  const archive = await buildZip({
+    'plugin.yml': 'name: Test\nmain: com.example.Test\n',
+    'src/main/java/com/example/Test.java': 'class Test {}\n'.repeat(50),
+    'data.bin': binary,
+    'empty.txt': ''
+  });
+
+  const zip = openZip(archive);
+  assert.deepStrictEqual(zip.names(), ['plugin.yml', 'src/main/java/com/example/Test.java', 'data.bin', 'empty.txt']);
+  assert.strictEqual(zip.read('plugin.yml').toString(), 'name: Test\nmain: com.example.Test\n');
+  assert.strictEqual(zip.read('src/main/java/com/example/Test.java').toString(), 'class Test {}\n'.repeat(50));
+  assert.deepStrictEqual(zip.read('data.bin'), binary);
+  assert.strictEqual(zip.read('empty.txt').length, 0);
+  assert.strictEqual(zip.has('missing.txt'), false);
+  assert.strictEqual(zip.read('missing.txt'), null);
+});
+
+test('backslashes in entry names become slashes', async () => {
+  const zip = openZip(await buildZip({ 'src\\Main.java': 'class Main {}' }));
+  assert.deepStrictEqual(zip.names(), ['src/Main.java']);
+});
+
+test('writing to a closed output fails instead of waiting for drain', async () => {
+  const output = new PassThrough({ highWaterMark: 16 });
+  const zip = createZipWriter(output);
+  const writing = zip.addFile('large.bin', Buffer.alloc(4096, 1));
+  output.destroy();
+  await assert.rejects(writing, { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+  assert.strictEqual(output.listenerCount('drain'), 0);
+  assert.strictEqual(output.listenerCount('close'), 0);
+});
+
+test('writing after the output has ended fails right away', async () => {
+  const output = new PassThrough();
+  output.resume();
+  output.end();
+  await assert.rejects(createZipWriter(output).addFile('late.txt', 'too late'), { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+});
+
+test('openZip rejects data that is not a zip archive', () => {
+  assert.throws(() => openZip(Buffer.from('not a zip archive at all, just some text')), /Not a zip archive/);
+});
+
+test('an entry inflating past its declared size is rejected', async () => {
+  const archive = await buildZip({ 'bomb.txt': 'a'.repeat(100000) });
+  // Claim a much smaller uncompressed size than the data inflates to
+  archive.writeUInt32LE(10, centralStart(archive) + 24);
+  assert.throws(() => openZip(archive).read('bomb.txt'), { code: 'ZIP_TOO_LARGE' });
+});
+
+test('an entry smaller than its declared size is reported as corrupt', async () => {
+  const archive = await buildZip({ 'short.txt': 'b'.repeat(1000) });
+  archive.writeUInt32LE(2000, centralStart(archive) + 24);
+  assert.throws(() => openZip(archive).read('short.txt'), /Corrupt zip entry short\.txt/);
+});
+
+test('entry and archive limits are enforced on declared sizes', async () => {
+  const archive = await buildZip({ 'one.txt': 'x'.repeat(600), 'two.txt': 'y'.repeat(600) });
+
+  assert.throws(() => openZip(archive, { maxEntryBytes: 500 }).read('one.txt'), { code: 'ZIP_TOO_LARGE' });
+
+  const zip = openZip(archive, { maxArchiveBytes: 1000 });
+  assert.strictEqual(zip.read('one.txt').length, 600);
+  assert.throws(() => zip.read('two.txt'), { code: 'ZIP_TOO_LARGE' });
+});
@@ -5,24 +5,79 @@ const express = require('express');
 const { exec, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const util = require('util');
 const { networkInterfaces } = require('os');
+const { createRecordStore } = require('./lib/record-store');
+const { createBuildQueue } = require('./lib/build-queue');
+const { createBuildEvents, writeSseEvent } = require('./lib/build-events');
+const { PROGRESS_FD, createProgressParser } = require('./lib/progress-protocol');
+const { createProvider } = require('./lib/providers');
+const { createAuth } = require('./lib/auth');
+const { createCounterStore, createRateLimiter, createFailureLimiter } = require('./lib/rate-limit');
+const { hashFile, contentDisposition, sendFile } = require('./lib/artifacts');
+const { createZipWriter } = require('./lib/zip');
+const { readPluginManifest } = require('./lib/plugin-manifest');
+const { readPom } = require('./lib/pom');
+const { createRetention } = require('./lib/retention');
+const { createRegistry } = require('./lib/metrics');
+const { countBySeverity } = require('./lib/safety-scan');
+const { verifyJar, summarizeFailures } = require('./lib/jar-verify');
+const { PLATFORMS, JAVA_VERSIONS, validateGenerationOptions, describeGenerationOptions } = require('./lib/generation-options');
+const { listTemplates, renderTemplate } = require('./lib/templates');
+const { itemStatus, summarizeBatch, bundleEntryName } = require('./lib/batches');
+const { WEBHOOK_EVENTS, checkWebhookUrl, generateSecret, createWebhookDispatcher } = require('./lib/webhooks');
+const { BUILD_LOG_FILE, detectLevel, createBuildLog, createLogFilter, pageEntries, readBuildLog } = require('./lib/build-log');
+const { validationError } = require('./lib/api-errors');
+const { createComponents, createOperations } = require('./lib/api-spec');
+const { buildOpenApiDocument, createRequestValidator } = require('./lib/openapi');
+const { renderDocsPage } = require('./lib/api-docs');
+const { loadConfig, describeConfig, scriptEnvironment } = require('./lib/config');
 
 // Initialize Express app
 const app = express();
-const port = process.env.PORT || 3001;
 const execPromise = util.promisify(exec);
 
-// Configuration
-const scriptPath = process.env.SCRIPT_PATH || path.join(__dirname, 'bash.sh');
-const corsOrigins = process.env.CORS_ORIGINS ? 
-  process.env.CORS_ORIGINS.split(',') : 
-  ['http://localhost:3000', 'http://127.0.0.1:3000'];
-const timeoutSeconds = parseInt(process.env.SCRIPT_TIMEOUT_SECONDS || '600', 10);
-const apiKey = process.env.API_KEY || ''; // Set a secure API key in production
-const logLevel = process.env.LOG_LEVEL || 'info'; // 'debug', 'info', 'warn', 'error'
+// Configuration: environment variables, optionally on top of a JSON CONFIG_FILE
+// (see lib/config.js for every setting). Invalid values stop the server here,
+// all of them listed at once.
+let config;
+try {
+  config = loadConfig({ baseDir: __dirname });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const {
+  port,
+  scriptPath,
+  corsOrigins,
+  scriptTimeoutSeconds: timeoutSeconds,
+  apiKey,
+  apiKeys,
+  apiKeysFile,
+  authJwtSecret,
+  trustProxy,
+  rateLimitMaxKeys,
+  logLevel,
+  buildConcurrency,
+  buildEstimateSeconds: defaultBuildEstimateSeconds,
+  generationProvider: generationProviderName,
+  apiHost,
+  providerTimeoutSeconds,
+  providerRetries,
+  metricsToken,
+  publicBaseUrl,
+  batchMaxItems,
+  validateResponses,
+  verifyArtifacts,
+  retention: retentionPolicy,
+  maven: mavenPolicy,
+  scan: scanPolicy,
+  webhooks: webhookPolicy
+} = config;
 
 // Simple logger with levels
 const logger = {
@@ -32,12 +87,75 @@ const logger = {
   error: (...args) => console.error('[ERROR]', ...args)
 };
 
+// Only trust X-Forwarded-For from configured proxies; req.ip is the client address otherwise
+app.set('trust proxy', trustProxy);
+
+// Prometheus metrics, served at /metrics
+const metricsRegistry = createRegistry();
+const metrics = {
+  buildsTotal: metricsRegistry.counter({
+    name: 'plugin_builds_total',
+    help: 'Finished builds by final status',
+    labelNames: ['status']
+  }),
+  buildDuration: metricsRegistry.histogram({
+    name: 'plugin_build_duration_seconds',
+    help: 'Time from queueing to the end of a build, by final status',
+    labelNames: ['status'],
+    buckets: [10, 30, 60, 120, 300, 600, 1200, 1800]
+  }),
+  stageDuration: metricsRegistry.histogram({
+    name: 'plugin_build_stage_duration_seconds',
+    help: 'Time builds spent in each stage',
+    labelNames: ['stage'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200]
+  }),
+  fixAttempts: metricsRegistry.histogram({
+    name: 'plugin_build_fix_attempts',
+    help: 'AI fix attempts per finished build',
+    labelNames: ['status'],
+    buckets: [0, 1, 2, 3, 5, 10, 20, 50]
+  }),
+  unshadedBuilds: metricsRegistry.counter({
+    name: 'plugin_builds_unshaded_total',
+    help: 'Successful builds that only produced a jar through the no-shade fallback'
+  }),
+  httpDuration: metricsRegistry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  }),
+  rateLimited: metricsRegistry.counter({
+    name: 'http_rate_limited_total',
+    help: 'Requests rejected by rate limiting, by route group',
+    labelNames: ['group']
+  })
+};
+
+// Request latency by matched route (the pattern, not the path, to keep label values bounded)
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    metrics.httpDuration.observe({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
 // Configure CORS
 app.use(cors({
   origin: corsOrigins,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Range', 'If-None-Match', 'If-Range', 'Last-Event-ID'],
+  exposedHeaders: [
+    'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+    'ETag', 'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'X-Checksum-SHA256', 'Digest', 'Deprecation', 'Link'
+  ]
 }));
 
 // Enable pre-flight for all routes
@@ -46,48 +164,101 @@ app.options('*', cors());
 // Parse JSON request bodies with larger limit
 app.use(bodyParser.json({ limit: '10mb' }));
 
-// API Key middleware for secured endpoints (optional, uncomment to enable)
-// const apiKeyAuth = (req, res, next) => {
-//   const key = req.headers['x-api-key'];
-//   if (apiKey && (!key || key !== apiKey)) {
-//     return res.status(401).json({
-//       success: false,
-//       message: 'Invalid or missing API key'
-//     });
-//   }
-//   next();
-// };
-
-// Rate limiting middleware
-const rateLimit = (windowMs = 60000, max = 10) => {
-  const clients = new Map();
-  return (req, res, next) => {
-    const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    const client = clients.get(ip) || { count: 0, resetTime: Date.now() + windowMs };
-    
-    if (Date.now() > client.resetTime) {
-      client.count = 1;
-      client.resetTime = Date.now() + windowMs;
-    } else {
-      client.count++;
-    }
-    
-    clients.set(ip, client);
-    
-    if (client.count > max) {
-      return res.status(429).json({
-        success: false,
-        message: 'Too many requests, please try again later'
-      });
-    }
-    
-    next();
-  };
-};
+// Request and response schemas of every route (lib/api-spec.js). Routes validate
+// their input with validate('<operationId>'); the spec is also published as
+// OpenAPI with an interactive reference, both readable without an API key.
+const apiComponents = createComponents({ batchMaxItems });
+const apiOperations = createOperations({ batchMaxItems });
+const { validateRequest: validate } = createRequestValidator({
+  components: apiComponents,
+  operations: apiOperations,
+  checkResponses: validateResponses,
+  logger
+});
+const openApiDocument = buildOpenApiDocument({
+  components: apiComponents,
+  operations: apiOperations,
+  title: 'Minecraft Plugin Generator API',
+  version: '1.1.0',
+  description: 'Generates Minecraft server plugins from prompts or templates and builds them with Maven. ' +
+    'Errors are { success: false, code, message }; see x-error-codes for the codes.'
+});
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.send(renderDocsPage({ title: 'Minecraft Plugin Generator API', specUrl: '/api/openapi.json' }));
+});
 
-// Apply rate limiting to certain endpoints
-app.use('/api/generate-plugin', rateLimit(60000, 5)); // 5 requests per minute
+const rateLimitStore = createCounterStore({ maxKeys: rateLimitMaxKeys });
+const countRateLimited = (req, group) => metrics.rateLimited.inc({ group });
+
+// Authentication for every /api route; each build is owned by the caller that
+// started it. Addresses that keep sending bad keys are locked out before auth
+// runs, so keys cannot be guessed at the full request rate.
+const authFailures = createFailureLimiter({
+  name: 'auth',
+  perIp: config.authFailureLimit,
+  store: rateLimitStore,
+  onLimit: countRateLimited
+});
+const auth = createAuth({
+  apiKey,
+  apiKeys,
+  apiKeysFile,
+  jwtSecret: authJwtSecret,
+  // EventSource cannot send headers, so only the event stream takes ?apiKey=
+  queryKeyAllowed: req => req.method === 'GET' && /^\/api\/builds\/[^/]+\/events$/.test(req.baseUrl + req.path),
+  onFailure: authFailures.recordFailure,
+  logger
+});
+app.use('/api', authFailures.check, auth.authenticate);
+
+// Rate limiting per route group, applied after authentication so each API key
+// gets its own budget on top of the per-IP one. Budgets are "max/windowSeconds".
+const rateLimits = {
+  generation: createRateLimiter({
+    name: 'generation',
+    perKey: config.rateLimits.generation.perKey,
+    perIp: config.rateLimits.generation.perIp,
+    store: rateLimitStore,
+    onLimit: countRateLimited
+  }),
+  downloads: createRateLimiter({
+    name: 'downloads',
+    perKey: config.rateLimits.downloads.perKey,
+    perIp: config.rateLimits.downloads.perIp,
+    store: rateLimitStore,
+    onLimit: countRateLimited
+  }),
+  // A batch queues up to BATCH_MAX_ITEMS builds, so it has its own, smaller budget
+  batches: createRateLimiter({
+    name: 'batches',
+    perKey: config.rateLimits.batches.perKey,
+    perIp: config.rateLimits.batches.perIp,
+    store: rateLimitStore,
+    onLimit: countRateLimited
+  }),
+  listing: createRateLimiter({
+    name: 'listing',
+    perKey: config.rateLimits.listing.perKey,
+    perIp: config.rateLimits.listing.perIp,
+    store: rateLimitStore,
+    onLimit: countRateLimited
+  })
+};
 
+// Backend that generates and fixes plugin sources; bash.sh reaches it through the gateway routes below
+const generationProvider = createProvider({
+  name: generationProviderName,
+  host: apiHost,
+  timeoutMs: providerTimeoutSeconds * 1000,
+  retries: providerRetries,
+  logger
+});
+const providerGatewayUrl = `http://127.0.0.1:${port}/internal/provider`;
 
 // Base directory for storing generated plugins
 const PLUGINS_BASE_DIR = path.join(__dirname, 'generated-plugins');
@@ -104,457 +275,2321 @@ const safeJoin = (base, ...paths) => {
   return resolved;
 };
 
+// True when `target` is strictly inside `dir` (no prefix tricks like "plugins-x")
+const isInsideDir = (dir, target) => {
+  const relative = path.relative(dir, target);
+  return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
 // Build stages for tracking progress
 const buildStages = {
+  QUEUED: "Waiting in build queue",
   UNDERSTANDING: "Understanding plugin requirements",
   REFINING: "Refining implementation approach",
   GENERATING: "Generating code files",
   CREATING: "Creating project structure",
+  SCANNING: "Scanning generated code",
   COMPILING: "Compiling Java code",
   FIXING: "Fixing compilation errors",
+  VERIFYING: "Verifying plugin jar",
   SUCCESS: "Build completed successfully",
-  FAILED: "Build failed"
+  FAILED: "Build failed",
+  CANCELLED: "Build cancelled"
 };
 
-// In-memory storage for build logs
+// In-memory storage for build logs of recent builds
 const activeBuilds = new Map();
 
-// Endpoint to generate a plugin
-app.post('/api/generate-plugin', async (req, res) => {
-  const startTime = Date.now();
-  let uniqueId;
+// Durable build history (prompt, stages, fix attempts, timings, jar path, error)
+const buildStore = createRecordStore(path.join(PLUGINS_BASE_DIR, 'builds.jsonl'), { logger });
+
+// Builds that were still running when the server stopped can never finish
+for (const build of buildStore.list()) {
+  if (['queued', 'initializing', 'running'].includes(build.status)) {
+    buildStore.upsert(build.id, {
+      status: 'failed',
+      stage: buildStages.FAILED,
+      error: build.error || 'Build interrupted by server restart',
+      endTime: build.endTime || Date.now()
+    });
+  }
+}
+
+// Live progress events (log lines, stage changes, fix attempts) for streaming clients
+const buildEvents = createBuildEvents();
+
+// Webhooks registered per API key owner, and the history of completion deliveries
+const webhookStore = createRecordStore(path.join(PLUGINS_BASE_DIR, 'webhooks.jsonl'), { logger });
+const webhookDeliveryStore = createRecordStore(path.join(PLUGINS_BASE_DIR, 'webhook-deliveries.jsonl'), { logger });
+const webhookDispatcher = createWebhookDispatcher({
+  store: webhookDeliveryStore,
+  policy: webhookPolicy,
+  // Registered webhooks sign with their own secret, callbackUrls with WEBHOOK_SECRET
+  resolveSecret: (delivery) => (delivery.webhookId
+    ? (webhookStore.get(delivery.webhookId) || {}).secret || null
+    : webhookPolicy.secret || null),
+  logger
+});
+
+// Durable NDJSON log of a build's output and stages, next to its project
+const buildLogPath = (id) => safeJoin(PLUGINS_BASE_DIR, id, BUILD_LOG_FILE);
+const buildLogFor = (id) => createBuildLog(buildLogPath(id), { logger });
+
+// Persist a change to a build
+const updateBuild = (id, patch) => buildStore.upsert(id, patch);
+
+// Stages a build ends in, and the buildStages key of a stage description
+const finalStages = [buildStages.SUCCESS, buildStages.FAILED, buildStages.CANCELLED];
+const stageName = (stage) => Object.keys(buildStages).find(key => buildStages[key] === stage) || 'UNKNOWN';
+
+// Move a build to a new stage, keeping a history of when each stage started
+const setBuildStage = (id, stage, patch = {}) => {
+  const build = buildStore.get(id);
+  if (!build) return;
+  if (build.stage === stage) {
+    if (Object.keys(patch).length > 0) updateBuild(id, patch);
+    return;
+  }
+  const now = Date.now();
+  const previous = (build.stages || [])[(build.stages || []).length - 1];
+  if (previous && !finalStages.includes(previous.stage)) {
+    metrics.stageDuration.observe({ stage: stageName(previous.stage) }, (now - previous.startedAt) / 1000);
+  }
+  const stages = (build.stages || []).concat({ stage, startedAt: now });
+  updateBuild(id, { ...patch, stage, stages });
+  buildEvents.publish(id, 'stage', { stage });
+  buildLogFor(id).system(`Stage: ${stage}`, { event: 'stage', stage });
+};
+
+// Count another AI fix attempt for a build, or set the attempt number the script reported
+const recordFixAttempt = (id, attempt) => {
+  const build = buildStore.get(id);
+  if (!build) return;
+  const fixAttempts = Number.isInteger(attempt) ? attempt : (build.fixAttempts || 0) + 1;
+  setBuildStage(id, buildStages.FIXING, { fixAttempts });
+  buildEvents.publish(id, 'fixAttempt', { fixAttempts });
+};
+
+// Apply one structured progress event from bash.sh (see lib/progress-protocol.js)
+const applyProgressEvent = (id, event) => {
+  switch (event.event) {
+    case 'project':
+      updateBuild(id, { projectDir: event.dir });
+      break;
+    case 'stage':
+      if (buildStages[event.stage]) {
+        setBuildStage(id, buildStages[event.stage]);
+      }
+      break;
+    case 'files':
+      updateBuild(id, { files: event.files });
+      buildEvents.publish(id, 'files', { files: event.files });
+      break;
+    case 'fix_attempt':
+      recordFixAttempt(id, event.attempt);
+      break;
+    case 'compiler_errors':
+      updateBuild(id, { compilerErrors: event.errors });
+      buildEvents.publish(id, 'compilerErrors', { errors: event.errors });
+      break;
+    case 'scan':
+      updateBuild(id, { scan: { findings: event.findings || [], blocked: event.blocked || [], scannedAt: Date.now() } });
+      buildEvents.publish(id, 'scan', { findings: event.findings || [], blocked: event.blocked || [] });
+      break;
+    case 'policy_violation':
+      updateBuild(id, { policyViolations: event.violations });
+      buildEvents.publish(id, 'policyViolation', { violations: event.violations });
+      break;
+    case 'sandbox':
+      updateBuild(id, { sandbox: { mode: event.mode, bwrap: event.bwrap === true } });
+      break;
+    case 'artifact':
+      updateBuild(id, { jarPath: event.path, shaded: event.shaded !== false });
+      break;
+    default:
+      // 'result' is applied once the script exits
+      break;
+  }
+};
+
+// Record script output for the logs endpoint and live event stream
+const recordBuildOutput = (id, type, output) => {
+  if (activeBuilds.has(id)) {
+    activeBuilds.get(id).logs.push({ type, message: output.trim(), time: Date.now() });
+  }
+  buildLogFor(id).output(type, output);
+  for (const line of output.split('\n')) {
+    if (line.trim()) {
+      buildEvents.publish(id, 'log', { stream: type, message: line });
+    }
+  }
+};
+
+// Mark a build as finished with its final status and stage
+const finishBuild = (id, status, stage, patch = {}) => {
+  const endTime = Date.now();
+  const build = buildStore.get(id);
+  setBuildStage(id, stage, {
+    ...patch,
+    status,
+    endTime,
+    durationMs: build ? endTime - build.startTime : undefined
+  });
+
+  const finished = buildStore.get(id);
+  buildLogFor(id).system(`Build ${status}${finished.error ? `: ${finished.error}` : ''}`, {
+    event: 'status',
+    status,
+    stage: finished.stage,
+    error: finished.error || null,
+    fixAttempts: finished.fixAttempts || 0
+  }, status === 'failed' ? 'error' : 'info');
+  metrics.buildsTotal.inc({ status });
+  metrics.buildDuration.observe({ status }, (finished.durationMs || 0) / 1000);
+  metrics.fixAttempts.observe({ status }, finished.fixAttempts || 0);
+  if (status === 'completed' && finished.shaded === false) {
+    metrics.unshadedBuilds.inc();
+  }
+
+  buildEvents.publish(id, 'status', {
+    status: finished.status,
+    stage: finished.stage,
+    fixAttempts: finished.fixAttempts || 0,
+    jarPath: finished.jarPath || null,
+    error: finished.error || null
+  });
+  buildEvents.publish(id, 'end');
+
+  notifyBuildFinished(id).catch(err => logger.error(`Could not send webhooks for build ${id}:`, err));
+};
+
+const WEBHOOK_EVENT_BY_STATUS = { completed: 'build.completed', failed: 'build.failed', cancelled: 'build.cancelled' };
+
+// Webhook payload of a finished build: what a client would otherwise poll the status endpoint for
+const buildWebhookPayload = async (build) => {
+  let artifact = null;
+  if (build.status === 'completed') {
+    try {
+      artifact = await getArtifactInfo(build);
+    } catch (err) {
+      logger.warn(`Could not read the artifact of build ${build.id} for webhooks: ${err.message}`);
+    }
+  }
+  return {
+    buildId: build.id,
+    status: build.status,
+    stage: build.stage,
+    stages: build.stages || [],
+    fixAttempts: build.fixAttempts || 0,
+    error: build.error || null,
+    artifact: artifact ? {
+      fileName: artifact.fileName,
+      size: artifact.size,
+      sha256: artifact.sha256,
+      url: `${publicBaseUrl}/api/builds/${build.id}/artifact`
+    } : null,
+    batchId: build.batchId || null,
+    startTime: new Date(build.startTime).toISOString(),
+    endTime: new Date(build.endTime).toISOString(),
+    statusUrl: `${publicBaseUrl}/api/build-status/${build.id}`
+  };
+};
+
+// Send the build's callbackUrl and its owner's registered webhooks a completion event
+const notifyBuildFinished = async (id) => {
+  const build = buildStore.get(id);
+  const event = build && WEBHOOK_EVENT_BY_STATUS[build.status];
+  if (!event) return;
+
+  const targets = webhookStore.list()
+    .filter(webhook => webhook.owner === build.owner && webhook.events.includes(event))
+    .map(webhook => ({ url: webhook.url, webhookId: webhook.id }));
+  if (build.callbackUrl) {
+    targets.unshift({ url: build.callbackUrl, webhookId: null });
+  }
+  if (targets.length === 0) return;
+
+  const payload = await buildWebhookPayload(build);
+  for (const target of targets) {
+    webhookDispatcher.enqueue({ ...target, event, payload, buildId: id, owner: build.owner });
+  }
+};
+
+// The build with this id if the caller may see it; other owners' builds look missing
+const findAccessibleBuild = (req, id) => {
+  const build = buildStore.get(id);
+  return build && auth.canAccessBuild(req.user, build) ? build : null;
+};
+
+// Absolute path of a build's jar inside its own directory, or null. Older builds
+// recorded a path relative to the project directory the script created.
+const resolveBuildJar = (build) => {
+  if (!build.jarPath) return null;
+  const buildDir = safeJoin(PLUGINS_BASE_DIR, build.id);
+
+  let candidates = [build.jarPath];
+  if (!path.isAbsolute(build.jarPath)) {
+    const projectDirs = build.projectDir ? [build.projectDir] : [];
+    if (fs.existsSync(buildDir)) {
+      fs.readdirSync(buildDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => projectDirs.push(path.join(buildDir, entry.name)));
+    }
+    candidates = projectDirs.concat(buildDir).map(dir => path.resolve(dir, build.jarPath));
+  }
+
+  return candidates.find(candidate => isInsideDir(buildDir, candidate) && fs.existsSync(candidate)) || null;
+};
+
+// Size, modification time and SHA-256 of a build's jar, cached on the build record
+const getArtifactInfo = async (build) => {
+  const jarPath = resolveBuildJar(build);
+  if (!jarPath) return null;
+
+  const stats = fs.statSync(jarPath);
+  const cached = build.artifact;
+  if (cached && cached.path === jarPath && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached;
+  }
+
+  const artifact = {
+    path: jarPath,
+    fileName: path.basename(jarPath),
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    sha256: await hashFile(jarPath)
+  };
+  updateBuild(build.id, { artifact });
+  return artifact;
+};
+
+// Jars bigger than this are not opened to read their plugin.yml
+const MAX_MANIFEST_JAR_BYTES = 64 * 1024 * 1024;
+
+// plugin.yml of a jar, or { error } when it cannot be read
+const readJarManifest = (jarPath) => {
+  try {
+    if (fs.statSync(jarPath).size > MAX_MANIFEST_JAR_BYTES) {
+      return { descriptor: null, error: 'Jar is too large to inspect' };
+    }
+    return readPluginManifest(jarPath);
+  } catch (err) {
+    return { descriptor: null, error: `Could not read jar: ${err.message}` };
+  }
+};
+
+// plugin.yml metadata of a build's jar, cached on the build record per jar checksum
+const getBuildManifest = async (build) => {
+  const artifact = await getArtifactInfo(build);
+  if (!artifact) return null;
+
+  const cached = buildStore.get(build.id).manifest;
+  if (cached && cached.sha256 === artifact.sha256) {
+    return cached.data;
+  }
+
+  const data = readJarManifest(artifact.path);
+  updateBuild(build.id, { manifest: { sha256: artifact.sha256, data } });
+  return data;
+};
+
+// Check a finished build's jar the way a server would load it (see
+// lib/jar-verify.js) and attach the report to the build
+const verifyBuildArtifact = async (id) => {
+  const build = buildStore.get(id);
+  const artifact = await getArtifactInfo(build);
+  if (!artifact) return null;
+  setBuildStage(id, buildStages.VERIFYING);
+
+  let report;
+  if (artifact.size > MAX_MANIFEST_JAR_BYTES) {
+    report = { status: 'skipped', checks: [{ name: 'jar', status: 'skipped', messages: ['Jar is too large to inspect'] }] };
+  } else {
+    let pom = null;
+    const projectDir = resolveProjectDir(build);
+    try {
+      pom = projectDir ? readPom(path.join(projectDir, 'pom.xml')) : null;
+    } catch (err) {
+      logger.debug(`No usable pom.xml for build ${id}: ${err.message}`);
+    }
+    try {
+      report = verifyJar(fs.readFileSync(artifact.path), { pom });
+    } catch (err) {
+      report = { status: 'failed', checks: [{ name: 'jar', status: 'failed', messages: [`Could not read jar: ${err.message}`] }] };
+    }
+  }
+
+  const verification = { ...report, sha256: artifact.sha256, verifiedAt: new Date().toISOString() };
+  updateBuild(id, { verification });
+  buildEvents.publish(id, 'verification', verification);
+  buildLogFor(id).system(`Jar verification ${report.status}`, { event: 'verification', status: report.status },
+    report.status === 'failed' ? 'error' : report.status === 'warnings' ? 'warn' : 'info');
+  return verification;
+};
+
+// Stream exactly this build's jar, with checksum, ETag and Range support
+const serveBuildArtifact = async (req, res, build, headers = {}) => {
+  const artifact = await getArtifactInfo(build);
+  if (!artifact) {
+    return res.status(404).json({
+      success: false,
+      code: 'ARTIFACT_NOT_FOUND',
+      message: `Build ${build.id} has no artifact`
+    });
+  }
+
+  logger.info(`Serving artifact of build ${build.id}: ${artifact.path}`);
+  return sendFile(req, res, {
+    filePath: artifact.path,
+    size: artifact.size,
+    etag: `"sha256-${artifact.sha256}"`,
+    lastModified: artifact.mtimeMs,
+    contentType: 'application/java-archive',
+    filename: artifact.fileName,
+    headers: {
+      'X-Checksum-SHA256': artifact.sha256,
+      'Digest': `sha-256=${Buffer.from(artifact.sha256, 'hex').toString('base64')}`,
+      ...headers
+    }
+  });
+};
+
+// Maven project directory a build produced: the one the script reported, else
+// the first subdirectory with a pom.xml (older builds), else the build directory
+const resolveProjectDir = (build) => {
+  const buildDir = safeJoin(PLUGINS_BASE_DIR, build.id);
+  if (build.projectDir && isInsideDir(buildDir, build.projectDir) && fs.existsSync(build.projectDir)) {
+    return build.projectDir;
+  }
+  if (!fs.existsSync(buildDir)) {
+    return null;
+  }
+  const withPom = fs.readdirSync(buildDir, { withFileTypes: true })
+    .find(entry => entry.isDirectory() && fs.existsSync(path.join(buildDir, entry.name, 'pom.xml')));
+  return withPom ? path.join(buildDir, withPom.name) : buildDir;
+};
+
+// Build output and editor/OS leftovers that are not part of a project's sources
+const isIgnoredSourcePath = (relativePath) => {
+  const parts = relativePath.split('/');
+  const name = parts[parts.length - 1];
+  return parts[0] === 'target' ||
+    parts.includes('.git') ||
+    name === '.DS_Store' ||
+    name.startsWith('.#') ||
+    /(\.tmp|\.swp|\.bak|~)$/.test(name);
+};
+
+// Relative paths (forward slashes) of the source files in a project directory.
+// Symlinks are skipped so nothing outside the project can be reached.
+const listProjectFiles = (dir) => {
+  const files = [];
+  const walk = (current, base) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const relativePath = base ? `${base}/${entry.name}` : entry.name;
+      if (isIgnoredSourcePath(relativePath)) continue;
+      if (entry.isDirectory()) {
+        walk(path.join(current, entry.name), relativePath);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  };
+  walk(dir, '');
+  return files.sort();
+};
+
+// Absolute path of a source file inside a project directory, or null when the
+// path is empty, escapes the project (directly or through a symlink) or points
+// into build output such as target/
+const resolveProjectFile = (projectDir, relativePath) => {
+  const normalized = path.posix.normalize(String(relativePath || '').replace(/\\/g, '/'));
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../') ||
+      path.posix.isAbsolute(normalized) || isIgnoredSourcePath(normalized)) {
+    return null;
+  }
+
+  const filePath = safeJoin(projectDir, normalized);
+  if (!isInsideDir(projectDir, filePath)) {
+    return null;
+  }
+
+  // Check where the nearest existing part of the path really points
+  let existing = filePath;
+  while (!fs.existsSync(existing)) {
+    existing = path.dirname(existing);
+  }
+  const realProject = fs.realpathSync(projectDir);
+  const realExisting = fs.realpathSync(existing);
+  if (realExisting !== realProject && !isInsideDir(realProject, realExisting)) {
+    return null;
+  }
+  return filePath;
+};
+
+const sha256Of = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Plain-text log of a build for exports
+const formatBuildLog = (build) => {
+  const logFile = buildLogPath(build.id);
+  if (fs.existsSync(logFile)) {
+    return fs.readFileSync(logFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line) => {
+        try {
+          const entry = JSON.parse(line);
+          return `[${entry.time}] [${entry.stream}] ${entry.message}`;
+        } catch (err) {
+          return line;
+        }
+      })
+      .join('\n') + '\n';
+  }
+
+  const live = activeBuilds.get(build.id);
+  if (!live) {
+    return 'No logs available for this build\n';
+  }
+  return live.logs
+    .map(entry => `[${new Date(entry.time).toISOString()}] [${entry.type}] ${entry.message}`)
+    .join('\n') + '\n';
+};
+
+// README describing how a build was produced, for source exports
+const formatBuildReadme = (build) => [
+  `# ${build.id}`,
+  '',
+  'Generated by the Minecraft Plugin Generator API.',
+  '',
+  '## Prompt',
+  '',
+  '```',
+  build.prompt || '(unknown)',
+  '```',
+  '',
+  '## Build',
+  '',
+  `- Status: ${build.status}`,
+  `- Stage: ${build.stage}`,
+  `- Started: ${build.startTime ? new Date(build.startTime).toISOString() : 'unknown'}`,
+  `- Finished: ${build.endTime ? new Date(build.endTime).toISOString() : 'not finished'}`,
+  `- AI fix attempts: ${build.fixAttempts || 0}`,
+  build.artifact ? `- Artifact: ${build.artifact.fileName} (sha256 ${build.artifact.sha256})` : '- Artifact: none',
+  ''
+].join('\n');
+
+// Status fields shared by the status, logs and listing endpoints
+const describeBuild = (build) => ({
+  status: build.status,
+  stage: build.stage,
+  stages: build.stages || [],
+  fixAttempts: build.fixAttempts || 0,
+  prompt: build.prompt,
+  template: build.template || null,
+  options: build.options || null,
+  jarPath: build.jarPath || null,
+  shaded: build.shaded !== undefined ? build.shaded : null,
+  artifact: build.artifact ? {
+    fileName: build.artifact.fileName,
+    size: build.artifact.size,
+    sha256: build.artifact.sha256,
+    url: `/api/builds/${build.id}/artifact`
+  } : null,
+  files: build.files || [],
+  pinned: Boolean(build.pinned),
+  outputRemoved: Boolean(build.outputRemoved),
+  revision: build.revision || 1,
+  parentId: build.parentId || null,
+  rootId: build.rootId || build.id,
+  batchId: build.batchId || null,
+  apiHost: build.apiHost || null,
+  callbackUrl: build.callbackUrl || null,
+  compilerErrors: build.compilerErrors || [],
+  policyViolations: build.policyViolations || [],
+  sandbox: build.sandbox || null,
+  scan: build.scan ? {
+    counts: countBySeverity(build.scan.findings),
+    blocked: build.scan.blocked.length > 0,
+    findings: build.scan.findings,
+    scannedAt: new Date(build.scan.scannedAt).toISOString()
+  } : null,
+  verification: build.verification || null,
+  error: build.error || null,
+  startTime: build.startTime,
+  endTime: build.endTime || null,
+  elapsedTime: (build.endTime || Date.now()) - build.startTime
+});
+
+// Average script run time of recent builds, used to estimate queue start times
+const averageBuildDurationMs = () => {
+  const recent = buildStore.list()
+    .filter(build => build.runStartedAt && build.endTime)
+    .sort((a, b) => b.endTime - a.endTime)
+    .slice(0, 20);
+  if (recent.length === 0) {
+    return defaultBuildEstimateSeconds * 1000;
+  }
+  return recent.reduce((sum, build) => sum + (build.endTime - build.runStartedAt), 0) / recent.length;
+};
+
+// Queue position and estimated start time for builds waiting in (or leaving) the queue
+const describeQueuePosition = (id) => {
+  const queuePosition = buildQueue.position(id);
+  if (queuePosition === null) {
+    return {};
+  }
+  const estimatedStart = buildQueue.estimateStartTime(id, averageBuildDurationMs());
+  return {
+    queuePosition,
+    estimatedStartTime: new Date(estimatedStart).toISOString()
+  };
+};
+
+// Drop in-memory logs and events of finished builds beyond the 10 newest; the store keeps the rest
+const pruneBuildLogs = () => {
+  const finished = Array.from(activeBuilds.keys())
+    .map(id => buildStore.get(id))
+    .filter(build => build && build.endTime)
+    .sort((a, b) => b.startTime - a.startTime);
+  finished.slice(10).forEach(build => {
+    activeBuilds.delete(build.id);
+    buildEvents.forget(build.id);
+  });
+};
+
+// Script processes of running builds, and builds asked to stop (id -> { cleanup })
+const runningBuilds = new Map();
+const cancelledBuilds = new Map();
+
+// Signal every process in a detached child's process group (bash, curl, mvn, java)
+const signalProcessTree = (child, signal) => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    if (err.code !== 'ESRCH') {
+      logger.warn(`Could not send ${signal} to process group ${child.pid}: ${err.message}`);
+    }
+  }
+};
+
+// Ask the process tree to stop, then force it if it is still around after a grace period
+const terminateProcessTree = (child, graceMs = 5000) => {
+  signalProcessTree(child, 'SIGTERM');
+  setTimeout(() => signalProcessTree(child, 'SIGKILL'), graceMs).unref();
+};
+
+// Delete a build's output directory, staying inside the plugins directory
+const removeBuildOutput = (id) => {
+  const outputPath = safeJoin(PLUGINS_BASE_DIR, id);
+  fs.rmSync(outputPath, { recursive: true, force: true });
+  updateBuild(id, { outputRemoved: true });
+  logger.info(`Removed output directory of build ${id}`);
+};
+
+// Finish a build that was stopped on request
+const finishCancelledBuild = (id) => {
+  const { cleanup } = cancelledBuilds.get(id);
+  cancelledBuilds.delete(id);
+  finishBuild(id, 'cancelled', buildStages.CANCELLED, { error: 'Cancelled by user' });
+  if (cleanup) {
+    removeBuildOutput(id);
+  }
+};
+
+// Run the bash script for a queued build, recording progress in the build store
+// `scriptEnv` adds script settings such as GENERATION_MODE and PLUGIN_DIR_NAME
+const runBuild = async ({ id: uniqueId, prompt, token, outputPath, scriptEnv = {} }) => {
+  const startTime = Date.now();
+  let timeoutTimer = null;
+  let markDone = () => {};
+
+  // Cancelled between leaving the queue and starting
+  if (cancelledBuilds.has(uniqueId)) {
+    finishCancelledBuild(uniqueId);
+    return;
+  }
+
+  try {
+    if (!fs.existsSync(outputPath)) {
+      fs.mkdirSync(outputPath, { recursive: true });
+    }
+
+    const provider = generationProvider.describe();
+    activeBuilds.set(uniqueId, { logs: [] });
+    // The upstream this run actually talks to, since API_HOST may change between restarts
+    updateBuild(uniqueId, { status: 'initializing', runStartedAt: startTime, provider, apiHost: provider.host || null });
+    buildLogFor(uniqueId).system('Build started', {
+      event: 'start',
+      mode: scriptEnv.GENERATION_MODE || 'create',
+      provider: provider.name || null
+    });
+    setBuildStage(uniqueId, buildStages.UNDERSTANDING);
+
+    // Directly run the bash script
+    const escapedPrompt = prompt.replace(/"/g, '\\"');
+
+    logger.info(`Executing build ${uniqueId} with script: ${scriptPath}`);
+    logger.info(`Using generation provider: ${JSON.stringify(provider)}`);
+
+    // Use spawn instead of exec for real-time output
+    let stdoutChunks = [];
+
+    // Set up the process with proper environment, in its own process group so
+    // cancelling or timing out also stops the curl and mvn processes it starts
+    const env = {
+      ...scriptEnvironment(config),
+      API_HOST: providerGatewayUrl,
+      API_MAX_TIME: String(Math.ceil(generationProvider.maxDurationMs() / 1000) + 30),
+      PROGRESS_FD: String(PROGRESS_FD),
+      GENERATION_MODE: 'create',
+      ...scriptEnv
+    };
+    const bashProcess = spawn('bash', [scriptPath, escapedPrompt, token, outputPath], { 
+      env: env,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe', 'pipe']
+    });
+    const running = {
+      process: bashProcess,
+      exited: false,
+      done: new Promise(resolve => { markDone = resolve; })
+    };
+    runningBuilds.set(uniqueId, running);
+    updateBuild(uniqueId, { status: 'running' });
+
+    let timedOut = false;
+    timeoutTimer = setTimeout(() => {
+      timedOut = true;
+      terminateProcessTree(bashProcess);
+    }, timeoutSeconds * 1000);
+
+    // Structured progress events; once any arrive, the stdout heuristics below are skipped
+    let structuredProgress = false;
+    let scriptResult = null;
+    const progressParser = createProgressParser((event) => {
+      structuredProgress = true;
+      if (event.event === 'result') {
+        scriptResult = event;
+      }
+      applyProgressEvent(uniqueId, event);
+    }, (line, reason) => logger.warn(`Ignoring progress line from build ${uniqueId} (${reason}): ${line}`));
+    bashProcess.stdio[PROGRESS_FD].on('data', progressParser.push);
+
+    // Capture and log output in real-time
+    bashProcess.stdout.on('data', (data) => {
+      const output = data.toString();
+      logger.info(`[SCRIPT] ${output.trim()}`);
+      stdoutChunks.push(output);
+      
+      // Store logs for retrieval and streaming
+      recordBuildOutput(uniqueId, 'stdout', output);
+
+      // Fallback for scripts that do not speak the progress protocol:
+      // update build stage based on output patterns
+      if (structuredProgress) {
+        return;
+      }
+      if (output.includes("Analyzing your request") || output.includes("Understanding requirements")) {
+        setBuildStage(uniqueId, buildStages.UNDERSTANDING);
+      } else if (output.includes("Designing plugin structure") || output.includes("Refining implementation")) {
+        setBuildStage(uniqueId, buildStages.REFINING);
+      } else if (output.includes("Generating code") || output.includes("Writing plugin code")) {
+        setBuildStage(uniqueId, buildStages.GENERATING);
+      } else if (output.includes("Creating project files") || output.includes("Setting up project")) {
+        setBuildStage(uniqueId, buildStages.CREATING);
+      } else if (output.includes("Compiling") || output.includes("Running Maven")) {
+        setBuildStage(uniqueId, buildStages.COMPILING);
+      } else if (output.includes("Attempting to fix error") || output.includes("Fixing compilation issues")) {
+        recordFixAttempt(uniqueId);
+      } else if (output.includes("Build successful") || output.includes("Plugin generation complete")) {
+        setBuildStage(uniqueId, buildStages.SUCCESS);
+      }
+    });
+
+    bashProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      logger.warn(`[SCRIPT-ERR] ${output.trim()}`);
+      
+      // Store logs for retrieval and streaming
+      recordBuildOutput(uniqueId, 'stderr', output);
+
+      // Check for compilation errors
+      if (!structuredProgress && (output.includes("error:") || output.includes("Exception"))) {
+        setBuildStage(uniqueId, buildStages.FIXING);
+      }
+    });
+
+    // Wait for the process to complete
+    const { code: exitCode, signal } = await new Promise((resolve, reject) => {
+      bashProcess.on('close', (code, signal) => resolve({ code, signal }));
+      bashProcess.on('error', reject);
+    });
+    // Its process group may be reused from now on, so nothing may signal it
+    running.exited = true;
+    clearTimeout(timeoutTimer);
+
+    // Combine all output
+    progressParser.end();
+    const stdout = stdoutChunks.join('');
+
+    if (cancelledBuilds.has(uniqueId)) {
+      logger.info(`Build ${uniqueId} cancelled`);
+      finishCancelledBuild(uniqueId);
+      return;
+    }
+
+    // Check if the process was successful
+    if (exitCode !== 0) {
+      let message = `Script exited with code ${exitCode !== null ? exitCode : signal}`;
+      if (timedOut) {
+        message = `Script execution timed out after ${timeoutSeconds} seconds`;
+      } else if (scriptResult && scriptResult.message) {
+        message = scriptResult.message;
+      }
+      logger.error(`Build ${uniqueId}: ${message}`);
+
+      finishBuild(uniqueId, 'failed', buildStages.FAILED, { error: message });
+      return;
+    }
+
+    // The script reports its own outcome; a clean exit alone does not mean a jar was built
+    if (scriptResult && scriptResult.status === 'failed') {
+      logger.error(`Build ${uniqueId} failed: ${scriptResult.message}`);
+      finishBuild(uniqueId, 'failed', buildStages.FAILED, { error: scriptResult.message || 'Build failed' });
+      return;
+    }
+
+    // Prefer the artifact event, then the jar path printed on stdout
+    let jarPath = buildStore.get(uniqueId).jarPath || null;
+    const newFormatMatch = stdout.match(/PLUGIN_JAR_PATH:(.*)/);
+    
+    if (jarPath) {
+      logger.info("Found JAR path (progress event):", jarPath);
+    } else if (newFormatMatch && newFormatMatch[1]) {
+      jarPath = newFormatMatch[1].trim();
+      logger.info("Found JAR path (new format):", jarPath);
+    } else {
+      // Fall back to the old format if needed
+      const oldFormatMatch = stdout.match(/Plugin JAR file created:?\s*(.*\.jar)/);
+      if (oldFormatMatch && oldFormatMatch[1]) {
+        jarPath = oldFormatMatch[1].trim();
+        logger.info("Found JAR path (old format):", jarPath);
+      }
+    }
+
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info(`Plugin ${uniqueId} generated in ${processingTime} seconds`);
+
+    // Cancelling is still possible while the jar is inspected below; the
+    // script is gone by then, so a cancel only changes the outcome
+    const cancelledAfterExit = () => {
+      if (!cancelledBuilds.has(uniqueId)) return false;
+      logger.info(`Build ${uniqueId} cancelled after its script finished`);
+      finishCancelledBuild(uniqueId);
+      return true;
+    };
+
+    updateBuild(uniqueId, { jarPath });
+    try {
+      await getBuildManifest(buildStore.get(uniqueId));
+    } catch (artifactErr) {
+      logger.warn(`Could not inspect artifact of build ${uniqueId}: ${artifactErr.message}`);
+    }
+    if (cancelledAfterExit()) return;
+
+    // A jar that Maven produced can still fail to load on a server
+    if (verifyArtifacts !== 'off') {
+      const verification = await verifyBuildArtifact(uniqueId);
+      if (cancelledAfterExit()) return;
+      if (verification && verification.status === 'failed' && verifyArtifacts === 'enforce') {
+        logger.error(`Build ${uniqueId} failed jar verification`);
+        finishBuild(uniqueId, 'failed', buildStages.FAILED, {
+          error: `Jar verification failed: ${summarizeFailures(verification)}`
+        });
+        return;
+      }
+    }
+
+    finishBuild(uniqueId, 'completed', buildStages.SUCCESS);
+  } catch (error) {
+    logger.error(`Error running build ${uniqueId}:`, error);
+    if (cancelledBuilds.has(uniqueId)) {
+      finishCancelledBuild(uniqueId);
+    } else {
+      finishBuild(uniqueId, 'failed', buildStages.FAILED, { error: error.message });
+    }
+  } finally {
+    clearTimeout(timeoutTimer);
+    runningBuilds.delete(uniqueId);
+    // A cancel that arrived after the build finished has nothing left to stop
+    cancelledBuilds.delete(uniqueId);
+    markDone();
+    pruneBuildLogs();
+  }
+};
+
+const buildQueue = createBuildQueue({ concurrency: buildConcurrency, run: runBuild, logger });
+
+// Retention for generated-plugins: prunes target/ and deletes old builds on a
+// schedule, never touching queued, running or pinned builds
+const retention = createRetention({
+  policy: retentionPolicy,
+  listEntries: () => fs.readdirSync(PLUGINS_BASE_DIR).map(id => ({
+    id,
+    dir: safeJoin(PLUGINS_BASE_DIR, id),
+    build: buildStore.get(id) || null
+  })),
+  isActive: (id) => buildQueue.position(id) !== null || runningBuilds.has(id),
+  findJar: resolveBuildJar,
+  onRemoved: (id, reason) => {
+    if (buildStore.has(id)) {
+      updateBuild(id, { outputRemoved: true, removedAt: Date.now(), removedReason: reason });
+    }
+    buildEvents.forget(id);
+    activeBuilds.delete(id);
+    logger.info(`Retention removed build ${id} (${reason})`);
+  },
+  logger
+});
+retention.schedule();
+
+// Queue and process gauges, read at scrape time
+metricsRegistry.gauge({
+  name: 'plugin_build_queue_depth',
+  help: 'Builds waiting in the queue',
+  collect: () => buildQueue.stats().queued
+});
+metricsRegistry.gauge({
+  name: 'plugin_build_processes',
+  help: 'Build script process trees currently running',
+  collect: () => runningBuilds.size
+});
+metricsRegistry.gauge({
+  name: 'plugin_build_concurrency',
+  help: 'Maximum builds run at the same time',
+  collect: () => buildConcurrency
+});
+
+// Generation gateway: bash.sh calls these instead of the AI API directly, so the
+// configured provider (with its timeouts and retries) is used. Loopback only.
+const requireLoopback = (req, res, next) => {
+  const address = req.socket.remoteAddress;
+  if (!['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Provider gateway is only available to local build scripts'
+    });
+  }
+  next();
+};
+
+app.head('/internal/provider', requireLoopback, (req, res) => res.status(200).end());
+
+app.get('/internal/provider', requireLoopback, (req, res) => {
+  res.json({ status: 'success', provider: generationProvider.describe() });
+});
+
+app.post('/internal/provider/api/:operation(create|fix|revise)', requireLoopback, async (req, res) => {
+  const { operation } = req.params;
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+  try {
+    const result = await generationProvider[operation](req.body, { token });
+    return res.status(result.statusCode).json(result.body);
+  } catch (error) {
+    logger.error(`Generation provider ${operation} failed:`, error);
+    return res.status(502).json({
+      status: 'error',
+      message: `Generation provider failed: ${error.message}`
+    });
+  }
+});
+
+// Script environment carrying a build's generation options to the provider
+const generationOptionsEnv = (options) => (options ? { GENERATION_OPTIONS: JSON.stringify(options) } : {});
+
+// Record a new build and put it in the queue. The token is only needed by the
+// script, so it stays with the queued job and is never stored. `options` are
+// the validated generation options, passed on to the script.
+const queueBuild = ({ id, prompt, token, owner, outputPath, lineage, template = null, options = null, batchId = null, callbackUrl = null, scriptEnv = {} }) => {
+  const timestamp = Date.now();
+  fs.mkdirSync(outputPath, { recursive: true });
+  updateBuild(id, {
+    prompt,
+    owner,
+    outputDir: outputPath,
+    status: 'queued',
+    startTime: timestamp,
+    stage: buildStages.QUEUED,
+    stages: [{ stage: buildStages.QUEUED, startedAt: timestamp }],
+    fixAttempts: 0,
+    template,
+    options,
+    ...(batchId ? { batchId } : {}),
+    ...(callbackUrl ? { callbackUrl } : {}),
+    ...lineage
+  });
+
+  buildLogFor(id).system(`Stage: ${buildStages.QUEUED}`, { event: 'stage', stage: buildStages.QUEUED });
+
+  buildQueue.enqueue({ id, prompt, token, outputPath, scriptEnv: { ...scriptEnv, ...generationOptionsEnv(options) } });
+  logger.info(`Queued build ${id} (${JSON.stringify(buildQueue.stats())})`);
+};
+
+// Template catalog and the generation options /api/generate-plugin accepts
+app.get('/api/templates', rateLimits.listing, validate('listTemplates'), (req, res) => {
+  res.json({
+    success: true,
+    templates: listTemplates(),
+    options: {
+      platform: Object.entries(PLATFORMS).map(([id, platform]) => ({ id, label: platform.label })),
+      mcVersion: 'Minecraft version such as 1.20.4; a Velocity API version such as 3.3.0 for velocity',
+      javaVersion: JAVA_VERSIONS,
+      packageName: 'Lowercase Java package such as com.example.homes'
+    }
+  });
+});
+
+// Whether a build id is already used by a build or a directory
+const buildIdTaken = (buildId) => buildStore.has(buildId) || fs.existsSync(safeJoin(PLUGINS_BASE_DIR, buildId));
+
+// The build id a caller's chosen buildId stands for. Ids share one namespace,
+// so those of non-admin callers are prefixed with a tag of their owner: two
+// owners can pick the same id, and a taken id never tells one owner about
+// another's builds. Admins (everyone, without authentication) get the id as given.
+const clientBuildId = (user, buildId) => (auth.isAdmin(user)
+  ? buildId
+  : `${crypto.createHash('sha256').update(user.owner).digest('hex').slice(0, 8)}-${buildId}`);
+
+// A fresh id for a build or batch. The random part keeps requests in the same
+// millisecond apart and stops a client from claiming an id ahead of time.
+const newId = (prefix, taken = buildIdTaken) => {
+  let id;
+  do {
+    id = `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  } while (taken(id));
+  return id;
+};
+
+// Problems with a callbackUrl the schema cannot see (scheme, credentials), as [{ path, message }]
+const callbackUrlErrors = (callbackUrl, at) => {
+  const problem = callbackUrl !== undefined ? checkWebhookUrl(callbackUrl, { allowPrivate: webhookPolicy.allowPrivate }) : null;
+  return problem ? [{ path: at, message: `${at} ${problem}` }] : [];
+};
+
+const CALLBACKS_DISABLED_MESSAGE = "callbackUrl needs WEBHOOK_SECRET to be set on the server so deliveries can be signed";
+
+// Check the parts of a generation request the schema cannot (a prompt or a
+// template, template parameters, option combinations) and compose the prompt
+// sent to the generator. `at` is the request path used in error messages.
+// Returns { errors } when the request is invalid, else { prompt, template, options }.
+const prepareGeneration = ({ prompt, template, options }, at = 'body') => {
+  if (!prompt && !template) {
+    return { errors: [{ path: `${at}.prompt`, message: `${at}.prompt or ${at}.template is required` }] };
+  }
+
+  const errors = [];
+  const rendered = template !== undefined ? renderTemplate(template) : null;
+  if (rendered && rendered.errors) {
+    errors.push(...rendered.errors.map(message => ({ path: `${at}.template`, message: `${at}.template: ${message}` })));
+  }
+
+  const validated = validateGenerationOptions(options);
+  errors.push(...validated.errors.map(message => ({ path: `${at}.options`, message: `${at}.options: ${message}` })));
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    prompt: [
+      rendered && rendered.prompt,
+      prompt && (rendered ? `Additional requirements: ${prompt}` : prompt),
+      describeGenerationOptions(validated.options)
+    ].filter(Boolean).join('\n\n'),
+    template: rendered ? { id: rendered.template, parameters: rendered.parameters } : null,
+    options: validated.options
+  };
+};
+
+// Endpoint to queue a plugin generation; progress is reported by /api/build-status/:id.
+// The prompt may come from a template ({ id, parameters }, see /api/templates),
+// the client's own text or both; `options` picks the platform and versions.
+app.post('/api/generate-plugin', rateLimits.generation, validate('generatePlugin'), (req, res) => {
+  let uniqueId;
+  try {
+    const { prompt, token, buildId, template, options, callbackUrl } = req.body;
+
+    const generation = prepareGeneration({ prompt, template, options });
+    const errors = (generation.errors || []).concat(callbackUrlErrors(callbackUrl, 'body.callbackUrl'));
+    if (errors.length > 0) {
+      return res.status(400).json(validationError(errors));
+    }
+
+    if (callbackUrl !== undefined && !webhookPolicy.secret) {
+      return res.status(400).json({
+        success: false,
+        code: 'CALLBACKS_DISABLED',
+        message: CALLBACKS_DISABLED_MESSAGE
+      });
+    }
+
+    // Use the provided buildId or generate a new one
+    const requestedId = buildId !== undefined ? clientBuildId(req.user, buildId) : undefined;
+    if (requestedId !== undefined && buildIdTaken(requestedId)) {
+      return res.status(409).json({
+        success: false,
+        code: 'BUILD_ID_TAKEN',
+        message: `Build ${requestedId} already exists`
+      });
+    }
+    uniqueId = requestedId || newId('plugin');
+
+    // Check if script exists and is accessible
+    if (!fs.existsSync(scriptPath)) {
+      logger.error(`Bash script not found: ${scriptPath}`);
+      return res.status(500).json({
+        success: false,
+        code: 'SCRIPT_MISSING',
+        message: `Script file not found at ${scriptPath}. Server configuration error.`
+      });
+    }
+
+    // Every build gets its own folder under the plugins directory
+    const outputPath = safeJoin(PLUGINS_BASE_DIR, uniqueId);
+
+    queueBuild({
+      id: uniqueId,
+      prompt: generation.prompt,
+      token,
+      owner: req.user.owner,
+      outputPath,
+      lineage: { revision: 1, rootId: uniqueId, parentId: null },
+      template: generation.template,
+      options: generation.options,
+      callbackUrl
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: "Plugin generation queued",
+      buildId: uniqueId,
+      outputDir: outputPath,
+      status: 'queued',
+      stage: buildStages.QUEUED,
+      statusUrl: `/api/build-status/${uniqueId}`,
+      ...describeQueuePosition(uniqueId)
+    });
+
+  } catch (error) {
+    logger.error("Error queueing plugin generation:", error);
+    
+    // Update build status on error
+    if (uniqueId && buildStore.has(uniqueId)) {
+      finishBuild(uniqueId, 'failed', buildStages.FAILED, { error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred",
+      buildId: uniqueId
+    });
+  }
+});
+
+// Batches of generations queued by one request; each item is an ordinary build
+const batchStore = createRecordStore(path.join(PLUGINS_BASE_DIR, 'batches.jsonl'), { logger });
+
+const findAccessibleBatch = (req, id) => {
+  const batch = batchStore.get(id);
+  return batch && auth.canAccessBuild(req.user, batch) ? batch : null;
+};
+
+// Per-item progress and the combined result of a batch
+const describeBatch = (batch) => {
+  const builds = batch.items.map(item => buildStore.get(item.buildId) || null);
+  const summary = summarizeBatch(builds);
+  return {
+    batchId: batch.id,
+    name: batch.name || null,
+    createdAt: new Date(batch.createdAt).toISOString(),
+    ...summary,
+    items: batch.items.map((item, index) => {
+      const build = builds[index];
+      return {
+        index: item.index,
+        name: item.name || null,
+        buildId: item.buildId,
+        status: itemStatus(build),
+        stage: build ? build.stage : null,
+        prompt: build ? build.prompt : null,
+        template: build ? build.template || null : null,
+        error: build ? build.error || null : 'Build no longer exists',
+        artifact: build && build.artifact ? {
+          fileName: build.artifact.fileName,
+          size: build.artifact.size,
+          sha256: build.artifact.sha256,
+          url: `/api/builds/${item.buildId}/artifact`
+        } : null,
+        statusUrl: `/api/build-status/${item.buildId}`
+      };
+    }),
+    statusUrl: `/api/batches/${batch.id}`,
+    downloadUrl: `/api/batches/${batch.id}/download`
+  };
+};
+
+// Queue several generations at once. Each item takes the fields of
+// /api/generate-plugin (prompt, template, options, buildId, callbackUrl) plus
+// an optional name; top-level `options` and `callbackUrl` are defaults for
+// every item. Nothing is queued unless every item is valid.
+app.post('/api/batches', rateLimits.batches, validate('createBatch'), (req, res) => {
+  try {
+    const { items, token, name, options: defaults, callbackUrl } = req.body;
+
+    const batchId = newId('batch', id => batchStore.has(id));
+    const problems = callbackUrlErrors(callbackUrl, 'body.callbackUrl');
+    const seenBuildIds = new Set();
+    const prepared = items.map((item, index) => {
+      const at = `body.items[${index}]`;
+      const generation = prepareGeneration({
+        prompt: item.prompt,
+        template: item.template,
+        options: defaults || item.options ? { ...defaults, ...item.options } : undefined
+      }, at);
+      const itemProblems = (generation.errors || []).concat(callbackUrlErrors(item.callbackUrl, `${at}.callbackUrl`));
+      let buildId = item.buildId !== undefined ? clientBuildId(req.user, item.buildId) : undefined;
+      if (buildId !== undefined && buildIdTaken(buildId)) {
+        itemProblems.push({ path: `${at}.buildId`, message: `${at}.buildId: build ${buildId} already exists` });
+      } else if (buildId !== undefined && seenBuildIds.has(buildId)) {
+        itemProblems.push({ path: `${at}.buildId`, message: `${at}.buildId: ${item.buildId} is used by an earlier item` });
+      }
+      if (buildId === undefined) {
+        buildId = `${batchId}-${index + 1}`;
+        if (buildIdTaken(buildId) || seenBuildIds.has(buildId)) {
+          buildId = newId('plugin', id => buildIdTaken(id) || seenBuildIds.has(id));
+        }
+      }
+      seenBuildIds.add(buildId);
+      problems.push(...itemProblems);
+      return {
+        ...generation,
+        name: item.name,
+        buildId,
+        callbackUrl: item.callbackUrl || callbackUrl
+      };
+    });
+
+    // Nothing is queued unless every item is valid
+    if (problems.length > 0) {
+      return res.status(400).json(validationError(problems));
+    }
+
+    if (prepared.some(item => item.callbackUrl) && !webhookPolicy.secret) {
+      return res.status(400).json({
+        success: false,
+        code: 'CALLBACKS_DISABLED',
+        message: CALLBACKS_DISABLED_MESSAGE
+      });
+    }
+
+    if (!fs.existsSync(scriptPath)) {
+      logger.error(`Bash script not found: ${scriptPath}`);
+      return res.status(500).json({
+        success: false,
+        code: 'SCRIPT_MISSING',
+        message: `Script file not found at ${scriptPath}. Server configuration error.`
+      });
+    }
+
+    const batch = batchStore.upsert(batchId, {
+      owner: req.user.owner,
+      name: name || null,
+      createdAt: Date.now(),
+      items: prepared.map((item, index) => ({ index, name: item.name || null, buildId: item.buildId }))
+    });
+
+    for (const item of prepared) {
+      queueBuild({
+        id: item.buildId,
+        prompt: item.prompt,
+        token,
+        owner: req.user.owner,
+        outputPath: safeJoin(PLUGINS_BASE_DIR, item.buildId),
+        lineage: { revision: 1, rootId: item.buildId, parentId: null },
+        template: item.template,
+        options: item.options,
+        batchId,
+        callbackUrl: item.callbackUrl
+      });
+    }
+    logger.info(`Queued batch ${batchId} with ${prepared.length} builds`);
+
+    return res.status(202).json({
+      success: true,
+      message: `Batch of ${prepared.length} builds queued`,
+      ...describeBatch(batch)
+    });
+  } catch (error) {
+    logger.error("Error queueing batch:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Per-item progress and combined result of a batch
+app.get('/api/batches/:id', rateLimits.listing, validate('getBatch'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const batch = findAccessibleBatch(req, id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        code: 'BATCH_NOT_FOUND',
+        message: `Batch ${id} not found`
+      });
+    }
+
+    return res.json({
+      success: true,
+      ...describeBatch(batch)
+    });
+  } catch (error) {
+    logger.error("Error getting batch status:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Zip of every jar the batch has produced so far, with a manifest.json saying
+// which item (prompt, template, options) produced which file
+app.get('/api/batches/:id/download', rateLimits.downloads, validate('downloadBatch'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const batch = findAccessibleBatch(req, id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        code: 'BATCH_NOT_FOUND',
+        message: `Batch ${id} not found`
+      });
+    }
+
+    const summary = describeBatch(batch);
+    const entries = [];
+    for (const item of summary.items) {
+      const build = buildStore.get(item.buildId);
+      const artifact = build && build.status === 'completed' ? await getArtifactInfo(build) : null;
+      entries.push({ item, build, artifact });
+    }
+
+    if (!entries.some(entry => entry.artifact)) {
+      return res.status(404).json({
+        success: false,
+        code: 'ARTIFACT_NOT_FOUND',
+        message: summary.finished < summary.total
+          ? `Batch ${id} has no finished jars yet`
+          : `Batch ${id} has no successful builds to download`
+      });
+    }
+
+    const manifest = {
+      batchId: batch.id,
+      name: batch.name || null,
+      createdAt: summary.createdAt,
+      bundledAt: new Date().toISOString(),
+      status: summary.status,
+      counts: summary.counts,
+      items: entries.map(({ item, build, artifact }) => ({
+        index: item.index,
+        name: item.name,
+        buildId: item.buildId,
+        status: item.status,
+        prompt: item.prompt,
+        template: item.template,
+        options: build ? build.options || null : null,
+        file: artifact ? bundleEntryName(item.buildId, artifact.fileName) : null,
+        size: artifact ? artifact.size : null,
+        sha256: artifact ? artifact.sha256 : null,
+        error: item.status === 'completed' && !artifact ? 'Jar no longer available' : item.error
+      }))
+    };
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition(`${batch.id}.zip`));
+
+    const zip = createZipWriter(res);
+    for (const { item, artifact } of entries.filter(entry => entry.artifact)) {
+      await zip.addFile(bundleEntryName(item.buildId, artifact.fileName), fs.readFileSync(artifact.path), {
+        mtime: new Date(artifact.mtimeMs)
+      });
+    }
+    await zip.addFile('manifest.json', `${JSON.stringify(manifest, null, 2)}\n`);
+    await zip.finish();
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.info(`Client closed the connection while bundling batch`);
+      return;
+    }
+    logger.error("Error bundling batch:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Most webhooks one owner may register
+const MAX_WEBHOOKS_PER_OWNER = 20;
+
+// Public view of a registered webhook; the secret is only returned on creation
+const describeWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  owner: webhook.owner,
+  createdAt: new Date(webhook.createdAt).toISOString()
+});
+
+const findAccessibleWebhook = (req, id) => {
+  const webhook = webhookStore.get(id);
+  return webhook && auth.canAccessBuild(req.user, webhook) ? webhook : null;
+};
+
+// Register a webhook for every build the caller's API key finishes
+app.post('/api/webhooks', rateLimits.listing, validate('registerWebhook'), (req, res) => {
+  try {
+    const { url, events = WEBHOOK_EVENTS } = req.body;
+
+    const urlErrors = callbackUrlErrors(url, 'body.url');
+    if (urlErrors.length > 0) {
+      return res.status(400).json(validationError(urlErrors));
+    }
+
+    const owned = webhookStore.list().filter(webhook => webhook.owner === req.user.owner);
+    if (owned.length >= MAX_WEBHOOKS_PER_OWNER) {
+      return res.status(409).json({
+        success: false,
+        code: 'WEBHOOK_LIMIT_REACHED',
+        message: `At most ${MAX_WEBHOOKS_PER_OWNER} webhooks can be registered per API key`
+      });
+    }
+
+    const id = `wh-${crypto.randomBytes(8).toString('hex')}`;
+    const secret = generateSecret();
+    const webhook = webhookStore.upsert(id, {
+      owner: req.user.owner,
+      url,
+      events: Array.from(new Set(events)),
+      secret,
+      createdAt: Date.now()
+    });
+    logger.info(`Registered webhook ${id} for ${req.user.owner}: ${url}`);
+
+    return res.status(201).json({
+      success: true,
+      message: "Webhook registered; store the secret, it is not shown again",
+      webhook: describeWebhook(webhook),
+      secret
+    });
+  } catch (error) {
+    logger.error("Error registering webhook:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// The caller's registered webhooks (all of them for admins)
+app.get('/api/webhooks', rateLimits.listing, validate('listWebhooks'), (req, res) => {
+  try {
+    const webhooks = webhookStore.list()
+      .filter(webhook => auth.canAccessBuild(req.user, webhook))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(describeWebhook);
+    return res.json({
+      success: true,
+      webhooks
+    });
+  } catch (error) {
+    logger.error("Error listing webhooks:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Delivery history, newest first: every attempt with its HTTP status or error.
+// Filters: buildId, webhookId, status (pending, delivered, failed) and limit.
+app.get('/api/webhooks/deliveries', rateLimits.listing, validate('listWebhookDeliveries'), (req, res) => {
+  try {
+    const { buildId, webhookId, status, limit = 50 } = req.query;
+
+    const matching = webhookDeliveryStore.list()
+      .filter(delivery => auth.canAccessBuild(req.user, delivery))
+      .filter(delivery => (!buildId || delivery.buildId === buildId) &&
+        (!webhookId || delivery.webhookId === webhookId) &&
+        (!status || delivery.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return res.json({
+      success: true,
+      total: matching.length,
+      deliveries: matching.slice(0, limit).map(delivery => ({
+        id: delivery.id,
+        event: delivery.event,
+        buildId: delivery.buildId,
+        webhookId: delivery.webhookId || null,
+        url: delivery.url,
+        status: delivery.status,
+        error: delivery.error || null,
+        attempts: (delivery.attempts || []).map(attempt => ({
+          ...attempt,
+          at: new Date(attempt.at).toISOString()
+        })),
+        createdAt: new Date(delivery.createdAt).toISOString(),
+        deliveredAt: delivery.deliveredAt ? new Date(delivery.deliveredAt).toISOString() : null,
+        nextAttemptAt: delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).toISOString() : null,
+        payload: JSON.parse(delivery.body)
+      }))
+    });
+  } catch (error) {
+    logger.error("Error listing webhook deliveries:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Remove a registered webhook; deliveries still waiting for a retry then fail
+app.delete('/api/webhooks/:id', rateLimits.listing, validate('deleteWebhook'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const webhook = findAccessibleWebhook(req, id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        code: 'WEBHOOK_NOT_FOUND',
+        message: `Webhook ${id} not found`
+      });
+    }
+
+    webhookStore.remove(id);
+    logger.info(`Removed webhook ${id}`);
+    return res.json({
+      success: true,
+      message: `Webhook ${id} removed`
+    });
+  } catch (error) {
+    logger.error("Error removing webhook:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// All builds descending from the same original generation, oldest revision first
+const listRevisions = (rootId) => buildStore.list()
+  .filter(build => (build.rootId || build.id) === rootId)
+  .sort((a, b) => (a.revision || 1) - (b.revision || 1) || a.startTime - b.startTime);
+
+// Queue a new revision of a build: its sources are copied into a new build
+// directory and the prompt is sent to the provider as a change request
+app.post('/api/builds/:id/revise', rateLimits.generation, validate('reviseBuild'), (req, res) => {
+  let uniqueId;
+  try {
+    const { id } = req.params;
+    const { prompt, token, callbackUrl } = req.body;
+    const parent = findAccessibleBuild(req, id);
+
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
+      });
+    }
+
+    const callbackErrors = callbackUrlErrors(callbackUrl, 'body.callbackUrl');
+    if (callbackErrors.length > 0) {
+      return res.status(400).json(validationError(callbackErrors));
+    }
+
+    if (callbackUrl !== undefined && !webhookPolicy.secret) {
+      return res.status(400).json({
+        success: false,
+        code: 'CALLBACKS_DISABLED',
+        message: CALLBACKS_DISABLED_MESSAGE
+      });
+    }
+
+    if (!parent.endTime) {
+      return res.status(409).json({
+        success: false,
+        code: 'BUILD_IN_PROGRESS',
+        message: `Build ${id} is still ${parent.status}; wait for it to finish before revising it`
+      });
+    }
+
+    const projectDir = resolveProjectDir(parent);
+    if (!projectDir || !fs.existsSync(path.join(projectDir, 'pom.xml'))) {
+      return res.status(409).json({
+        success: false,
+        code: 'NO_PROJECT',
+        message: `Build ${id} has no Maven project to revise`
+      });
+    }
+
+    if (!fs.existsSync(scriptPath)) {
+      logger.error(`Bash script not found: ${scriptPath}`);
+      return res.status(500).json({
+        success: false,
+        code: 'SCRIPT_MISSING',
+        message: `Script file not found at ${scriptPath}. Server configuration error.`
+      });
+    }
+
+    const rootId = parent.rootId || parent.id;
+    const revision = Math.max(...listRevisions(rootId).map(build => build.revision || 1)) + 1;
+    uniqueId = newId('plugin');
+    const outputPath = safeJoin(PLUGINS_BASE_DIR, uniqueId);
+    const projectName = path.basename(projectDir);
+
+    // Start from the parent's sources; target/ is left behind so nothing stale is served
+    const targetDir = path.join(outputPath, projectName);
+    for (const file of listProjectFiles(projectDir)) {
+      fs.mkdirSync(path.dirname(path.join(targetDir, file)), { recursive: true });
+      fs.copyFileSync(path.join(projectDir, file), path.join(targetDir, file));
+    }
+
+    queueBuild({
+      id: uniqueId,
+      prompt,
+      token,
+      owner: req.user.owner,
+      outputPath,
+      lineage: { revision, rootId, parentId: id },
+      options: parent.options || null,
+      // Revisions report to the same receiver as their parent unless told otherwise
+      callbackUrl: callbackUrl || parent.callbackUrl || null,
+      scriptEnv: { GENERATION_MODE: 'revise', PLUGIN_DIR_NAME: projectName }
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: `Revision ${revision} of ${rootId} queued`,
+      buildId: uniqueId,
+      parentId: id,
+      rootId,
+      revision,
+      status: 'queued',
+      stage: buildStages.QUEUED,
+      statusUrl: `/api/build-status/${uniqueId}`,
+      ...describeQueuePosition(uniqueId)
+    });
+  } catch (error) {
+    logger.error("Error queueing plugin revision:", error);
+
+    if (uniqueId && buildStore.has(uniqueId)) {
+      finishBuild(uniqueId, 'failed', buildStages.FAILED, { error: error.message });
+    }
+
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred",
+      buildId: uniqueId
+    });
+  }
+});
+
+// Revision history of the plugin a build belongs to, with the prompt behind each step
+app.get('/api/builds/:id/revisions', rateLimits.listing, validate('listRevisions'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const build = findAccessibleBuild(req, id);
+
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
+      });
+    }
+
+    const rootId = build.rootId || build.id;
+    const revisions = listRevisions(rootId)
+      .filter(revision => auth.canAccessBuild(req.user, revision))
+      .map(revision => ({
+        buildId: revision.id,
+        revision: revision.revision || 1,
+        parentId: revision.parentId || null,
+        prompt: revision.prompt,
+        status: revision.status,
+        error: revision.error || null,
+        startTime: revision.startTime,
+        endTime: revision.endTime || null,
+        artifact: describeBuild(revision).artifact,
+        statusUrl: `/api/build-status/${revision.id}`
+      }));
+
+    return res.json({
+      success: true,
+      buildId: id,
+      rootId,
+      revisions
+    });
+  } catch (error) {
+    logger.error("Error listing revisions:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Project directory of a build the caller may see, or a 404 response
+const findBuildProject = (req, res) => {
+  const { id } = req.params;
+  const build = findAccessibleBuild(req, id);
+  if (!build) {
+    res.status(404).json({
+      success: false,
+      code: 'BUILD_NOT_FOUND',
+      message: `Build ${id} not found`
+    });
+    return null;
+  }
+
+  const projectDir = resolveProjectDir(build);
+  if (!projectDir) {
+    res.status(404).json({
+      success: false,
+      code: 'SOURCES_NOT_FOUND',
+      message: `Build ${id} has no source files`
+    });
+    return null;
+  }
+  return { build, projectDir };
+};
+
+// List the source files of a build's project (target/ excluded)
+app.get('/api/builds/:id/files', rateLimits.listing, validate('listBuildFiles'), (req, res) => {
+  try {
+    const found = findBuildProject(req, res);
+    if (!found) return;
+
+    const files = listProjectFiles(found.projectDir).map((file) => {
+      const stats = fs.statSync(path.join(found.projectDir, file));
+      return {
+        path: file,
+        size: stats.size,
+        modifiedAt: new Date(stats.mtimeMs).toISOString(),
+        url: `/api/builds/${found.build.id}/files/${file}`
+      };
+    });
+
+    return res.json({
+      success: true,
+      buildId: found.build.id,
+      files
+    });
+  } catch (error) {
+    logger.error("Error listing source files:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Read one source file. Binary files come back base64-encoded; sha256 can be
+// sent back with a PUT to avoid overwriting someone else's edit.
+app.get('/api/builds/:id/files/*', rateLimits.listing, validate('readBuildFile'), (req, res) => {
+  try {
+    const found = findBuildProject(req, res);
+    if (!found) return;
+
+    const filePath = resolveProjectFile(found.projectDir, req.params[0]);
+    if (!filePath) {
+      return res.status(400).json(validationError([
+        { path: 'params.path', message: `params.path ${req.params[0]} is not a file inside the project` }
+      ]));
+    }
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return res.status(404).json({
+        success: false,
+        code: 'FILE_NOT_FOUND',
+        message: `File ${req.params[0]} not found in build ${found.build.id}`
+      });
+    }
+
+    const content = fs.readFileSync(filePath);
+    const encoding = content.includes(0) ? 'base64' : 'utf8';
+    return res.json({
+      success: true,
+      buildId: found.build.id,
+      path: path.relative(found.projectDir, filePath).split(path.sep).join('/'),
+      size: content.length,
+      modifiedAt: new Date(fs.statSync(filePath).mtimeMs).toISOString(),
+      sha256: sha256Of(content),
+      encoding,
+      content: content.toString(encoding)
+    });
+  } catch (error) {
+    logger.error("Error reading source file:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Create or overwrite one source file: { content, encoding?: "utf8" | "base64", expectedSha256? }.
+// Takes effect on the next POST /api/builds/:id/rebuild, which is what uses the generation budget.
+app.put('/api/builds/:id/files/*', rateLimits.listing, validate('writeBuildFile'), (req, res) => {
+  try {
+    const found = findBuildProject(req, res);
+    if (!found) return;
+    const { build, projectDir } = found;
+    const { content, encoding = 'utf8', expectedSha256 } = req.body;
+
+    if (!build.endTime) {
+      return res.status(409).json({
+        success: false,
+        code: 'BUILD_IN_PROGRESS',
+        message: `Build ${build.id} is still ${build.status}; wait for it to finish before editing its files`
+      });
+    }
+
+    const filePath = resolveProjectFile(projectDir, req.params[0]);
+    if (!filePath) {
+      return res.status(400).json(validationError([
+        { path: 'params.path', message: `params.path ${req.params[0]} is not a file inside the project` }
+      ]));
+    }
+
+    const exists = fs.existsSync(filePath);
+    if (exists && !fs.statSync(filePath).isFile()) {
+      return res.status(400).json(validationError([
+        { path: 'params.path', message: `params.path ${req.params[0]} is a directory` }
+      ]));
+    }
+    if (expectedSha256 && (!exists || sha256Of(fs.readFileSync(filePath)) !== expectedSha256)) {
+      return res.status(409).json({
+        success: false,
+        code: 'FILE_CHANGED',
+        message: `${req.params[0]} has changed since it was read`
+      });
+    }
+
+    const data = Buffer.from(content, encoding);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+
+    const relativePath = path.relative(projectDir, filePath).split(path.sep).join('/');
+    updateBuild(build.id, { sourcesModifiedAt: Date.now(), files: listProjectFiles(projectDir) });
+    logger.info(`${exists ? 'Updated' : 'Created'} ${relativePath} in build ${build.id}`);
+
+    return res.status(exists ? 200 : 201).json({
+      success: true,
+      buildId: build.id,
+      path: relativePath,
+      size: data.length,
+      sha256: sha256Of(data),
+      created: !exists
+    });
+  } catch (error) {
+    logger.error("Error writing source file:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Run Maven again on a build's (edited) sources. { fix: true, token, maxFixAttempts? }
+// also lets the AI fix loop repair compile errors; by default a failed build just fails.
+app.post('/api/builds/:id/rebuild', rateLimits.generation, validate('rebuildBuild'), (req, res) => {
+  try {
+    const found = findBuildProject(req, res);
+    if (!found) return;
+    const { build, projectDir } = found;
+    const { fix = false, token, maxFixAttempts } = req.body;
+
+    if (!build.endTime) {
+      return res.status(409).json({
+        success: false,
+        code: 'BUILD_IN_PROGRESS',
+        message: `Build ${build.id} is still ${build.status}`
+      });
+    }
+
+    if (!fs.existsSync(path.join(projectDir, 'pom.xml'))) {
+      return res.status(409).json({
+        success: false,
+        code: 'NO_PROJECT',
+        message: `Build ${build.id} has no Maven project to build`
+      });
+    }
+
+    if (fix && !token) {
+      return res.status(400).json(validationError([{ path: 'body.token', message: 'body.token is required when fix is enabled' }]));
+    }
+
+    if (!fs.existsSync(scriptPath)) {
+      logger.error(`Bash script not found: ${scriptPath}`);
+      return res.status(500).json({
+        success: false,
+        code: 'SCRIPT_MISSING',
+        message: `Script file not found at ${scriptPath}. Server configuration error.`
+      });
+    }
+
+    // Start a fresh run on the same build: old events released (ids keep counting), cleared results
+    const now = Date.now();
+    buildEvents.forget(build.id);
+    updateBuild(build.id, {
+      createdAt: build.createdAt || build.startTime,
+      startTime: now,
+      status: 'queued',
+      endTime: null,
+      durationMs: null,
+      error: null,
+      jarPath: null,
+      shaded: null,
+      artifact: null,
+      compilerErrors: [],
+      policyViolations: [],
+      sandbox: null,
+      scan: null,
+      verification: null,
+      fixAttempts: 0,
+      rebuilds: (build.rebuilds || 0) + 1
+    });
+    setBuildStage(build.id, buildStages.QUEUED);
+
+    buildQueue.enqueue({
+      id: build.id,
+      prompt: build.prompt,
+      // The script needs a token argument even when it never calls the API
+      token: token || 'none',
+      // The script builds <outputPath>/<PLUGIN_DIR_NAME>, i.e. the project directory itself
+      outputPath: path.dirname(projectDir),
+      scriptEnv: {
+        GENERATION_MODE: 'build',
+        PLUGIN_DIR_NAME: path.basename(projectDir),
+        AI_FIX: fix ? 'true' : 'false',
+        ...generationOptionsEnv(build.options),
+        ...(maxFixAttempts ? { MAX_AI_FIX_ATTEMPTS: String(maxFixAttempts) } : {})
+      }
+    });
+    logger.info(`Queued rebuild of ${build.id} (${JSON.stringify(buildQueue.stats())})`);
+
+    return res.status(202).json({
+      success: true,
+      message: "Rebuild queued",
+      buildId: build.id,
+      fix: Boolean(fix),
+      status: 'queued',
+      stage: buildStages.QUEUED,
+      statusUrl: `/api/build-status/${build.id}`,
+      ...describeQueuePosition(build.id)
+    });
+  } catch (error) {
+    logger.error("Error queueing rebuild:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Endpoint to get build status
+app.get('/api/build-status/:id', rateLimits.listing, validate('getBuildStatus'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Get the build from the build store
+    const build = findAccessibleBuild(req, id);
+    if (build) {
+      return res.json({
+        success: true,
+        buildId: id,
+        ...describeBuild(build),
+        ...describeQueuePosition(id)
+      });
+    }
+    
+    // If build not found
+    return res.status(404).json({
+      success: false,
+      code: 'BUILD_NOT_FOUND',
+      message: `Build ${id} not found`
+    });
+  } catch (error) {
+    logger.error("Error fetching build status:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+// Cancel a queued or running build; pass cleanup=true to also delete its output directory
+const cancelBuild = async (req, res) => {
   try {
-    const { prompt, token, outputDir = './plugins', buildId } = req.body;
+    const { id } = req.params;
+    const cleanup = req.query.cleanup === true || req.body.cleanup === true;
+    const build = findAccessibleBuild(req, id);
 
-    if (!prompt || !token) {
-      return res.status(400).json({
+    if (!build) {
+      return res.status(404).json({
         success: false,
-        message: "Prompt and token are required"
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
       });
     }
 
-    // Use the provided buildId or generate a new one
-    uniqueId = buildId || `plugin-${Date.now()}`;
-
-    // Validate prompt (optional: add more validation as needed)
-    if (prompt.length > 1000) {
-      return res.status(400).json({
+    if (build.endTime) {
+      return res.status(409).json({
         success: false,
-        message: "Prompt is too long (max 1000 characters)"
+        code: 'BUILD_FINISHED',
+        message: `Build ${id} already finished with status ${build.status}`
       });
     }
 
-    // Check if script exists and is accessible
-    if (!fs.existsSync(scriptPath)) {
-      logger.error(`Bash script not found: ${scriptPath}`);
-      return res.status(500).json({
-        success: false,
-        message: `Script file not found at ${scriptPath}. Server configuration error.`
+    if (buildQueue.remove(id)) {
+      // Never started, so there is nothing to kill
+      cancelledBuilds.set(id, { cleanup });
+      finishCancelledBuild(id);
+    } else if (runningBuilds.has(id)) {
+      const running = runningBuilds.get(id);
+      cancelledBuilds.set(id, { cleanup });
+      // After the script exits, runBuild finishes the cancel once its jar checks return
+      if (!running.exited) {
+        terminateProcessTree(running.process);
+      }
+      await running.done;
+    } else {
+      // Between the queue and the script starting; runBuild picks this up
+      cancelledBuilds.set(id, { cleanup });
+      return res.status(202).json({
+        success: true,
+        message: `Cancelling build ${id}`,
+        buildId: id,
+        status: 'cancelling'
       });
     }
 
-    // Create a unique folder for this generation
-    const timestamp = Date.now();
-    uniqueId = `plugin-${timestamp}`;
-    const outputPath = safeJoin(PLUGINS_BASE_DIR, uniqueId);
-
-    if (!fs.existsSync(outputPath)) {
-      fs.mkdirSync(outputPath, { recursive: true });
-    }
-
-    // Initialize log storage for this build with stage tracking
-    activeBuilds.set(uniqueId, {
-      logs: [],
-      status: 'initializing',
-      startTime: Date.now(),
-      stage: buildStages.UNDERSTANDING,
-      fixAttempts: 0
+    logger.info(`Build ${id} cancelled on request`);
+    return res.json({
+      success: true,
+      message: `Build ${id} cancelled`,
+      buildId: id,
+      ...describeBuild(buildStore.get(id)),
+      outputRemoved: Boolean(buildStore.get(id).outputRemoved)
     });
+  } catch (error) {
+    logger.error("Error cancelling build:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+};
 
-    // Directly run the bash script
-    const escapedPrompt = prompt.replace(/"/g, '\\"');
-    
-    // Command to execute the bash script directly
-    const apiHost = process.env.API_HOST || "http://host.docker.internal:5000";
-    const command = `API_HOST="${apiHost}" bash "${scriptPath}" "${escapedPrompt}" "${token}" "${outputPath}"`;
-
-    logger.info(`Executing command with script: ${scriptPath}`);
-    logger.info(`Using API host: ${apiHost}`);
-
-    // Use spawn instead of exec for real-time output
-    let stdoutChunks = [];
-    let stderrChunks = [];
+app.delete('/api/builds/:id', rateLimits.listing, validate('deleteBuild'), cancelBuild);
+app.post('/api/builds/:id/cancel', rateLimits.listing, validate('cancelBuild'), cancelBuild);
 
-    try {
-      // Set up the process with proper environment
-      const env = { ...process.env, API_HOST: apiHost };
-      const bashProcess = spawn('bash', [scriptPath, escapedPrompt, token, outputPath], { 
-        env: env,
-        timeout: timeoutSeconds * 1000
-      });
-
-      // Capture and log output in real-time
-      bashProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        logger.info(`[SCRIPT] ${output.trim()}`);
-        stdoutChunks.push(output);
-        
-        // Store logs for retrieval
-        if (activeBuilds.has(uniqueId)) {
-          const buildData = activeBuilds.get(uniqueId);
-          buildData.logs.push({ type: 'stdout', message: output.trim(), time: Date.now() });
-          
-          // Update build stage based on output patterns
-          if (output.includes("Analyzing your request") || output.includes("Understanding requirements")) {
-            buildData.stage = buildStages.UNDERSTANDING;
-          } else if (output.includes("Designing plugin structure") || output.includes("Refining implementation")) {
-            buildData.stage = buildStages.REFINING;
-          } else if (output.includes("Generating code") || output.includes("Writing plugin code")) {
-            buildData.stage = buildStages.GENERATING;
-          } else if (output.includes("Creating project files") || output.includes("Setting up project")) {
-            buildData.stage = buildStages.CREATING;
-          } else if (output.includes("Compiling") || output.includes("Running Maven")) {
-            buildData.stage = buildStages.COMPILING;
-          } else if (output.includes("Attempting to fix error") || output.includes("Fixing compilation issues")) {
-            buildData.fixAttempts++;
-            buildData.stage = buildStages.FIXING;
-          } else if (output.includes("Build successful") || output.includes("Plugin generation complete")) {
-            buildData.stage = buildStages.SUCCESS;
-            buildData.status = 'completed';
-          }
-          
-          activeBuilds.set(uniqueId, buildData);
-        }
-      });
+// Stream build progress as Server-Sent Events; clients resume with Last-Event-ID
+app.get('/api/builds/:id/events', rateLimits.listing, validate('streamBuildEvents'), (req, res) => {
+  const { id } = req.params;
+  const build = findAccessibleBuild(req, id);
 
-      bashProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        logger.warn(`[SCRIPT-ERR] ${output.trim()}`);
-        stderrChunks.push(output);
-        
-        // Store logs for retrieval
-        if (activeBuilds.has(uniqueId)) {
-          const buildData = activeBuilds.get(uniqueId);
-          buildData.logs.push({ type: 'stderr', message: output.trim(), time: Date.now() });
-          
-          // Check for compilation errors
-          if (output.includes("error:") || output.includes("Exception")) {
-            buildData.stage = buildStages.FIXING;
-          }
-          
-          activeBuilds.set(uniqueId, buildData);
-        }
-      });
+  if (!build) {
+    return res.status(404).json({
+      success: false,
+      code: 'BUILD_NOT_FOUND',
+      message: `Build ${id} not found`
+    });
+  }
 
-      // Wait for the process to complete
-      const exitCode = await new Promise((resolve, reject) => {
-        bashProcess.on('close', resolve);
-        bashProcess.on('error', reject);
-      });
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId || '0', 10) || 0;
 
-      // Combine all output
-      const stdout = stdoutChunks.join('');
-      const stderr = stderrChunks.join('');
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
 
-      // Check if the process was successful
-      if (exitCode !== 0) {
-        logger.error(`Script exited with code ${exitCode}`);
-        
-        // Update build status
-        if (activeBuilds.has(uniqueId)) {
-          const build = activeBuilds.get(uniqueId);
-          build.status = 'failed';
-          build.stage = buildStages.FAILED;
-          activeBuilds.set(uniqueId, build);
-        }
-        
-        return res.status(500).json({
-          success: false,
-          message: stderr || `Script exited with code ${exitCode}`
-        });
-      }
+  // Finished builds whose events have been released only get their final status
+  if (!buildEvents.has(id) && build.endTime) {
+    writeSseEvent(res, { id: lastEventId, type: 'status', data: describeBuild(build), time: build.endTime });
+    writeSseEvent(res, { id: lastEventId, type: 'end', data: {}, time: build.endTime });
+    return res.end();
+  }
 
-      // Continue with your existing code - Extract JAR file path from stdout...
-      let jarPath = null;
-      const newFormatMatch = stdout.match(/PLUGIN_JAR_PATH:(.*)/);
-      
-      if (newFormatMatch && newFormatMatch[1]) {
-        jarPath = newFormatMatch[1].trim();
-        logger.info("Found JAR path (new format):", jarPath);
-      } else {
-        // Fall back to the old format if needed
-        const oldFormatMatch = stdout.match(/Plugin JAR file created:?\s*(.*\.jar)/);
-        if (oldFormatMatch && oldFormatMatch[1]) {
-          jarPath = oldFormatMatch[1].trim();
-          logger.info("Found JAR path (old format):", jarPath);
-        }
-      }
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  const send = (event) => {
+    if (closed) return;
+    writeSseEvent(res, event);
+    if (event.type === 'end') close();
+  };
 
-      const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-      logger.info(`Plugin generated in ${processingTime} seconds`);
-
-      // At the end, update build status and clean up older builds
-      const build = activeBuilds.get(uniqueId);
-      if (build) {
-        build.status = 'completed';
-        build.jarPath = jarPath;
-        build.stage = buildStages.SUCCESS;
-        
-        // Clean up old builds (keep only last 10)
-        const builds = Array.from(activeBuilds.entries());
-        if (builds.length > 10) {
-          builds.sort((a, b) => b[1].startTime - a[1].startTime);
-          for (let i = 10; i < builds.length; i++) {
-            activeBuilds.delete(builds[i][0]);
-          }
-        }
-      }
+  // Replay and subscribe in the same tick so no event can slip in between
+  for (const event of buildEvents.since(id, lastEventId)) {
+    send(event);
+  }
+  if (!closed) {
+    unsubscribe = buildEvents.subscribe(id, send);
+  }
 
-      return res.json({
-        success: true,
-        message: "Plugin generated successfully!",
-        jarPath: jarPath,
-        outputDir: outputPath,
-        processingTime: `${processingTime}s`,
-        log: stdout,
-        buildId: uniqueId
-      });
+  req.on('close', close);
+});
 
-    } catch (error) {
-      logger.error("Error spawning script process:", error);
-      
-      // Update build status on error
-      if (activeBuilds.has(uniqueId)) {
-        const build = activeBuilds.get(uniqueId);
-        build.status = 'failed';
-        build.stage = buildStages.FAILED;
-        build.error = error.message;
-        activeBuilds.set(uniqueId, build);
-      }
-      
-      throw error; // Let the outer catch block handle this
-    }
+// Download the jar produced by a build
+app.get('/api/builds/:id/artifact', rateLimits.downloads, validate('downloadArtifact'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const build = findAccessibleBuild(req, id);
 
-  } catch (error) {
-    logger.error("Error generating plugin:", error);
-    
-    // Handle timeout error specifically
-    if (error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
-      return res.status(504).json({
+    if (!build) {
+      return res.status(404).json({
         success: false,
-        message: `Script execution timed out after ${timeoutSeconds} seconds`,
-        error: error.message,
-        buildId: uniqueId
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
       });
     }
-    
-    // Update build status on error
-    if (uniqueId && activeBuilds.has(uniqueId)) {
-      const build = activeBuilds.get(uniqueId);
-      build.status = 'failed';
-      build.stage = buildStages.FAILED;
-      build.error = error.message;
-      activeBuilds.set(uniqueId, build);
-    }
 
+    return await serveBuildArtifact(req, res, build);
+  } catch (error) {
+    logger.error("Error downloading artifact:", error);
     return res.status(500).json({
       success: false,
-      message: error.message || "An unknown error occurred",
-      buildId: uniqueId
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
     });
   }
 });
 
-// Endpoint to get build status
-app.get('/api/build-status/:id', (req, res) => {
+// plugin.yml metadata (name, main class, commands, permissions...) of a build's jar
+app.get('/api/builds/:id/manifest', rateLimits.listing, validate('getManifest'), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    if (!id) {
-      return res.status(400).json({
+    const build = findAccessibleBuild(req, id);
+
+    if (!build) {
+      return res.status(404).json({
         success: false,
-        message: "Build ID is required"
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
       });
     }
-    
-    // Get the build from active builds
-    if (activeBuilds.has(id)) {
-      const build = activeBuilds.get(id);
-      return res.json({
-        success: true,
-        status: build.status,
-        stage: build.stage,
-        fixAttempts: build.fixAttempts,
-        elapsedTime: Date.now() - build.startTime
+
+    const manifest = await getBuildManifest(build);
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        code: 'ARTIFACT_NOT_FOUND',
+        message: `Build ${id} has no artifact`
       });
     }
-    
-    // If build not found
-    return res.status(404).json({
-      success: false,
-      message: `Build ${id} not found`
+
+    return res.json({
+      success: true,
+      buildId: id,
+      artifact: describeBuild(buildStore.get(id)).artifact,
+      manifest
     });
   } catch (error) {
-    logger.error("Error fetching build status:", error);
+    logger.error("Error reading manifest:", error);
     return res.status(500).json({
       success: false,
+      code: 'INTERNAL_ERROR',
       message: error.message || "An unknown error occurred"
     });
   }
 });
 
-// Endpoint to download a generated file
-app.get('/api/download', (req, res) => {
+// Download a build's Maven project (without target/) as a zip built on the fly.
+// ?includeReadme=false leaves out the generated README, ?includeLogs=true adds the build log.
+app.get('/api/builds/:id/source.zip', rateLimits.downloads, validate('downloadSources'), async (req, res) => {
   try {
-    let filePath = req.query.path;
+    const { id } = req.params;
+    const build = findAccessibleBuild(req, id);
 
-    if (!filePath) {
-      return res.status(400).json({
+    if (!build) {
+      return res.status(404).json({
         success: false,
-        message: "File path is required"
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
       });
     }
 
-    // Normalize path separators (replace Windows backslashes with forward slashes)
-    filePath = filePath.replace(/\\/g, '/');
-    logger.info("Processing download request for:", filePath);
-
-    // Basic security check - block paths with ../ to prevent directory traversal
-    if (filePath.includes('../') || filePath.includes('..\\')) {
-      return res.status(403).json({
+    const projectDir = resolveProjectDir(build);
+    if (!projectDir) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid file path: directory traversal not allowed"
+        code: 'SOURCES_NOT_FOUND',
+        message: `Build ${id} has no source files`
       });
     }
 
-    // Handle relative paths - check if path is relative
-    if (!path.isAbsolute(filePath)) {
-      // First, check if the path is relative to the generated-plugins directory
-      let possiblePaths = [];
-
-      // Look through all plugin directories to find the file
-      if (fs.existsSync(PLUGINS_BASE_DIR)) {
-        const dirs = fs.readdirSync(PLUGINS_BASE_DIR);
-
-        for (const dir of dirs) {
-          const dirPath = safeJoin(PLUGINS_BASE_DIR, dir);
-
-          // Only check directories
-          if (fs.statSync(dirPath).isDirectory()) {
-            // Check if the file might be in this plugin's target directory
-            try {
-              const fullPath = safeJoin(dirPath, filePath);
-              
-              if (fs.existsSync(fullPath)) {
-                filePath = fullPath;
-                break;
-              }
+    const includeReadme = req.query.includeReadme !== false;
+    const includeLogs = req.query.includeLogs === true;
+    const rootName = path.basename(projectDir);
 
-              // If the path doesn't include 'target' but the file might be there
-              if (!filePath.includes('target') && filePath.endsWith('.jar')) {
-                const targetPath = safeJoin(dirPath, 'target', path.basename(filePath));
-                possiblePaths.push(targetPath);
-              }
-            } catch (err) {
-              logger.warn(`Path resolution error: ${err.message}`);
-              // Continue to next directory
-            }
-          }
-        }
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition(`${id}-source.zip`));
 
-        // If we still haven't found the file, try the possible paths
-        if (!fs.existsSync(filePath) && possiblePaths.length > 0) {
-          for (const possiblePath of possiblePaths) {
-            if (fs.existsSync(possiblePath)) {
-              filePath = possiblePath;
-              break;
-            }
-          }
-        }
-      }
+    const zip = createZipWriter(res);
+    for (const file of listProjectFiles(projectDir)) {
+      const filePath = path.join(projectDir, file);
+      await zip.addFile(`${rootName}/${file}`, fs.readFileSync(filePath), { mtime: fs.statSync(filePath).mtime });
     }
+    if (includeReadme) {
+      await zip.addFile(`${rootName}/BUILD-README.md`, formatBuildReadme(build));
+    }
+    if (includeLogs) {
+      await zip.addFile(`${rootName}/build-log.txt`, formatBuildLog(build));
+    }
+    await zip.finish();
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.info(`Client closed the connection while exporting sources`);
+      return;
+    }
+    logger.error("Error exporting sources:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
 
-    // Check if the file exists
-    if (!fs.existsSync(filePath)) {
-      // Try one more approach - look for this filename in all target directories
-      const filename = path.basename(filePath);
-      let found = false;
-
-      if (fs.existsSync(PLUGINS_BASE_DIR)) {
-        const dirs = fs.readdirSync(PLUGINS_BASE_DIR);
-
-        for (const dir of dirs) {
-          try {
-            const targetDir = safeJoin(PLUGINS_BASE_DIR, dir, 'target');
-
-            if (fs.existsSync(targetDir) && fs.statSync(targetDir).isDirectory()) {
-              const possiblePath = safeJoin(targetDir, filename);
+// Deprecated: download by file path. Kept as an alias for /api/builds/:id/artifact;
+// the path must start with the build id and point at that build's jar.
+app.get('/api/download', rateLimits.downloads, validate('downloadByPath'), async (req, res) => {
+  try {
+    let filePath = req.query.path;
 
-              if (fs.existsSync(possiblePath)) {
-                filePath = possiblePath;
-                found = true;
-                break;
-              }
-            }
-          } catch (err) {
-            logger.warn(`Path resolution error in target dir: ${err.message}`);
-            // Continue to next directory
-          }
-        }
-      }
+    // Normalize path separators (replace Windows backslashes with forward slashes)
+    filePath = filePath.replace(/\\/g, '/');
+    logger.info("Processing deprecated download request for:", filePath);
 
-      if (!found) {
-        return res.status(404).json({
-          success: false,
-          message: `File not found: ${filename}`,
-          searchedIn: PLUGINS_BASE_DIR
-        });
-      }
+    // Relative paths are relative to the plugins directory; nothing outside it is served
+    const resolved = path.resolve(PLUGINS_BASE_DIR, filePath);
+    if (!isInsideDir(PLUGINS_BASE_DIR, resolved)) {
+      return res.status(403).json({
+        success: false,
+        code: 'FORBIDDEN',
+        message: "Invalid file path: only files inside the plugins directory can be downloaded"
+      });
     }
 
-    logger.info("Serving file from:", filePath);
-
-    // Get the filename from the path
-    const filename = path.basename(filePath);
+    const buildId = path.relative(PLUGINS_BASE_DIR, resolved).split(path.sep)[0];
+    const build = findAccessibleBuild(req, buildId);
+    const artifactPath = build && resolveBuildJar(build);
 
-    // Check file size before serving (optional)
-    const stats = fs.statSync(filePath);
-    if (stats.size > 50 * 1024 * 1024) { // 50MB
-      logger.warn(`Large file download requested: ${filename} (${(stats.size/1024/1024).toFixed(2)}MB)`);
+    if (!artifactPath || path.resolve(artifactPath) !== resolved) {
+      return res.status(404).json({
+        success: false,
+        code: 'FILE_NOT_FOUND',
+        message: `File not found: ${path.basename(filePath)}. Download jars with GET /api/builds/:id/artifact`
+      });
     }
 
-    // Set headers for file download
-    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
-    res.setHeader('Content-Type', 'application/java-archive');
-    res.setHeader('Content-Length', stats.size);
-
-    // Stream the file to the response
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.on('error', (error) => {
-      logger.error(`Error streaming file: ${error.message}`);
-      // Only send error if headers haven't been sent yet
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          message: "Error streaming file"
-        });
-      } else {
-        res.end();
-      }
+    return await serveBuildArtifact(req, res, build, {
+      'Deprecation': 'true',
+      'Link': `</api/builds/${build.id}/artifact>; rel="successor-version"`
     });
-    fileStream.pipe(res);
 
   } catch (error) {
     logger.error("Error downloading file:", error);
     return res.status(500).json({
       success: false,
+      code: 'INTERNAL_ERROR',
       message: error.message || "An unknown error occurred"
     });
   }
 });
 
+// Filters for the plugin listing: ?q= (free text over ids, prompts, coordinates,
+// plugin names and dependencies), ?platform= (spigot, paper...) and ?mcVersion=
+// ("1.20" matches 1.20 and 1.20.x)
+const matchesPluginFilters = (plugin, { q, platform, mcVersion }) => {
+  const { info, manifest, build } = plugin;
+  if (platform && String(info.platform || '').toLowerCase() !== platform.toLowerCase()) {
+    return false;
+  }
+  if (mcVersion && !(info.minecraftVersion === mcVersion || String(info.minecraftVersion || '').startsWith(`${mcVersion}.`))) {
+    return false;
+  }
+  if (q) {
+    const haystack = [
+      plugin.id,
+      build && build.prompt,
+      info.groupId,
+      info.artifactId,
+      info.projectName,
+      manifest && manifest.name,
+      manifest && manifest.main,
+      ...(info.dependencies || []).map(dep => `${dep.groupId}:${dep.artifactId}`)
+    ].filter(Boolean).join('\n').toLowerCase();
+    if (!haystack.includes(q.toLowerCase())) {
+      return false;
+    }
+  }
+  return true;
+};
+
 // Get list of all generated plugins
-app.get('/api/plugins', (req, res) => {
+app.get('/api/plugins', rateLimits.listing, validate('listPlugins'), async (req, res) => {
   try {
     const plugins = [];
 
@@ -566,55 +2601,82 @@ app.get('/api/plugins', (req, res) => {
       });
     }
 
-    const dirs = fs.readdirSync(PLUGINS_BASE_DIR);
+    // The caller's builds, plus (for admins) directories left over from before the store existed
+    const ids = new Set(buildStore.list()
+      .filter(build => auth.canAccessBuild(req.user, build))
+      .map(build => build.id));
+    if (auth.isAdmin(req.user)) {
+      for (const dir of fs.readdirSync(PLUGINS_BASE_DIR)) {
+        if (!buildStore.has(dir)) ids.add(dir);
+      }
+    }
 
-    for (const dir of dirs) {
+    for (const dir of ids) {
       try {
         const dirPath = safeJoin(PLUGINS_BASE_DIR, dir);
+        const build = buildStore.get(dir);
+        const dirExists = fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory();
 
-        // Only process directories
-        if (fs.statSync(dirPath).isDirectory()) {
-          // Find JAR files in the directory
+        // Only process directories and recorded builds
+        if (dirExists || build) {
+          // Find JAR files in the project's 'target' directory (Maven output)
           let jarFiles = [];
+          const projectDir = dirExists ? resolveProjectDir(build || { id: dir }) : null;
 
-          // Check if there's a 'target' directory (Maven output)
-          const targetDir = safeJoin(dirPath, 'target');
-          if (fs.existsSync(targetDir) && fs.statSync(targetDir).isDirectory()) {
+          const targetDir = projectDir ? path.join(projectDir, 'target') : null;
+          if (targetDir && fs.existsSync(targetDir) && fs.statSync(targetDir).isDirectory()) {
             jarFiles = fs.readdirSync(targetDir)
               .filter(file => file.endsWith('.jar') && !file.includes('original'))
               .map(file => safeJoin(targetDir, file));
           }
 
-          // Look for pom.xml to extract plugin info
+          // Look for pom.xml to extract the project's coordinates, Java target and server API
           let pluginInfo = { name: path.basename(dir) };
-          const pomPath = safeJoin(dirPath, 'pom.xml');
-          if (fs.existsSync(pomPath)) {
+          const pomPath = projectDir ? path.join(projectDir, 'pom.xml') : null;
+          if (pomPath && fs.existsSync(pomPath)) {
             try {
-              const pomContent = fs.readFileSync(pomPath, 'utf8');
-              const artifactIdMatch = pomContent.match(/<artifactId>(.*?)<\/artifactId>/);
-              const versionMatch = pomContent.match(/<version>(.*?)<\/version>/);
-              
-              if (artifactIdMatch && artifactIdMatch[1]) {
-                pluginInfo.artifactId = artifactIdMatch[1];
-              }
-              if (versionMatch && versionMatch[1]) {
-                pluginInfo.version = versionMatch[1];
-              }
+              const pom = readPom(pomPath);
+              pluginInfo = {
+                ...pluginInfo,
+                groupId: pom.groupId,
+                artifactId: pom.artifactId,
+                version: pom.version,
+                projectName: pom.name,
+                packaging: pom.packaging,
+                javaVersion: pom.javaVersion,
+                platform: pom.platform ? pom.platform.name : null,
+                platformApi: pom.platform,
+                minecraftVersion: pom.minecraftVersion,
+                repositories: pom.repositories,
+                dependencies: pom.dependencies
+              };
             } catch (pomErr) {
               logger.warn(`Error reading pom.xml: ${pomErr.message}`);
+              pluginInfo.pomError = pomErr.message;
             }
           }
 
+          // plugin.yml from the build's jar (or the first jar found for older builds)
+          let manifest = null;
+          if (build) {
+            manifest = await getBuildManifest(build);
+          } else if (jarFiles.length > 0) {
+            manifest = readJarManifest(jarFiles[0]);
+          }
+
           plugins.push({
             id: dir,
             path: dirPath,
+            exists: dirExists,
             info: pluginInfo,
+            build: build ? describeBuild(buildStore.get(dir)) : null,
+            manifest,
             jarFiles: jarFiles.map(file => ({
               name: path.basename(file),
               path: file,
               size: fs.statSync(file).size
             })),
-            createdAt: fs.statSync(dirPath).birthtime
+            createdAt: build ? new Date(build.createdAt || build.startTime) : fs.statSync(dirPath).birthtime
           });
         }
       } catch (dirErr) {
@@ -626,9 +2688,15 @@ app.get('/api/plugins', (req, res) => {
     // Sort by creation date (newest first)
     plugins.sort((a, b) => b.createdAt - a.createdAt);
 
+    const filters = {
+      q: typeof req.query.q === 'string' ? req.query.q.trim() : '',
+      platform: typeof req.query.platform === 'string' ? req.query.platform.trim() : '',
+      mcVersion: typeof req.query.mcVersion === 'string' ? req.query.mcVersion.trim() : ''
+    };
+
     return res.json({
       success: true,
-      plugins,
+      plugins: plugins.filter(plugin => matchesPluginFilters(plugin, filters)),
       baseDir: PLUGINS_BASE_DIR
     });
 
@@ -636,88 +2704,169 @@ app.get('/api/plugins', (req, res) => {
     logger.error("Error listing plugins:", error);
     return res.status(500).json({
       success: false,
+      code: 'INTERNAL_ERROR',
       message: error.message || "An unknown error occurred"
     });
   }
 });
 
-// Endpoint to fetch build logs
-app.get('/api/build-logs', (req, res) => {
+// Endpoint to fetch build logs, a page at a time. Query parameters: offset,
+// limit (default 500, max 5000), stream (comma-separated stdout, stderr,
+// system) and level (minimum level: debug, info, warn, error).
+const sendBuildLogs = async (req, res) => {
   try {
-    const { id } = req.query;
-    
-    if (!id) {
-      return res.status(400).json({
+    const id = req.params.id || req.query.id;
+    const { offset = 0, limit = 500 } = req.query;
+    const streams = req.query.stream ? req.query.stream.split(',') : [];
+    const filter = createLogFilter({ streams, level: req.query.level || '' });
+
+    // Directories without a build record predate ownership and are admin-only
+    const build = findAccessibleBuild(req, id);
+    const pluginDir = safeJoin(PLUGINS_BASE_DIR, id);
+    const legacyDir = !buildStore.has(id) && auth.isAdmin(req.user) && fs.existsSync(pluginDir);
+    if (!build && !legacyDir) {
+      return res.status(404).json({
         success: false,
-        message: "Build ID is required"
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
       });
     }
-    
-    // Get the build from active builds or try to find in file system
-    if (activeBuilds.has(id)) {
-      const build = activeBuilds.get(id);
-      return res.json({
-        success: true,
-        logs: build.logs,
-        status: build.status,
-        stage: build.stage,
-        fixAttempts: build.fixAttempts,
-        startTime: build.startTime,
-        elapsedTime: Date.now() - build.startTime
-      });
-    } 
-    
-    // If build not in memory, try to get from generated plugins
-    const pluginDir = safeJoin(PLUGINS_BASE_DIR, id);
-    if (fs.existsSync(pluginDir)) {
-      // Check if there's a logs.txt file
-      const logFile = safeJoin(pluginDir, 'logs.txt');
-      
-      if (fs.existsSync(logFile)) {
-        const logs = fs.readFileSync(logFile, 'utf8')
-          .split('\n')
-          .filter(line => line.trim())
-          .map(line => ({ 
-            type: line.includes('[ERROR]') ? 'stderr' : 'stdout', 
-            message: line, 
-            time: null 
-          }));
-          
-        return res.json({
-          success: true,
-          logs,
-          status: 'completed',
-          stage: buildStages.SUCCESS,
-          fromFile: true
+
+    // Newest source first: the NDJSON log, then output still held in memory,
+    // then the plain logs.txt of builds from before structured logs
+    let page = { entries: [], total: 0, finalStatus: null };
+    let source = 'none';
+    const logFile = buildLogPath(id);
+    const legacyLogFile = safeJoin(pluginDir, 'logs.txt');
+    if (fs.existsSync(logFile)) {
+      page = await readBuildLog(logFile, { filter, offset, limit });
+      source = 'file';
+    } else if (activeBuilds.has(id)) {
+      const entries = activeBuilds.get(id).logs.map(entry => ({
+        time: new Date(entry.time).toISOString(),
+        stream: entry.type,
+        level: detectLevel(entry.type, entry.message),
+        message: entry.message
+      }));
+      page = pageEntries(entries, { filter, offset, limit });
+      source = 'memory';
+    } else if (fs.existsSync(legacyLogFile)) {
+      const entries = fs.readFileSync(legacyLogFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line) => {
+          const stream = line.includes('[ERROR]') ? 'stderr' : 'stdout';
+          return { time: null, stream, level: detectLevel(stream, line), message: line };
         });
-      }
-      
-      // If no log file, just return a simple completed status
-      return res.json({
-        success: true,
-        logs: [{ type: 'stdout', message: 'Build completed, no logs available', time: null }],
-        status: 'completed',
-        stage: buildStages.SUCCESS,
-        fromFile: true
+      page = pageEntries(entries, { filter, offset, limit });
+      source = 'legacy';
+    }
+
+    // Recorded builds report their real outcome; directories without a record
+    // use the final status in their log, if they have one
+    const outcome = build
+      ? describeBuild(build)
+      : { status: 'unknown', stage: null, ...(page.finalStatus || {}) };
+
+    const nextOffset = offset + page.entries.length < page.total ? offset + page.entries.length : null;
+    return res.json({
+      success: true,
+      logs: page.entries.map(({ time, stream, level: entryLevel, message, ...data }) => ({
+        type: stream,
+        level: entryLevel,
+        message,
+        time,
+        ...data
+      })),
+      total: page.total,
+      offset,
+      limit,
+      nextOffset,
+      source,
+      ...outcome
+    });
+  } catch (error) {
+    logger.error("Error fetching build logs:", error);
+    return res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+};
+
+app.get('/api/builds/:id/logs', rateLimits.listing, validate('getBuildLogs'), sendBuildLogs);
+app.get('/api/build-logs', rateLimits.listing, validate('getBuildLogsByQuery'), sendBuildLogs);
+
+// Pin a build so retention never deletes it, or unpin it again
+const setBuildPinned = (pinned) => (req, res) => {
+  try {
+    const { id } = req.params;
+    const build = findAccessibleBuild(req, id);
+
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        code: 'BUILD_NOT_FOUND',
+        message: `Build ${id} not found`
       });
     }
-    
-    // If we can't find the build, return an error
-    return res.status(404).json({
+
+    updateBuild(id, { pinned });
+    logger.info(`Build ${id} ${pinned ? 'pinned' : 'unpinned'} by ${req.user.owner}`);
+    return res.json({
+      success: true,
+      buildId: id,
+      pinned
+    });
+  } catch (error) {
+    logger.error("Error pinning build:", error);
+    return res.status(500).json({
       success: false,
-      message: `Build ${id} not found`
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
+    });
+  }
+};
+
+app.put('/api/builds/:id/pin', rateLimits.listing, validate('pinBuild'), setBuildPinned(true));
+app.delete('/api/builds/:id/pin', rateLimits.listing, validate('unpinBuild'), setBuildPinned(false));
+
+// Retention policy and the report of the last run
+app.get('/api/admin/retention', auth.requireAdmin, rateLimits.listing, validate('getRetention'), (req, res) => {
+  res.json({
+    success: true,
+    policy: retentionPolicy,
+    lastRun: retention.lastReport()
+  });
+});
+
+// Run retention now; ?dryRun=true only reports what would be pruned and deleted
+app.post('/api/admin/retention/run', auth.requireAdmin, rateLimits.listing, validate('runRetention'), (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === true || req.body.dryRun === true;
+    const report = retention.run({ dryRun });
+    return res.json({
+      success: true,
+      report
     });
   } catch (error) {
-    logger.error("Error fetching build logs:", error);
+    logger.error("Error running retention:", error);
     return res.status(500).json({
       success: false,
+      code: 'INTERNAL_ERROR',
       message: error.message || "An unknown error occurred"
     });
   }
 });
 
+// Effective configuration with where each value came from; secrets are redacted
+app.get('/api/admin/config', auth.requireAdmin, rateLimits.listing, validate('getConfig'), (req, res) => {
+  res.json({ success: true, ...describeConfig(config) });
+});
+
 // Debug endpoint to list all plugins and files
-app.get('/api/debug', (req, res) => {
+app.get('/api/debug', auth.requireAdmin, rateLimits.listing, validate('getDebugInfo'), (req, res) => {
   try {
     const debug = {
       baseDir: PLUGINS_BASE_DIR,
@@ -790,18 +2939,23 @@ app.get('/api/debug', (req, res) => {
       }
     }
 
-    return res.json(debug);
+    return res.json({
+      success: true,
+      ...debug
+    });
   } catch (error) {
     logger.error("Debug endpoint error:", error);
     return res.status(500).json({
-      error: error.message
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: error.message || "An unknown error occurred"
     });
   }
 });
 
 // Diagnostic endpoint to check connection details
 app.get('/connection-test', (req, res) => {
-  const clientIP = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+  const clientIP = req.ip;
   
   // Get all network interfaces
   const nets = networkInterfaces();
@@ -823,11 +2977,25 @@ app.get('/connection-test', (req, res) => {
     serverInterfaces: results,
     serverPort: port,
     requestHeaders: req.headers,
-    apiHost: process.env.API_HOST || "http://host.docker.internal:5000"
+    apiHost: generationProviderName === 'http' ? apiHost : null,
+    provider: generationProvider.describe()
   });
 });
 
 // Health check endpoint
+// Prometheus scrape endpoint; requires "Authorization: Bearer <METRICS_TOKEN>" when that is set
+app.get('/metrics', (req, res) => {
+  if (metricsToken && req.headers.authorization !== `Bearer ${metricsToken}`) {
+    return res.status(401).json({
+      success: false,
+      code: 'UNAUTHORIZED',
+      message: 'Invalid or missing metrics token'
+    });
+  }
+  res.setHeader('Content-Type', metricsRegistry.contentType);
+  res.send(metricsRegistry.render());
+});
+
 app.get('/health', (req, res) => {
   // Check if script exists
   const scriptExists = fs.existsSync(scriptPath);
@@ -866,6 +3034,7 @@ app.get('/', (req, res) => {
         <p>Use /api endpoints for functionality.</p>
         <ul>
           <li><a href="/health">Health Check</a></li>
+          <li><a href="/api/docs">API Reference</a></li>
           <li><a href="/api/plugins">List Plugins</a></li>
           <li><a href="/connection-test">Connection Test</a></li>
         </ul>
@@ -874,11 +3043,37 @@ app.get('/', (req, res) => {
   `);
 });
 
+// Unknown API routes
+app.use('/api', (req, res) => {
+  res.status(404).json({
+    success: false,
+    code: 'NOT_FOUND',
+    message: `No route for ${req.method} ${req.baseUrl}${req.path}; see /api/docs`
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Request bodies body-parser could not read
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_JSON',
+      message: `Request body is not valid JSON: ${err.message}`
+    });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      code: 'PAYLOAD_TOO_LARGE',
+      message: `Request body is larger than ${err.limit} bytes`
+    });
+  }
+
   logger.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
+    code: 'INTERNAL_ERROR',
     message: process.env.NODE_ENV === 'production' 
       ? 'Internal server error' 
       : err.message
@@ -890,6 +3085,16 @@ app.listen(port, '0.0.0.0', () => {
   logger.info(`API server running at http://localhost:${port}`);
   logger.info(`Plugins directory: ${PLUGINS_BASE_DIR}`);
   logger.info(`Using script at: ${scriptPath}`);
+  logger.info(`Configuration: environment${config.configFile ? ` over ${config.configFile}` : ''}; ` +
+    `AI fixes ${config.aiFix ? `up to ${config.maxFixAttempts} attempts` : 'off'}`);
+  logger.info(`Generation provider: ${JSON.stringify(generationProvider.describe())}`);
+  logger.info(`Maven sandbox: ${mavenPolicy.sandbox}, repository mode ${mavenPolicy.repoMode}, ` +
+    `limits ${mavenPolicy.timeoutSeconds}s / ${mavenPolicy.cpuSeconds}s CPU / ${mavenPolicy.memoryMb} MB, ` +
+    `allow-lists ${mavenPolicy.enforce ? 'enforced' : 'off'}`);
+  logger.info(`Jar verification: ${verifyArtifacts}`);
+  logger.info(`Safety scan: ${scanPolicy.enabled ? `blocks at ${scanPolicy.blockSeverity}` : 'off'}`);
+  logger.info(`Webhooks: callbackUrls ${webhookPolicy.secret ? 'enabled' : 'disabled (no WEBHOOK_SECRET)'}, ` +
+    `${webhookDispatcher.resume()} pending deliveries resumed`);
   
   // Print network interfaces for debugging
   const nets = networkInterfaces();